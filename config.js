@@ -0,0 +1,128 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Shared configuration for server.js and the scripts in scripts/. Every
+// setting can be overridden with the environment variable read for it below.
+
+const __filename = fileURLToPath(import.meta.url);
+const projectRoot = path.dirname(__filename);
+
+function env(name, fallback) {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : value;
+}
+
+function envInteger(name, fallback) {
+  const value = env(name, null);
+  if (value === null) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw new Error(`${name} must be an integer, got "${value}"`);
+  }
+  return number;
+}
+
+function envBoolean(name, fallback) {
+  const value = env(name, null);
+  if (value === null) {
+    return fallback;
+  }
+  if (/^(1|true|on|yes)$/i.test(value)) {
+    return true;
+  }
+  if (/^(0|false|off|no)$/i.test(value)) {
+    return false;
+  }
+  throw new Error(`${name} must be true or false, got "${value}"`);
+}
+
+function envList(name, fallback) {
+  const value = env(name, null);
+  return value === null ? fallback : value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function envPath(name, fallback) {
+  return path.resolve(projectRoot, env(name, fallback));
+}
+
+// Unset: listen on all interfaces
+const host = env('HOST', null);
+const port = envInteger('PORT', 3000);
+
+const config = {
+  projectRoot,
+
+  server: {
+    host,
+    port,
+    // Public base URL, for logs and the /debug/files links
+    url: env('SERVER_URL', `http://${[null, '0.0.0.0', '::'].includes(host) ? 'localhost' : host}:${port}`)
+  },
+
+  // Built site (index.html, dist/app.js, sw.js)
+  publicDir: envPath('PUBLIC_DIR', 'public'),
+
+  monaco: {
+    // Installed package copied by scripts/copy-monaco.js
+    packageDir: envPath('MONACO_PACKAGE_DIR', 'node_modules/modern-monaco'),
+    // Where copy-monaco writes the fingerprinted files...
+    assetDir: envPath('MONACO_ASSET_DIR', 'public/monaco'),
+    // ...and the URL path the server serves them under
+    mountPath: env('MONACO_MOUNT_PATH', '/monaco').replace(/\/+$/, ''),
+    // What copy-monaco includes: language servers (typescript, html, css,
+    // json), TextMate grammars (embedded grammars are added) and themes
+    lsp: envList('MONACO_LSP', ['typescript', 'html', 'css', 'json']),
+    grammars: envList('MONACO_GRAMMARS', ['html', 'css', 'javascript', 'typescript', 'jsx', 'tsx', 'json']),
+    themes: envList('MONACO_THEMES', ['vitesse-dark'])
+  },
+
+  // Origins allowed to make cross-origin requests; "*" allows any to read,
+  // only origins listed by name may also write
+  corsOrigins: envList('CORS_ORIGINS', ['*']),
+
+  // COOP/COEP headers (needed for SharedArrayBuffer); turn off to embed
+  // cross-origin resources that do not send CORP/CORS headers
+  crossOriginIsolation: envBoolean('CROSS_ORIGIN_ISOLATION', true),
+
+  // Shared editing and presence over WebSocket (/collab/<workspace>)
+  collaboration: envBoolean('COLLABORATION', true),
+
+  // Reload pages after rebuilds; set by scripts/dev.js for its server process
+  liveReload: envBoolean('LIVE_RELOAD', false),
+
+  cache: {
+    // Content-hashed files (monaco assets)
+    fingerprinted: env('CACHE_FINGERPRINTED', 'public, max-age=31536000, immutable'),
+    // Everything else with a stable name (index.html, dist/app.js, ...)
+    default: env('CACHE_DEFAULT', 'no-cache')
+  },
+
+  workspacesDir: envPath('WORKSPACES_DIR', 'workspaces'),
+
+  // Project templates for new workspaces (templates/<id>/template.json, files/)
+  templatesDir: envPath('TEMPLATES_DIR', 'templates'),
+
+  snapshots: {
+    dir: envPath('SNAPSHOTS_DIR', 'snapshots'),
+    // Automatic snapshot this many seconds after a change (0 turns them off)...
+    interval: envInteger('SNAPSHOT_INTERVAL', 300),
+    // ...keeping the newest ones; named snapshots stay until deleted
+    keep: envInteger('SNAPSHOT_KEEP', 50)
+  },
+
+  // ESLint diagnostics. Loading a workspace's eslint.config.js runs it on the
+  // server, so workspaces get the built-in config unless this is turned on.
+  lint: {
+    workspaceConfig: envBoolean('ESLINT_WORKSPACE_CONFIG', false)
+  },
+
+  // Editor settings synced from the browser (one file per profile)
+  settingsDir: envPath('SETTINGS_DIR', 'settings'),
+
+  vendorCacheDir: envPath('VENDOR_CACHE_DIR', 'vendor-cache'),
+  nodeModulesDir: path.join(projectRoot, 'node_modules')
+};
+
+export { config };
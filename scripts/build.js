@@ -1,11 +1,17 @@
-import { build } from 'esbuild';
+import { build, context } from 'esbuild';
+import { createHash } from 'crypto';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { MONACO_ENTRY_POINTS, isTextMateAsset, readMonacoManifest, monacoAssetUrl } from '../server/monaco-assets.js';
+import { precompressDirectory, precompressFile } from './precompress.js';
+import { config } from '../config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const projectRoot = path.dirname(__dirname);
+const publicDir = config.publicDir;
+const { assetDir: monacoAssetDir, mountPath: monacoMountPath } = config.monaco;
 
 async function ensureDir(dir) {
     try {
@@ -17,9 +23,114 @@ async function ensureDir(dir) {
     }
 }
 
-async function copyFile(src, dest) {
-    await ensureDir(path.dirname(dest));
-    await fs.copyFile(src, dest);
+const IMPORT_MAP_PATTERN = /(<script\b[^>]*\btype=["']importmap["'][^>]*>)([\s\S]*?)(<\/script>)/i;
+
+// Copies index.html, pointing the modern-monaco import map entries at the
+// fingerprinted files listed in public/monaco/manifest.json.
+async function writeIndexHtml() {
+    const manifest = await readMonacoManifest(monacoAssetDir);
+    if (!manifest) {
+        console.warn(`⚠️  ${path.join(monacoAssetDir, 'manifest.json')} not found, run "npm run copy-monaco" first`);
+        console.warn('   Using un-hashed modern-monaco URLs');
+    }
+
+    const html = await fs.readFile(path.join(projectRoot, 'src/index.html'), 'utf8');
+    const match = IMPORT_MAP_PATTERN.exec(html);
+    if (!match) {
+        throw new Error('src/index.html has no <script type="importmap">');
+    }
+
+    const importMap = JSON.parse(match[2]);
+    for (const [specifier, file] of Object.entries(MONACO_ENTRY_POINTS)) {
+        importMap.imports[specifier] = monacoAssetUrl(manifest, file, monacoMountPath);
+    }
+    const indent = /([ \t]*)$/.exec(html.slice(0, match.index))[1];
+    const json = JSON.stringify(importMap, null, 4).replace(/\n/g, `\n${indent}`);
+
+    await ensureDir(publicDir);
+    await fs.writeFile(
+        path.join(publicDir, 'index.html'),
+        html.slice(0, match.index) + `${match[1]}\n${indent}${json}\n${indent}${match[3]}` + html.slice(match.index + match[0].length)
+    );
+}
+
+// Editor shell precached next to the modern-monaco files
+const SHELL_FILES = ['index.html', 'dist/app.js'];
+
+// Writes public/sw.js from src/service-worker.js. The precache list comes from
+// the monaco manifest; the cache version changes whenever a precached file
+// does, so a new build installs a new cache and drops the old one.
+async function writeServiceWorker() {
+    const manifest = await readMonacoManifest(monacoAssetDir);
+    const monacoFiles = Object.keys(manifest?.files ?? {})
+        .filter(file => /\.(mjs|js|css|wasm)$/.test(file) || isTextMateAsset(file))
+        .map(file => monacoAssetUrl(manifest, file, monacoMountPath));
+
+    const hash = createHash('sha256');
+    for (const file of SHELL_FILES) {
+        hash.update(await fs.readFile(path.join(publicDir, file)));
+    }
+    hash.update(monacoFiles.join('\n'));
+
+    const version = hash.digest('hex').slice(0, 12);
+    const precacheUrls = [...SHELL_FILES.map(file => `/${file}`), ...monacoFiles];
+    const source = await fs.readFile(path.join(projectRoot, 'src/service-worker.js'), 'utf8');
+
+    await fs.writeFile(
+        path.join(publicDir, 'sw.js'),
+        `const CACHE_VERSION = ${JSON.stringify(version)};\n` +
+        `const PRECACHE_URLS = ${JSON.stringify(precacheUrls, null, 4)};\n\n` +
+        source
+    );
+    return { version, files: precacheUrls.length };
+}
+
+// Grammars and themes copy-monaco served locally; null when modern-monaco
+// should download them from its default CDN
+function textMateSelection(manifest) {
+    if (!manifest?.textmate) {
+        return null;
+    }
+    const { grammars, themes } = manifest.selection;
+    // e.g. "tm-themes@1.10.9", for loading themes after startup
+    return { grammars, themes, themesPackage: manifest.textmate.themes };
+}
+
+// esbuild options for the application bundle
+async function esbuildOptions() {
+    const manifest = await readMonacoManifest(monacoAssetDir);
+    return {
+        entryPoints: [path.join(projectRoot, 'src/app.js')],
+        bundle: true,
+        format: 'esm',
+        target: 'es2022',
+        platform: 'browser',
+        outfile: path.join(publicDir, 'dist/app.js'),
+        sourcemap: true,
+        minify: process.env.NODE_ENV === 'production',
+        define: {
+            'process.env.NODE_ENV': JSON.stringify(process.env.NODE_ENV || 'development'),
+            'process.env.MONACO_TEXTMATE': JSON.stringify(textMateSelection(manifest))
+        },
+        external: [
+            'modern-monaco',
+            'modern-monaco/*'
+        ],
+        loader: {
+            '.js': 'js',
+            '.ts': 'ts',
+            '.jsx': 'jsx',
+            '.tsx': 'tsx'
+        },
+        logLevel: 'info'
+    };
+}
+
+// Persistent esbuild context for incremental rebuilds (scripts/dev.js).
+// Call `rebuild()` on it for each change and `dispose()` when done.
+async function createBuildContext(overrides = {}) {
+    await ensureDir(path.join(publicDir, 'dist'));
+    return context({ ...await esbuildOptions(), ...overrides });
 }
 
 async function buildProject() {
@@ -27,56 +138,40 @@ async function buildProject() {
 
     try {
         // Ensure output directories exist
-        await ensureDir(path.join(projectRoot, 'public'));
-        await ensureDir(path.join(projectRoot, 'public/dist'));
+        await ensureDir(publicDir);
+        await ensureDir(path.join(publicDir, 'dist'));
 
         // Build JavaScript with esbuild
         console.log('📦 Building JavaScript bundle...');
-        await build({
-            entryPoints: [path.join(projectRoot, 'src/app.js')],
-            bundle: true,
-            format: 'esm',
-            target: 'es2022',
-            platform: 'browser',
-            outfile: path.join(projectRoot, 'public/dist/app.js'),
-            sourcemap: true,
-            minify: process.env.NODE_ENV === 'production',
-            define: {
-                'process.env.NODE_ENV': JSON.stringify(process.env.NODE_ENV || 'development')
-            },
-            external: [
-                'modern-monaco',
-                'modern-monaco/*'
-            ],
-            loader: {
-                '.js': 'js',
-                '.ts': 'ts',
-                '.jsx': 'jsx',
-                '.tsx': 'tsx'
-            },
-            logLevel: 'info'
-        });
-
-        // Copy HTML file
+        await build(await esbuildOptions());
+
+        // Copy HTML file with the generated import map
         console.log('📄 Copying HTML file...');
-        await copyFile(
-            path.join(projectRoot, 'src/index.html'),
-            path.join(projectRoot, 'public/index.html')
-        );
+        await writeIndexHtml();
+
+        // Generate the service worker for offline startup
+        const serviceWorker = await writeServiceWorker();
+        console.log(`🧰 Service worker cache ${serviceWorker.version} (${serviceWorker.files} files)`);
+
+        // Brotli/gzip siblings served by server.js
+        console.log('🗜️  Precompressing build output...');
+        await precompressDirectory(path.join(publicDir, 'dist'));
+        await precompressFile(path.join(publicDir, 'index.html'));
+        await precompressFile(path.join(publicDir, 'sw.js'));
 
         console.log('✅ Build completed successfully!');
-        console.log('📁 Output directory: public/');
+        console.log(`📁 Output directory: ${publicDir}`);
         console.log('🚀 Run "npm start" to serve the application');
 
     } catch (error) {
-        console.error('❌ Build failed:', error);
-        process.exit(1);
+        console.error('❌ Build failed:', error.message);
+        throw error;
     }
 }
 
 // Run build if this script is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-    buildProject();
+    buildProject().catch(() => process.exit(1));
 }
 
-export { buildProject };
+export { buildProject, createBuildContext, writeIndexHtml, writeServiceWorker };
@@ -1,6 +1,17 @@
+import { createHash } from 'crypto';
 import { promises as fs } from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+    MANIFEST_FILE,
+    MONACO_ENTRY_POINTS,
+    monacoFileEntry,
+    readMonacoManifest,
+    requiredMonacoFiles,
+    verifyMonacoFiles
+} from '../server/monaco-assets.js';
+import { formatBytes, precompressDirectory } from './precompress.js';
+import { config } from '../config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,46 +27,292 @@ async function ensureDir(dir) {
     }
 }
 
-async function copyFile(src, dest) {
+// Relative module references inside the dist files: static and dynamic
+// imports as well as `new URL("./worker.mjs", import.meta.url)`.
+const RELATIVE_REFERENCE_PATTERN = /(["'])(\.{1,2}\/[^"'\n]+)\1/g;
+const REWRITABLE_EXTENSIONS = ['.mjs', '.js'];
+// Anything else (type declarations, licenses, ...) keeps its name
+const FINGERPRINTED_EXTENSIONS = ['.mjs', '.js', '.css', '.wasm'];
+
+async function listFiles(dir, relative = '') {
+    const files = [];
+    const entries = await fs.readdir(path.join(dir, relative), { withFileTypes: true });
+
+    for (const entry of entries) {
+        const rel = relative ? `${relative}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(dir, rel));
+        } else {
+            files.push(rel);
+        }
+    }
+    return files.sort();
+}
+
+function resolveReference(fromFile, specifier) {
+    return path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), specifier));
+}
+
+function fingerprintName(file, hash) {
+    const ext = path.posix.extname(file);
+    if (!FINGERPRINTED_EXTENSIONS.includes(ext)) {
+        return file;
+    }
+    return `${file.slice(0, -ext.length)}.${hash}${ext}`;
+}
+
+function relativeReference(fromFile, toFile) {
+    const relative = path.posix.relative(path.posix.dirname(fromFile), toFile);
+    return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+// Reads the dist files and the relative references between them. `overrides`
+// replaces the content of individual files.
+async function readModuleGraph(src, overrides = {}) {
+    const files = await listFiles(src);
+    const fileSet = new Set(files);
+    const contents = new Map();
+    const references = new Map();
+
+    for (const file of files) {
+        const content = file in overrides ? Buffer.from(overrides[file]) : await fs.readFile(path.join(src, file));
+        contents.set(file, content);
+        references.set(file, new Set());
+
+        if (REWRITABLE_EXTENSIONS.includes(path.posix.extname(file))) {
+            for (const [, , specifier] of content.toString('utf8').matchAll(RELATIVE_REFERENCE_PATTERN)) {
+                const target = resolveReference(file, specifier);
+                if (target !== file && fileSet.has(target)) {
+                    references.get(file).add(target);
+                }
+            }
+        }
+    }
+
+    return { contents, references };
+}
+
+// Files reachable from `roots`, not following references into `excluded`
+function reachableFrom(references, roots, excluded = new Set()) {
+    const reachable = new Set(roots);
+    const stack = [...roots];
+    while (stack.length > 0) {
+        for (const target of references.get(stack.pop())) {
+            if (!reachable.has(target) && !excluded.has(target)) {
+                reachable.add(target);
+                stack.push(target);
+            }
+        }
+    }
+    return reachable;
+}
+
+// Copies `files` of the module graph to `dest` with content-hashed names and
+// returns their manifest entries (written path, size and hash). A file's name
+// hash covers everything it references (transitively), so renaming a
+// dependency also renames its importers; references are rewritten to the new
+// names.
+async function copyFingerprinted({ contents, references }, files, dest) {
+    const ownHashes = new Map(files.map(file => [file, hashContent(contents.get(file))]));
+    const names = {};
+
+    for (const file of files) {
+        // The transitive closure handles import cycles
+        const combined = [...reachableFrom(references, [file])].sort().map(name => `${name}:${ownHashes.get(name)}`).join('\n');
+        names[file] = fingerprintName(file, hashContent(combined).slice(0, 8));
+    }
+
+    const entries = {};
+    for (const file of files) {
+        let content = contents.get(file);
+        if (references.get(file).size > 0) {
+            content = Buffer.from(content.toString('utf8').replace(RELATIVE_REFERENCE_PATTERN, (match, quote, specifier) => {
+                const target = resolveReference(file, specifier);
+                return names[target]
+                    ? `${quote}${relativeReference(names[file], names[target])}${quote}`
+                    : match;
+            }));
+        }
+        await ensureDir(path.dirname(path.join(dest, names[file])));
+        await fs.writeFile(path.join(dest, names[file]), content);
+        entries[file] = monacoFileEntry(names[file], content);
+    }
+
+    return entries;
+}
+
+// lsp/index.mjs with only the selected language servers. Their setup modules
+// (and workers) are then the only ones reachable from the entry points.
+async function selectLanguageServers(distPath, languages) {
+    const { builtinLSPProviders } = await import(pathToFileURL(path.join(distPath, 'lsp/index.mjs')).href);
+    const unknown = languages.filter(language => !builtinLSPProviders[language]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown language server(s): ${unknown.join(', ')} (available: ${Object.keys(builtinLSPProviders).join(', ')})`);
+    }
+
+    const setups = {};
+    const entries = languages.map((language) => {
+        const { aliases, import: load } = builtinLSPProviders[language];
+        const specifier = /import\(\s*["']([^"']+)["']\s*\)/.exec(load.toString())?.[1];
+        if (!specifier) {
+            throw new Error(`Cannot find the setup module of the ${language} language server`);
+        }
+        setups[language] = resolveReference('lsp/index.mjs', specifier);
+        const lines = [
+            ...(aliases ? [`    aliases: ${JSON.stringify(aliases)},`] : []),
+            `    import: () => import(${JSON.stringify(specifier)})`
+        ];
+        return `  ${language}: {\n${lines.join('\n')}\n  }`;
+    });
+
+    const source = '// Generated by scripts/copy-monaco.js from the selected language servers\n' +
+        `var builtinLSPProviders = {\n${entries.join(',\n')}\n};\n` +
+        'export {\n  builtinLSPProviders\n};\n';
+    return { source, setups };
+}
+
+// Version of a tm-grammars/tm-themes package bundled into shiki.mjs; the
+// browser requests grammars and themes from the directory of that version.
+function bundledPackageVersion(shikiSource, name) {
+    const pattern = new RegExp(`/${name}/package\\.json\\s*\\n\\s*var \\w+ = "([^"]+)"`);
+    return pattern.exec(shikiSource)?.[1] ?? null;
+}
+
+async function readPackage(name) {
+    const packageDir = path.join(config.nodeModulesDir, name);
     try {
-        await ensureDir(path.dirname(dest));
-        await fs.copyFile(src, dest);
-        return true;
+        const { version } = JSON.parse(await fs.readFile(path.join(packageDir, 'package.json'), 'utf8'));
+        return { packageDir, version };
     } catch (error) {
-        console.warn(`⚠️  Could not copy ${src}: ${error.message}`);
-        return false;
+        if (error.code === 'ENOENT') {
+            throw new Error(`${name} is not installed; run "npm install" or clear the selection`);
+        }
+        throw error;
     }
 }
 
-async function copyDirectory(src, dest) {
-    try {
-        await ensureDir(dest);
-        const entries = await fs.readdir(src, { withFileTypes: true });
-        
-        for (const entry of entries) {
-            const srcPath = path.join(src, entry.name);
-            const destPath = path.join(dest, entry.name);
-            
-            if (entry.isDirectory()) {
-                await copyDirectory(srcPath, destPath);
-            } else {
-                await copyFile(srcPath, destPath);
-            }
+// Selected grammars (names or aliases) plus the grammars they embed, as
+// modern-monaco loads them
+function resolveGrammars(grammars, names) {
+    const byName = new Map();
+    for (const grammar of grammars) {
+        for (const name of [grammar.name, ...(grammar.aliases ?? [])]) {
+            byName.set(name, grammar);
+        }
+    }
+
+    const resolved = new Set();
+    const visit = (name) => {
+        const grammar = byName.get(name);
+        if (!grammar) {
+            throw new Error(`Unknown grammar: ${name}`);
+        }
+        if (!resolved.has(grammar.name)) {
+            resolved.add(grammar.name);
+            (grammar.embedded ?? []).forEach(visit);
+        }
+    };
+    names.forEach(visit);
+    return [...resolved].sort();
+}
+
+// Grammar or theme JSON files of the installed tm-grammars/tm-themes package
+// and their destination, <package>@<version>/<kind>/<name>.json
+async function resolveTextMateFiles({ name, kind, version, files }) {
+    if (files.length === 0) {
+        return { dir: null, files: [] };
+    }
+    const { packageDir, version: installed } = await readPackage(name);
+    if (version && installed !== version) {
+        console.warn(`⚠️  modern-monaco expects ${name}@${version}, copying ${installed}`);
+    }
+
+    const dir = `${name}@${version ?? installed}`;
+    const resolved = [];
+    for (const file of files) {
+        const source = path.join(packageDir, kind, `${file}.json`);
+        try {
+            await fs.access(source);
+        } catch (error) {
+            throw new Error(`${name} has no ${kind.slice(0, -1)} "${file}"`);
         }
+        resolved.push({ source, file: `${dir}/${kind}/${file}.json` });
+    }
+    return { dir, files: resolved };
+}
+
+// Returns the manifest entries of the copied files
+async function copyTextMateFiles(dest, { files }) {
+    const entries = {};
+    for (const { source, file } of files) {
+        const content = await fs.readFile(source);
+        await ensureDir(path.dirname(path.join(dest, file)));
+        await fs.writeFile(path.join(dest, file), content);
+        entries[file] = monacoFileEntry(file, content);
+    }
+    return entries;
+}
+
+async function fileSize(file) {
+    try {
+        return (await fs.stat(file)).size;
     } catch (error) {
-        console.warn(`⚠️  Could not copy directory ${src}: ${error.message}`);
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Prints the size of each included component, as copied and brotli-compressed
+async function printSizeReport(dir, components) {
+    console.log('📊 Size report:');
+    let totalSize = 0;
+    let totalCompressed = 0;
+
+    for (const { name, files } of components) {
+        let size = 0;
+        let compressed = 0;
+        for (const file of files) {
+            const fileBytes = await fileSize(path.join(dir, file));
+            size += fileBytes;
+            compressed += await fileSize(path.join(dir, `${file}.br`)) ?? fileBytes;
+        }
+        totalSize += size;
+        totalCompressed += compressed;
+        const count = `${files.length} file${files.length === 1 ? '' : 's'}`;
+        console.log(`   ${name.padEnd(24)} ${count.padStart(9)} ${formatBytes(size).padStart(10)} ${formatBytes(compressed).padStart(10)} br`);
+    }
+    console.log(`   ${'total'.padEnd(24)} ${''.padStart(9)} ${formatBytes(totalSize).padStart(10)} ${formatBytes(totalCompressed).padStart(10)} br`);
+}
+
+function hashContent(content) {
+    return createHash('sha256').update(content).digest('hex');
+}
+
+// Deletes the files written by a previous copy (as listed in its manifest).
+// The asset directory is configurable, so it is never removed wholesale.
+async function removePreviousCopy(dir) {
+    const manifest = await readMonacoManifest(dir);
+    // Manifests of older copies map names to plain strings
+    const files = [...Object.values(manifest?.files ?? {}).map(entry => entry.path ?? entry), MANIFEST_FILE, 'verification.json'];
+
+    for (const file of files) {
+        for (const suffix of ['', '.br', '.gz']) {
+            await fs.rm(path.join(dir, file + suffix), { force: true });
+        }
     }
 }
 
 async function copyModernMonaco() {
     console.log('📦 Copying modern-monaco distribution files...');
     console.log('projectRoot', projectRoot);
-    const monacoPath = path.join(projectRoot, 'node_modules/modern-monaco');
+    const monacoPath = config.monaco.packageDir;
     console.log('monacoPath', monacoPath);
 
     const monacoDistPath = path.resolve(monacoPath, 'dist');
     console.log('monacoDistPath', monacoDistPath);
-    const publicMonacoPath = path.join(projectRoot, 'public/monaco');
+    const publicMonacoPath = config.monaco.assetDir;
 
     try {
         // Check if modern-monaco dist exists
@@ -68,43 +325,85 @@ async function copyModernMonaco() {
         process.exit(1);
     }
 
-    // Copy the entire dist directory
-    await copyDirectory(monacoDistPath, publicMonacoPath);
+    const selection = config.monaco;
+    console.log(`🧩 Language servers: ${selection.lsp.join(', ') || 'none'}`);
+    console.log(`🧩 Grammars: ${selection.grammars.join(', ') || 'none'}`);
+    console.log(`🧩 Themes: ${selection.themes.join(', ') || 'none'}`);
 
-    // Verify critical files
-    const criticalFiles = [
-        'index.mjs',
-        'editor-core.mjs',
-        'editor-worker.mjs',
-        'lsp/typescript/worker.mjs',
-        'lsp/html/worker.mjs',
-        'lsp/css/worker.mjs',
-        'lsp/json/worker.mjs',
-        'onig.wasm'
-    ];
+    // Only what the entry points reach is copied: the core modules plus the
+    // selected language servers (ssr/ and onig.wasm are for server rendering)
+    const lspIndex = await selectLanguageServers(monacoDistPath, selection.lsp);
+    const graph = await readModuleGraph(monacoDistPath, { 'lsp/index.mjs': lspIndex.source });
+    const coreFiles = reachableFrom(graph.references, Object.values(MONACO_ENTRY_POINTS), new Set(Object.values(lspIndex.setups)));
+    const components = [{ name: 'core', files: [...coreFiles] }];
+    const included = new Set(coreFiles);
+    for (const [language, setup] of Object.entries(lspIndex.setups)) {
+        const files = [...reachableFrom(graph.references, [setup], included)];
+        files.forEach(file => included.add(file));
+        components.push({ name: `lsp/${language}`, files });
+    }
 
-    console.log('🔍 Verifying critical files...');
-    let allFilesPresent = true;
+    // Grammars (with the ones they embed) and themes, at the paths
+    // modern-monaco requests them from its tmDownloadCDN
+    const shikiPath = path.join(monacoDistPath, 'shiki.mjs');
+    const shikiSource = await fs.readFile(shikiPath, 'utf8');
+    const { grammars } = await import(pathToFileURL(shikiPath).href);
+    const grammarNames = resolveGrammars(grammars, selection.grammars);
+    const textMateGrammars = await resolveTextMateFiles({
+        name: 'tm-grammars',
+        kind: 'grammars',
+        version: bundledPackageVersion(shikiSource, 'tm-grammars'),
+        files: grammarNames
+    });
+    const textMateThemes = await resolveTextMateFiles({
+        name: 'tm-themes',
+        kind: 'themes',
+        version: bundledPackageVersion(shikiSource, 'tm-themes'),
+        files: selection.themes
+    });
 
-    for (const file of criticalFiles) {
-        const filePath = path.join(publicMonacoPath, file);
-        try {
-            await fs.access(filePath);
-            console.log(`✅ ${file}`);
-        } catch (error) {
-            console.error(`❌ Missing: ${file}`);
-            allFilesPresent = false;
-        }
-    }
+    // Replace the files of a previous copy
+    await removePreviousCopy(publicMonacoPath);
+    const files = await copyFingerprinted(graph, [...included].sort(), publicMonacoPath);
+    const grammarFiles = await copyTextMateFiles(publicMonacoPath, textMateGrammars);
+    const themeFiles = await copyTextMateFiles(publicMonacoPath, textMateThemes);
+    Object.assign(files, grammarFiles, themeFiles);
+    const { version } = JSON.parse(await fs.readFile(path.join(monacoPath, 'package.json'), 'utf8'));
+
+    const manifest = {
+        version,
+        generated: new Date().toISOString(),
+        selection: { lsp: selection.lsp, grammars: grammarNames, themes: selection.themes },
+        textmate: textMateGrammars.dir || textMateThemes.dir
+            ? { grammars: textMateGrammars.dir, themes: textMateThemes.dir }
+            : null,
+        files
+    };
+
+    // Verify everything written against the manifest; the critical files
+    // are the ones the editor needs for the selection
+    const criticalFiles = requiredMonacoFiles(manifest);
 
-    if (!allFilesPresent) {
-        console.error('❌ Some critical files are missing!');
+    console.log('🔍 Verifying copied files...');
+    const problems = (await verifyMonacoFiles(publicMonacoPath, manifest)).filter(result => result.status !== 'present');
+    for (const { file, status, reason } of problems) {
+        console.error(`❌ ${status === 'missing' ? 'Missing' : 'Corrupted'}: ${file}${reason ? ` (${reason})` : ''}`);
+    }
+    if (problems.length > 0) {
+        console.error('❌ Copied files do not match the manifest!');
         process.exit(1);
     }
+    for (const file of criticalFiles) {
+        console.log(`✅ ${file} -> ${files[file].path}`);
+    }
 
     console.log('✅ Modern-monaco files copied successfully!');
     console.log(`📁 Copied to: ${publicMonacoPath}`);
 
+    // build.js generates the import map from this manifest
+    await fs.writeFile(path.join(publicMonacoPath, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    console.log(`📋 Created ${MANIFEST_FILE} (${Object.keys(files).length} files)`);
+
     // Create a simple verification endpoint data
     const verificationData = {
         timestamp: new Date().toISOString(),
@@ -118,6 +417,17 @@ async function copyModernMonaco() {
     );
 
     console.log('📋 Created verification.json for debugging');
+
+    // Brotli/gzip siblings served by server.js instead of compressing on the fly
+    console.log('🗜️  Precompressing assets (brotli, gzip)...');
+    const { files: compressed, saved } = await precompressDirectory(publicMonacoPath);
+    console.log(`✅ Precompressed ${compressed} files, brotli saves ${formatBytes(saved)}`);
+
+    await printSizeReport(publicMonacoPath, [
+        ...components.map(({ name, files: componentFiles }) => ({ name, files: componentFiles.map(file => files[file].path) })),
+        { name: `grammars (${grammarNames.length})`, files: Object.keys(grammarFiles) },
+        { name: `themes (${selection.themes.length})`, files: Object.keys(themeFiles) }
+    ]);
 }
 
 // Run copy if this script is executed directly
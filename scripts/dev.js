@@ -1,25 +1,38 @@
-import { buildProject } from './build.js';
+import { createBuildContext, writeIndexHtml, writeServiceWorker } from './build.js';
 import { spawn } from 'child_process';
 import chokidar from 'chokidar';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { config } from '../config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const projectRoot = path.dirname(__dirname);
 
+const INDEX_HTML = path.join('src', 'index.html');
+// Collects the events of one save (editors often write several times)
+const BUILD_DELAY = 50;
+
 class DevServer {
     constructor() {
         this.serverProcess = null;
-        this.isBuilding = false;
-        this.buildQueue = false;
+        this.context = null;
+        // Changed files (relative paths) not built yet
+        this.changedFiles = new Set();
+        this.buildTimer = null;
+        // Builds run one after another on this chain
+        this.building = Promise.resolve();
+        // Message of the last failed build, shown in the browser overlay
+        this.buildError = null;
+        this.restarting = null;
     }
 
     async start() {
         console.log('🚀 Starting development server...');
 
-        // Initial build
-        await this.build();
+        // Initial build, then incremental rebuilds on the same context
+        this.context = await createBuildContext({ logLevel: 'warning' });
+        await this.build({ full: true });
 
         // Start file watcher
         this.startWatcher();
@@ -40,28 +53,53 @@ class DevServer {
         });
     }
 
-    async build() {
-        if (this.isBuilding) {
-            this.buildQueue = true;
+    // Records a change and schedules a build. Changes that arrive while a
+    // build runs are picked up by the next one, so none are lost.
+    scheduleBuild(relativePath) {
+        this.changedFiles.add(relativePath);
+        clearTimeout(this.buildTimer);
+        this.buildTimer = setTimeout(() => {
+            this.building = this.building.then(() => this.build());
+        }, BUILD_DELAY);
+    }
+
+    // Rebuilds what the pending changes affect: index.html alone is only
+    // re-copied; anything else goes through the esbuild context. sw.js is
+    // written after every build: its cache version hashes app.js and
+    // index.html, and a stale one keeps serving the old precached copies.
+    async build({ full = false } = {}) {
+        const changed = [...this.changedFiles];
+        this.changedFiles.clear();
+        if (!full && changed.length === 0) {
             return;
         }
 
-        this.isBuilding = true;
-        console.log('🔨 Building project...');
+        const htmlOnly = !full && changed.every(file => file === INDEX_HTML);
+        const started = performance.now();
+        const steps = [];
 
         try {
-            await buildProject();
-            console.log('✅ Build completed');
+            if (!htmlOnly) {
+                await this.context.rebuild();
+                steps.push('app.js');
+            }
+            if (full || changed.includes(INDEX_HTML)) {
+                await writeIndexHtml();
+                steps.push('index.html');
+            }
+            await writeServiceWorker();
+            steps.push('sw.js');
+            this.buildError = null;
+            console.log(`✅ Built ${steps.join(', ')} in ${Math.round(performance.now() - started)}ms`);
         } catch (error) {
-            console.error('❌ Build failed:', error);
-        } finally {
-            this.isBuilding = false;
-
-            // Process queued build if any
-            if (this.buildQueue) {
-                this.buildQueue = false;
-                setTimeout(() => this.build(), 100);
+            this.buildError = error.message;
+            console.error(`❌ Build failed after ${Math.round(performance.now() - started)}ms`);
+            if (!error.errors) {
+                // esbuild has already printed its errors
+                console.error(error);
             }
+        } finally {
+            this.notifyServer();
         }
     }
 
@@ -70,29 +108,44 @@ class DevServer {
 
         const watcher = chokidar.watch([
             path.join(projectRoot, 'src/**/*'),
-            path.join(projectRoot, 'scripts/**/*')
+            path.join(projectRoot, 'scripts/**/*'),
+            path.join(projectRoot, 'server.js'),
+            path.join(projectRoot, 'server/**/*'),
+            path.join(projectRoot, 'config.js')
         ], {
             ignored: /node_modules/,
             persistent: true,
             ignoreInitial: true
         });
 
+        // Server code only takes effect in a new server process
+        const handleChange = (filePath) => {
+            const relativePath = path.relative(projectRoot, filePath);
+            if (relativePath === 'server.js' || relativePath === 'config.js' || relativePath.startsWith(`server${path.sep}`)) {
+                this.restartServer();
+            } else if (relativePath.startsWith(`scripts${path.sep}`)) {
+                console.log('ℹ️  Restart "npm run dev" to apply changes to the build scripts');
+            } else {
+                this.scheduleBuild(relativePath);
+            }
+        };
+
         watcher.on('change', (filePath) => {
             const relativePath = path.relative(projectRoot, filePath);
             console.log(`📝 File changed: ${relativePath}`);
-            this.build();
+            handleChange(filePath);
         });
 
         watcher.on('add', (filePath) => {
             const relativePath = path.relative(projectRoot, filePath);
             console.log(`➕ File added: ${relativePath}`);
-            this.build();
+            handleChange(filePath);
         });
 
         watcher.on('unlink', (filePath) => {
             const relativePath = path.relative(projectRoot, filePath);
             console.log(`➖ File removed: ${relativePath}`);
-            this.build();
+            handleChange(filePath);
         });
 
         watcher.on('error', (error) => {
@@ -103,14 +156,22 @@ class DevServer {
     }
 
     startServer() {
-        console.log('🌐 Starting Express server...');
+        console.log(`🌐 Starting Express server on ${config.server.url}...`);
 
         this.serverProcess = spawn('node', ['server.js'], {
             cwd: projectRoot,
-            stdio: 'inherit',
+            // The IPC channel carries build results to the live reload clients
+            stdio: ['inherit', 'inherit', 'inherit', 'ipc'],
             env: {
                 ...process.env,
-                NODE_ENV: 'development'
+                NODE_ENV: 'development',
+                LIVE_RELOAD: 'true'
+            }
+        });
+
+        this.serverProcess.on('message', (message) => {
+            if (message?.type === 'ready') {
+                this.notifyServer();
             }
         });
 
@@ -128,12 +189,43 @@ class DevServer {
         });
     }
 
+    // Tells the server (and through it the browser) about the last build
+    notifyServer() {
+        if (this.serverProcess?.connected) {
+            this.serverProcess.send({ type: 'build', error: this.buildError });
+        }
+    }
+
+    async restartServer() {
+        // Coalesce changes that arrive while a restart is in progress
+        if (this.restarting) {
+            return this.restarting;
+        }
+        this.restarting = (async () => {
+            console.log('🔄 Restarting server...');
+            await this.stop();
+            this.startServer();
+        })().finally(() => {
+            this.restarting = null;
+        });
+        return this.restarting;
+    }
+
+    // Resolves once the server process has exited
     stop() {
-        if (this.serverProcess) {
-            console.log('🛑 Stopping server...');
-            this.serverProcess.kill('SIGTERM');
-            this.serverProcess = null;
+        const serverProcess = this.serverProcess;
+        if (!serverProcess) {
+            return Promise.resolve();
         }
+        console.log('🛑 Stopping server...');
+        this.serverProcess = null;
+        if (serverProcess.exitCode !== null || serverProcess.signalCode !== null) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => {
+            serverProcess.once('exit', resolve);
+            serverProcess.kill('SIGTERM');
+        });
     }
 }
 
@@ -0,0 +1,80 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import zlib from 'zlib';
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+// Text-like assets worth compressing (onig.wasm shrinks by ~75% as well)
+const COMPRESSIBLE_EXTENSIONS = ['.mjs', '.js', '.css', '.html', '.json', '.map', '.svg', '.wasm'];
+// Below this size the headers outweigh the savings
+const MIN_SIZE = 1024;
+
+const ENCODINGS = [
+    {
+        extension: '.br',
+        compress: content => brotliCompress(content, {
+            params: {
+                [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+                [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length
+            }
+        })
+    },
+    {
+        extension: '.gz',
+        compress: content => gzip(content, { level: zlib.constants.Z_BEST_COMPRESSION })
+    }
+];
+
+function isCompressible(file) {
+    return COMPRESSIBLE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+// Writes `<file>.br` and `<file>.gz` next to `file`. Variants that would not
+// be smaller are removed instead, so the server falls back to the original.
+// Returns the number of bytes saved by the brotli variant.
+async function precompressFile(file) {
+    const content = await fs.readFile(file);
+    let saved = 0;
+
+    for (const { extension, compress } of ENCODINGS) {
+        const compressed = content.length >= MIN_SIZE ? await compress(content) : null;
+        if (compressed && compressed.length < content.length) {
+            await fs.writeFile(file + extension, compressed);
+            if (extension === '.br') {
+                saved = content.length - compressed.length;
+            }
+        } else {
+            await fs.rm(file + extension, { force: true });
+        }
+    }
+    return saved;
+}
+
+// Precompresses every compressible file below `dir`.
+async function precompressDirectory(dir) {
+    const summary = { files: 0, saved: 0 };
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            const nested = await precompressDirectory(entryPath);
+            summary.files += nested.files;
+            summary.saved += nested.saved;
+        } else if (isCompressible(entry.name)) {
+            summary.saved += await precompressFile(entryPath);
+            summary.files++;
+        }
+    }
+    return summary;
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024
+        ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+        : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+export { precompressFile, precompressDirectory, isCompressible, formatBytes };
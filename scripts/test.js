@@ -2,10 +2,117 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import http from 'http';
+import net from 'net';
+import os from 'os';
+import { spawn } from 'child_process';
+import WebSocket from 'ws';
+import {
+    monacoAssetUrl,
+    readMonacoManifest,
+    requiredMonacoFiles,
+    verifyMonacoFiles
+} from '../server/monaco-assets.js';
+import { config } from '../config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const projectRoot = path.dirname(__dirname);
+const { publicDir } = config;
+const { assetDir: monacoAssetDir, mountPath: monacoMountPath } = config.monaco;
+const serverUrl = config.server.url;
+
+const SERVER_START_TIMEOUT = 10000;
+const REQUEST_TIMEOUT = 5000;
+// Smallest valid WebAssembly module (magic number and version)
+const WASM_FIXTURE = Buffer.from([0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00]);
+const FIXTURE_DIR = '__test__';
+const TEST_WORKSPACE = 'integration-test';
+
+// Asks the OS for an unused port
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Resolves with { status, headers, body } once the whole response is read
+function httpRequest(url, { method = 'GET', headers = {}, body } = {}) {
+    return new Promise((resolve, reject) => {
+        const request = http.request(url, { method, headers }, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                headers: response.headers,
+                body: Buffer.concat(chunks)
+            }));
+            response.on('error', reject);
+        });
+        request.on('error', reject);
+        request.setTimeout(REQUEST_TIMEOUT, () => {
+            request.destroy(new Error(`timed out after ${REQUEST_TIMEOUT}ms`));
+        });
+        request.end(body);
+    });
+}
+
+// Starts server.js on a free port with throwaway workspace, snapshot, settings
+// and vendor directories. Resolves once /health answers.
+async function startServer(tempDir) {
+    const port = await findFreePort();
+    const url = `http://127.0.0.1:${port}`;
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: projectRoot,
+        env: {
+            ...process.env,
+            HOST: '127.0.0.1',
+            PORT: String(port),
+            SERVER_URL: url,
+            LIVE_RELOAD: 'false',
+            WORKSPACES_DIR: path.join(tempDir, 'workspaces'),
+            SNAPSHOTS_DIR: path.join(tempDir, 'snapshots'),
+            SNAPSHOT_INTERVAL: '0',
+            SETTINGS_DIR: path.join(tempDir, 'settings'),
+            VENDOR_CACHE_DIR: path.join(tempDir, 'vendor-cache')
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    const stop = async () => {
+        if (child.exitCode === null && child.signalCode === null) {
+            child.kill('SIGTERM');
+            const timer = setTimeout(() => child.kill('SIGKILL'), 2000);
+            await exited;
+            clearTimeout(timer);
+        }
+    };
+
+    const deadline = Date.now() + SERVER_START_TIMEOUT;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) {
+            throw new Error(`server.js exited with code ${child.exitCode}:\n${output}`);
+        }
+        try {
+            await httpRequest(`${url}/health`);
+            return { url, stop, output: () => output };
+        } catch (error) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+    await stop();
+    throw new Error(`server.js did not answer within ${SERVER_START_TIMEOUT}ms:\n${output}`);
+}
 
 class SetupTester {
     constructor() {
@@ -63,29 +170,453 @@ class SetupTester {
         }
     }
 
-    async testHttpEndpoint(url, description) {
-        return new Promise((resolve) => {
-            const request = http.get(url, (response) => {
-                if (response.statusCode === 200) {
-                    this.log(`${description} responds correctly (${response.statusCode})`, 'success');
-                    resolve(true);
-                } else {
-                    this.log(`${description} returns ${response.statusCode}`, 'warning');
-                    resolve(false);
-                }
+    // Requests `url` and checks the status and the given response headers
+    // (exact strings or patterns). Returns the response, or null on failure.
+    async testResponse(url, description, { status = 200, headers = {}, request = {} } = {}) {
+        let response;
+        try {
+            response = await httpRequest(url, request);
+        } catch (error) {
+            this.log(`${description} not accessible: ${error.message}`, 'error');
+            return null;
+        }
+
+        const problems = [];
+        if (response.status !== status) {
+            problems.push(`status ${response.status}, expected ${status}`);
+        }
+        for (const [name, expected] of Object.entries(headers)) {
+            const actual = response.headers[name.toLowerCase()];
+            const matches = expected === null
+                ? actual === undefined
+                : actual !== undefined && (expected instanceof RegExp ? expected.test(actual) : actual === expected);
+            if (!matches) {
+                problems.push(`${name}: ${actual ?? '(missing)'}, expected ${expected ?? '(none)'}`);
+            }
+        }
+
+        if (problems.length > 0) {
+            this.log(`${description}: ${problems.join('; ')}`, 'error');
+            return null;
+        }
+        this.log(`${description} (${response.status})`, 'success');
+        return response;
+    }
+
+    check(condition, description, detail = '') {
+        if (condition) {
+            this.log(description, 'success');
+        } else {
+            this.log(`${description} failed${detail ? `: ${detail}` : ''}`, 'error');
+        }
+        return condition;
+    }
+
+    // Runs the endpoint checks against a server started for the test run
+    async testServer(manifest) {
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'monaco-test-'));
+        const fixtureDir = path.join(publicDir, FIXTURE_DIR);
+        let server = null;
+
+        try {
+            await fs.mkdir(fixtureDir, { recursive: true });
+            await fs.writeFile(path.join(fixtureDir, 'module.wasm'), WASM_FIXTURE);
+
+            server = await startServer(tempDir);
+            this.log(`Started server.js on ${server.url}`, 'success');
+            await this.testEndpoints(server.url, manifest);
+            await this.testVendor(server.url, tempDir);
+            await this.testVendorScript(tempDir);
+        } catch (error) {
+            this.log(`Cannot run server tests: ${error.message}`, 'error');
+        } finally {
+            await server?.stop();
+            await fs.rm(fixtureDir, { recursive: true, force: true });
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    // /vendor builds of installed packages, cached in VENDOR_CACHE_DIR
+    async testVendor(url, tempDir) {
+        await this.testResponse(`${url}/vendor/..%2Fx`, 'Vendor module of an invalid specifier', { status: 400 });
+        await this.testResponse(`${url}/vendor/react@0.0.1`, 'Vendor module of a version that is not installed', { status: 404 });
+
+        let react;
+        try {
+            react = JSON.parse(await fs.readFile(path.join(config.nodeModulesDir, 'react', 'package.json'), 'utf8'));
+        } catch {
+            this.log('react is not installed; skipping the /vendor build checks (npm install --no-save react@18)', 'warning');
+            return;
+        }
+        if (!react.version.startsWith('18.')) {
+            this.log(`react ${react.version} is installed; skipping the /vendor build checks for react@18`, 'warning');
+            return;
+        }
+
+        const built = await this.testResponse(`${url}/vendor/react@18`, 'Vendor module build', {
+            headers: { 'Content-Type': 'application/javascript' }
+        });
+        if (!built) {
+            return;
+        }
+        // CommonJS named exports, found without running the package
+        const code = built.body.toString('utf8');
+        this.check(/export\s*\{[^}]*\buseState\b/.test(code), 'Vendor module has the named CommonJS exports');
+
+        const cacheFile = path.join(tempDir, 'vendor-cache', `react@${react.version}`, 'index.mjs');
+        try {
+            await fs.writeFile(cacheFile, 'export const cached = true;\n');
+            const cached = await httpRequest(`${url}/vendor/react@18`);
+            this.check(cached.body.toString('utf8') === 'export const cached = true;\n', 'Vendor module is served from the cache');
+        } catch (error) {
+            this.log(`Vendor cache: ${error.message}`, 'error');
+        }
+    }
+
+    // `npm run vendor` with no arguments scans every workspace; the ones the
+    // endpoint tests created include one from a template (with metadata)
+    async testVendorScript(tempDir) {
+        const { code, output } = await new Promise((resolve) => {
+            const child = spawn(process.execPath, ['scripts/vendor.js'], {
+                cwd: projectRoot,
+                env: {
+                    ...process.env,
+                    WORKSPACES_DIR: path.join(tempDir, 'workspaces'),
+                    VENDOR_CACHE_DIR: path.join(tempDir, 'vendor-cache')
+                },
+                stdio: ['ignore', 'pipe', 'pipe']
             });
+            let text = '';
+            child.stdout.on('data', (chunk) => { text += chunk; });
+            child.stderr.on('data', (chunk) => { text += chunk; });
+            child.once('exit', exitCode => resolve({ code: exitCode, output: text }));
+        });
+        this.check(code === 0 && output.includes(`Workspace "${TEST_WORKSPACE}-template"`),
+            'Vendor script scans the workspaces, one from a template included', output.trim());
+    }
+
+    async testEndpoints(url, manifest) {
+        const monacoUrl = file => `${url}${monacoAssetUrl(manifest, file, monacoMountPath)}`;
+        const isolation = config.crossOriginIsolation
+            ? { 'Cross-Origin-Embedder-Policy': 'require-corp', 'Cross-Origin-Opener-Policy': 'same-origin' }
+            : { 'Cross-Origin-Embedder-Policy': null, 'Cross-Origin-Opener-Policy': null };
+        const javascript = /^application\/javascript/;
+
+        // Health payload
+        const health = await this.testResponse(`${url}/health`, 'Health endpoint', {
+            headers: { 'Content-Type': /^application\/json/ }
+        });
+        if (health) {
+            const payload = JSON.parse(health.body);
+            this.check(
+                payload.status === 'ok' && payload.workers === 'enabled' && !Number.isNaN(Date.parse(payload.timestamp)),
+                'Health payload',
+                JSON.stringify(payload)
+            );
+        }
 
-            request.on('error', (error) => {
-                this.log(`${description} not accessible: ${error.message}`, 'error');
-                resolve(false);
+        // Editor page and bundle: revalidated, cross-origin isolated
+        await this.testResponse(`${url}/`, 'Editor page', {
+            headers: { 'Content-Type': /^text\/html/, 'Cache-Control': config.cache.default, ...isolation }
+        });
+        await this.testResponse(`${url}/dist/app.js`, 'Application bundle', {
+            headers: { 'Content-Type': javascript, 'Cache-Control': config.cache.default, ...isolation }
+        });
+        await this.testResponse(`${url}/dist/app.js`, 'Precompressed application bundle', {
+            request: { headers: { 'Accept-Encoding': 'br' } },
+            headers: { 'Content-Encoding': 'br', 'Vary': /Accept-Encoding/i }
+        });
+
+        // Monaco modules: JavaScript MIME type, cached forever when fingerprinted
+        const fingerprinted = manifest ? config.cache.fingerprinted : config.cache.default;
+        await this.testResponse(monacoUrl('index.mjs'), 'Monaco main file', {
+            headers: { 'Content-Type': javascript, 'Cache-Control': fingerprinted, ...isolation }
+        });
+        await this.testResponse(monacoUrl('editor-worker-main.mjs'), 'Editor worker', {
+            headers: { 'Content-Type': javascript, 'Cache-Control': fingerprinted }
+        });
+        for (const language of manifest?.selection?.lsp ?? []) {
+            await this.testResponse(monacoUrl(`lsp/${language}/worker.mjs`), `${language} language worker`, {
+                headers: { 'Content-Type': javascript, 'Cache-Control': fingerprinted }
             });
+        }
+        await this.testResponse(`${url}${monacoMountPath}/manifest.json`, 'Monaco manifest', {
+            headers: { 'Content-Type': /^application\/json/, 'Cache-Control': config.cache.default }
+        });
+        if (manifest?.textmate?.themes) {
+            const theme = manifest.selection.themes[0];
+            await this.testResponse(monacoUrl(`${manifest.textmate.themes}/themes/${theme}.json`), `Theme: ${theme}`, {
+                headers: { 'Content-Type': /^application\/json/ }
+            });
+        }
+        await this.testResponse(`${url}/${FIXTURE_DIR}/module.wasm`, 'WebAssembly module', {
+            headers: { 'Content-Type': 'application/wasm', 'Cache-Control': config.cache.default }
+        });
+
+        // SPA fallback: extension-less HTML navigations get index.html,
+        // everything else that does not exist is a 404
+        const html = { headers: { Accept: 'text/html' } };
+        await this.testResponse(`${url}/some/client/route`, 'SPA fallback for navigations', {
+            request: html,
+            headers: { 'Content-Type': /^text\/html/ }
+        });
+        await this.testResponse(`${url}/some/client/route`, 'No fallback for non-HTML requests', {
+            status: 404,
+            request: { headers: { Accept: 'application/json' } }
+        });
+        for (const [file, description] of [
+            ['/missing.js', 'Missing .js file'],
+            ['/missing.mjs', 'Missing .mjs file'],
+            [`${monacoMountPath}/missing.mjs`, 'Missing monaco module'],
+            ['/missing.css', 'Missing asset']
+        ]) {
+            const response = await this.testResponse(`${url}${file}`, description, { status: 404, request: html });
+            if (response) {
+                this.check(!response.body.toString('utf8').includes('<html'), `${description} is not answered with index.html`);
+            }
+        }
+
+        // Workspace API and preview, on a throwaway workspace
+        const page = '<!DOCTYPE html><title>integration test</title>';
+        await this.testResponse(`${url}/api/workspaces/${TEST_WORKSPACE}/files/index.html`, 'Workspace file write', {
+            request: { method: 'PUT', body: page }
+        });
+        // Other origins (and sandboxed pages, "null") may not write
+        for (const origin of ['https://example.com', 'null']) {
+            await this.testResponse(`${url}/api/workspaces/${TEST_WORKSPACE}/files/index.html`, `Workspace file write from origin ${origin}`, {
+                status: 403,
+                request: { method: 'PUT', headers: { Origin: origin }, body: 'overwritten' }
+            });
+        }
+        const preflight = await this.testResponse(`${url}/api/workspaces/${TEST_WORKSPACE}/files/index.html`, 'Cross-origin preflight', {
+            status: 204,
+            request: { method: 'OPTIONS', headers: { Origin: 'https://example.com', 'Access-Control-Request-Method': 'PUT' } }
+        });
+        if (preflight) {
+            this.check(!/PUT/.test(preflight.headers['access-control-allow-methods'] ?? ''), 'Cross-origin preflight does not allow writes',
+                preflight.headers['access-control-allow-methods']);
+        }
+        const files = await this.testResponse(`${url}/api/workspaces/${TEST_WORKSPACE}/files`, 'Workspace file API', {
+            headers: { 'Cache-Control': 'no-store' }
+        });
+        if (files) {
+            this.check(JSON.parse(files.body).exists === true, 'Workspace file API lists the written workspace');
+        }
+        const preview = await this.testResponse(`${url}/preview/${TEST_WORKSPACE}/`, 'Workspace preview', {
+            headers: { 'Content-Type': /^text\/html/ }
+        });
+        if (preview) {
+            this.check(preview.body.toString('utf8').includes('integration test'), 'Workspace preview serves the saved file');
+        }
+        const run = await this.testResponse(`${url}/run/${TEST_WORKSPACE}/`, 'Workspace run page', {
+            headers: { 'Content-Type': /^text\/html/, 'Cross-Origin-Resource-Policy': 'cross-origin' }
+        });
+        if (run) {
+            const html = run.body.toString('utf8');
+            this.check(html.includes("'run-console'") && html.indexOf('<script>') < html.indexOf('integration test'),
+                'Workspace run page starts with the console bridge');
+        }
 
-            request.setTimeout(5000, () => {
-                this.log(`${description} timeout`, 'error');
-                request.destroy();
-                resolve(false);
+        // Snapshots: take one, change the file, restore it
+        const workspaceUrl = `${url}/api/workspaces/${TEST_WORKSPACE}`;
+        const json = (body) => ({ method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        const snapshot = await this.testResponse(`${workspaceUrl}/snapshots`, 'Named snapshot', {
+            status: 201,
+            request: json({ label: 'integration test' })
+        });
+        if (snapshot) {
+            const { id } = JSON.parse(snapshot.body);
+            await httpRequest(`${workspaceUrl}/files/index.html`, { method: 'PUT', body: 'changed' });
+            const history = await this.testResponse(`${workspaceUrl}/history/index.html`, 'File history');
+            if (history) {
+                const [version] = JSON.parse(history.body).versions;
+                this.check(version?.id === id && !version.current, 'File history lists the snapshot as differing from the file');
+            }
+            await this.testResponse(`${workspaceUrl}/snapshots/${id}/restore`, 'Snapshot restore', {
+                request: json({ path: 'index.html' })
             });
+            const restored = await httpRequest(`${workspaceUrl}/files/index.html`);
+            this.check(restored.body.toString('utf8') === page, 'Snapshot restore brings back the saved file');
+        }
+
+        // Prettier, with the workspace's .prettierrc
+        await httpRequest(`${workspaceUrl}/files/.prettierrc`, { method: 'PUT', body: '{ "semi": false }' });
+        const formatted = await this.testResponse(`${workspaceUrl}/format`, 'Prettier formatting', {
+            request: json({ path: 'main.js', content: 'const a = {b:1};\n' })
+        });
+        if (formatted) {
+            const { formatted: text, config: prettierConfig } = JSON.parse(formatted.body);
+            this.check(text === 'const a = { b: 1 }\n' && prettierConfig === '.prettierrc', 'Prettier formatting applies the workspace config');
+        }
+        await this.testResponse(`${workspaceUrl}/format`, 'Prettier formatting of invalid code', {
+            status: 422,
+            request: json({ path: 'main.js', content: 'const a = (' })
         });
+
+        // ESLint, with the built-in config
+        const lint = await this.testResponse(`${workspaceUrl}/lint`, 'ESLint diagnostics', {
+            request: json({ path: 'main.js', content: 'debugger;\n' })
+        });
+        if (lint) {
+            const { problems } = JSON.parse(lint.body);
+            this.check(problems.some(problem => problem.ruleId === 'no-debugger' && problem.line === 1),
+                'ESLint diagnostics report the rule and position', JSON.stringify(problems));
+        }
+        await httpRequest(`${workspaceUrl}/files/eslint.config.js`, { method: 'PUT', body: 'export default [];\n' });
+        const configured = await this.testResponse(`${workspaceUrl}/lint`, 'ESLint diagnostics with a workspace config', {
+            request: json({ path: 'main.js', content: 'debugger;\n' })
+        });
+        if (configured) {
+            const { ignoredConfig } = JSON.parse(configured.body);
+            this.check(ignoredConfig === (config.lint.workspaceConfig ? null : 'eslint.config.js'),
+                'ESLint results name an ignored workspace config', ignoredConfig);
+        }
+        await httpRequest(`${workspaceUrl}/files/eslint.config.js`, { method: 'DELETE' });
+
+        if (config.collaboration) {
+            await this.testCollaboration(url);
+        }
+
+        // Templates: every one listed, and a workspace created from one
+        const templates = await this.testResponse(`${url}/api/templates`, 'Template list');
+        if (templates) {
+            const ids = JSON.parse(templates.body).templates.map(template => template.id);
+            this.check(['sample', 'vanilla-js', 'react-typescript', 'css-playground'].every(id => ids.includes(id)),
+                'Template list includes the bundled templates', ids.join(', '));
+        }
+        const created = await this.testResponse(`${url}/api/templates/vanilla-js/workspaces`, 'Workspace from a template', {
+            status: 201,
+            request: json({ name: `${TEST_WORKSPACE}-template` })
+        });
+        if (created) {
+            const listing = JSON.parse((await httpRequest(`${url}/api/workspaces/${TEST_WORKSPACE}-template/files`)).body);
+            this.check(listing.entryFile === 'main.js' && listing.entries.some(entry => entry.path === 'main.js'),
+                'Workspace from a template has its files and entry file');
+            await this.testResponse(`${url}/api/workspaces/${TEST_WORKSPACE}-template/meta`, 'Workspace entry file update', {
+                request: { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ entryFile: '/index.html' }) }
+            });
+            const updated = JSON.parse((await httpRequest(`${url}/api/workspaces/${TEST_WORKSPACE}-template/files`)).body);
+            this.check(updated.entryFile === 'index.html', 'Workspace entry file update is stored', updated.entryFile);
+            await this.testResponse(`${url}/api/workspaces/${TEST_WORKSPACE}-template/meta`, 'Workspace entry file outside the workspace', {
+                status: 400,
+                request: { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ entryFile: '../main.js' }) }
+            });
+            await httpRequest(`${url}/api/workspaces/${TEST_WORKSPACE}-template/meta`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ entryFile: 'main.js' })
+            });
+            await this.testResponse(`${url}/api/templates/vanilla-js/workspaces`, 'Workspace from a template when it exists', {
+                status: 409,
+                request: json({ name: `${TEST_WORKSPACE}-template` })
+            });
+            const concurrent = await Promise.all([1, 2].map(() => httpRequest(`${url}/api/templates/css-playground/workspaces`,
+                json({ name: `${TEST_WORKSPACE}-concurrent` }))));
+            const statuses = concurrent.map(response => response.status).sort();
+            this.check(statuses[0] === 201 && statuses[1] === 409, 'Concurrent workspaces from a template: one is created', statuses.join(', '));
+
+            // esbuild bundle of that workspace, then with a syntax error
+            const bundleUrl = `${url}/api/workspaces/${TEST_WORKSPACE}-template/bundle`;
+            const bundle = await this.testResponse(bundleUrl, 'Workspace bundle', { request: { method: 'POST' } });
+            if (bundle) {
+                const { ok, outputs } = JSON.parse(bundle.body);
+                this.check(ok && outputs.some(output => output.path === 'dist/main.js'), 'Workspace bundle has the entry file\'s output');
+            }
+            await httpRequest(`${url}/api/workspaces/${TEST_WORKSPACE}-template/files/main.js`, { method: 'PUT', body: 'const a = ;' });
+            const failed = await httpRequest(bundleUrl, { method: 'POST' });
+            const [error] = JSON.parse(failed.body).errors ?? [];
+            this.check(error?.file === 'main.js' && error.line === 1, 'Workspace bundle reports build errors with their location', failed.body.toString('utf8'));
+
+            // Without index.html, the run page runs the entry module
+            await httpRequest(`${url}/api/workspaces/${TEST_WORKSPACE}-template/files/index.html`, { method: 'DELETE' });
+            const entryPage = await httpRequest(`${url}/run/${TEST_WORKSPACE}-template/`);
+            this.check(entryPage.status === 200 && entryPage.body.toString('utf8').includes('<script type="module" src="main.js">'),
+                'Workspace run page of an entry module', `status ${entryPage.status}`);
+        }
+
+        // Synced editor settings
+        await this.testResponse(`${url}/api/settings/integration-test`, 'Settings of an unknown profile', { status: 404 });
+        await this.testResponse(`${url}/api/settings/integration-test`, 'Settings upload', {
+            request: { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ fontSize: 16 }) }
+        });
+        const settings = await this.testResponse(`${url}/api/settings/integration-test`, 'Settings download', {
+            headers: { 'Cache-Control': 'no-store' }
+        });
+        if (settings) {
+            this.check(JSON.parse(settings.body).fontSize === 16, 'Settings download returns the uploaded settings');
+        }
+        await this.testResponse(`${url}/api/settings/..%2Fescape`, 'Settings of an invalid profile', { status: 400 });
+        const uploads = await Promise.all([14, 18].map(fontSize => httpRequest(`${url}/api/settings/integration-test`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ fontSize })
+        })));
+        this.check(uploads.every(response => response.status === 200), 'Concurrent settings uploads',
+            uploads.map(response => response.status).join(', '));
+
+        await this.testResponse(`${url}/api/types?packages=react`, 'Type definitions API');
+        await this.testResponse(`${url}/api/types?packages=..%2F..%2Fpackage`, 'Type definitions of an invalid package name', { status: 400 });
+        await this.testResponse(`${url}/types/..%2F..%2Fpackage@1.0.0.d.ts`, 'Type bundle of an invalid package name', { status: 400 });
+        const debugFiles = await this.testResponse(`${url}/debug/files`, 'Debug file list', {
+            status: manifest ? 200 : 404
+        });
+        if (debugFiles && manifest) {
+            const { ok, summary } = JSON.parse(debugFiles.body);
+            this.check(ok, 'Debug file list reports all files present', JSON.stringify(summary));
+        }
+    }
+
+    // Joins a workspace's collaboration room: the server must start the sync
+    // and announce files written through the API
+    async testCollaboration(url) {
+        const socket = new WebSocket(`${url.replace(/^http/, 'ws')}/collab/${TEST_WORKSPACE}`);
+        const messages = [];
+        let notify = () => {};
+        socket.on('message', (data) => {
+            messages.push(new Uint8Array(data));
+            notify();
+        });
+        // First message of the given type (the leading byte, see server/collaboration.js)
+        const nextMessage = (type) => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`no message of type ${type} in ${REQUEST_TIMEOUT}ms`)), REQUEST_TIMEOUT);
+            notify = () => {
+                const index = messages.findIndex(message => message[0] === type);
+                if (index !== -1) {
+                    clearTimeout(timer);
+                    resolve(messages.splice(index, 1)[0]);
+                }
+            };
+            notify();
+        });
+
+        try {
+            await new Promise((resolve, reject) => {
+                socket.once('open', resolve);
+                socket.once('error', reject);
+            });
+            await nextMessage(0);
+            this.log('Collaboration WebSocket starts the document sync', 'success');
+
+            await httpRequest(`${url}/api/workspaces/${TEST_WORKSPACE}/files/shared.js`, { method: 'PUT', body: 'shared' });
+            const message = await nextMessage(3);
+            // A varint length, then the change as JSON
+            const change = JSON.parse(Buffer.from(message.subarray(1)).toString('utf8').replace(/^[^{]*/, ''));
+            this.check(change.kind === 'write' && change.path === 'shared.js', 'Collaboration announces workspace API writes', JSON.stringify(change));
+        } catch (error) {
+            this.log(`Collaboration WebSocket: ${error.message}`, 'error');
+        } finally {
+            socket.terminate();
+        }
+
+        // Pages of other origins must not join (and edit) the documents
+        const foreign = new WebSocket(`${url.replace(/^http/, 'ws')}/collab/${TEST_WORKSPACE}`, { origin: 'https://example.com' });
+        const status = await new Promise((resolve) => {
+            foreign.once('unexpected-response', (request, response) => resolve(response.statusCode));
+            foreign.once('open', () => resolve(101));
+            foreign.once('error', () => resolve(null));
+        });
+        foreign.terminate();
+        this.check(status === 403, 'Collaboration WebSocket refuses other origins', `status ${status}`);
     }
 
     async runTests() {
@@ -98,39 +629,58 @@ class SetupTester {
         await this.testFileExists(path.join(projectRoot, 'server.js'), 'server.js');
         await this.testFileExists(path.join(projectRoot, 'src/index.html'), 'src/index.html');
         await this.testFileExists(path.join(projectRoot, 'src/app.js'), 'src/app.js');
+        await this.testFileExists(path.join(projectRoot, 'server/workspace-store.js'), 'server/workspace-store.js');
+        await this.testFileExists(path.join(projectRoot, 'server/workspace-api.js'), 'server/workspace-api.js');
+        await this.testFileExists(path.join(projectRoot, 'server/snapshots.js'), 'server/snapshots.js');
+        await this.testFileExists(path.join(projectRoot, 'server/collaboration.js'), 'server/collaboration.js');
+        await this.testFileExists(path.join(projectRoot, 'server/settings.js'), 'server/settings.js');
+        await this.testFileExists(path.join(projectRoot, 'server/templates.js'), 'server/templates.js');
+        await this.testFileExists(path.join(projectRoot, 'server/format.js'), 'server/format.js');
+        await this.testFileExists(path.join(projectRoot, 'server/lint.js'), 'server/lint.js');
+        await this.testFileExists(path.join(projectRoot, 'server/bundle.js'), 'server/bundle.js');
+        await this.testFileExists(path.join(projectRoot, 'server/run-client.js'), 'server/run-client.js');
+        await this.testFileExists(path.join(projectRoot, 'templates/sample/template.json'), 'Default project template');
 
         // Test 2: Check build outputs
         this.log('\nTesting build outputs...', 'info');
-        await this.testFileExists(path.join(projectRoot, 'public/index.html'), 'Built HTML file');
-        await this.testFileExists(path.join(projectRoot, 'public/dist/app.js'), 'Built JavaScript bundle');
+        await this.testFileExists(path.join(publicDir, 'index.html'), 'Built HTML file');
+        await this.testFileExists(path.join(publicDir, 'dist/app.js'), 'Built JavaScript bundle');
+        await this.testFileExists(path.join(publicDir, 'dist/app.js.br'), 'Precompressed JavaScript bundle');
+        await this.testFileContent(path.join(publicDir, 'sw.js'), 'Service worker', 'const PRECACHE_URLS');
 
         // Test 3: Check modern-monaco files
         this.log('\nTesting modern-monaco distribution files...', 'info');
-        const monacoFiles = [
-            'index.mjs',
-            'editor-core.mjs',
-            'editor-worker-main.mjs',
-            'lsp/index.mjs',
-            'lsp/typescript/worker.mjs',
-            'lsp/html/worker.mjs',
-            'lsp/css/worker.mjs',
-            'lsp/json/worker.mjs',
-            'onig.wasm'
-        ];
-
-        for (const file of monacoFiles) {
-            await this.testFileExists(
-                path.join(projectRoot, 'public/monaco', file),
-                `Monaco file: ${file}`
-            );
+        const manifest = await readMonacoManifest(monacoAssetDir);
+        if (manifest) {
+            this.log(`Monaco manifest lists ${Object.keys(manifest.files).length} files`, 'success');
+            const copied = manifest.selection?.lsp ?? [];
+            if (copied.join() !== config.monaco.lsp.join()) {
+                this.log(`Monaco language servers (${copied.join(', ')}) differ from MONACO_LSP, run "npm run copy-monaco"`, 'warning');
+            }
+        } else {
+            this.log(`Monaco manifest missing: ${path.join(monacoAssetDir, 'manifest.json')}`, 'error');
+        }
+
+        // Every copied file must match its manifest entry (size and hash);
+        // the required ones follow the selected language servers, grammars
+        // and themes
+        const required = new Set(requiredMonacoFiles(manifest));
+        const results = manifest ? await verifyMonacoFiles(monacoAssetDir, manifest) : [];
+        for (const { file, path: filePath, status, reason } of results) {
+            const description = `Monaco file${required.has(file) ? ' (required)' : ''}: ${file}`;
+            if (status === 'present') {
+                this.log(`${description} matches the manifest`, 'success');
+            } else {
+                this.log(`${description} ${status}${reason ? ` (${reason})` : ''}: ${path.join(monacoAssetDir, filePath)}`, 'error');
+            }
         }
 
         // Test 4: Check import map configuration
         this.log('\nTesting import map configuration...', 'info');
         await this.testFileContent(
-            path.join(projectRoot, 'public/index.html'),
+            path.join(publicDir, 'index.html'),
             'Import map in HTML',
-            '"modern-monaco": "/monaco/index.mjs"'
+            `"modern-monaco": "${monacoAssetUrl(manifest, 'index.mjs', monacoMountPath)}"`
         );
 
         // Test 5: Check server configuration
@@ -146,11 +696,9 @@ class SetupTester {
             'cors'
         );
 
-        // Test 6: Check if server is running (optional)
-        this.log('\nTesting server endpoints (if running)...', 'info');
-        await this.testHttpEndpoint('http://localhost:3000/health', 'Health endpoint');
-        await this.testHttpEndpoint('http://localhost:3000/monaco/index.mjs', 'Monaco main file');
-        await this.testHttpEndpoint('http://localhost:3000/monaco/editor-worker-main.mjs', 'Editor worker');
+        // Test 6: Start the server and check its responses
+        this.log('\nTesting server endpoints...', 'info');
+        await this.testServer(manifest);
 
         // Test 7: Check package.json scripts
         this.log('\nTesting package.json scripts...', 'info');
@@ -199,13 +747,12 @@ class SetupTester {
 
         if (this.warnings.length > 0) {
             console.log('   • Address warnings for optimal functionality');
-            console.log('   • Check server is running for endpoint tests');
         }
 
         if (this.errors.length === 0 && this.warnings.length === 0) {
             console.log('   • Setup appears to be complete! 🎉');
             console.log('   • Run "npm run dev" to start development');
-            console.log('   • Open http://localhost:3000 in your browser');
+            console.log(`   • Open ${serverUrl} in your browser`);
         }
 
         console.log('\n📚 For more help, see README.md');
@@ -215,7 +762,10 @@ class SetupTester {
 // Run tests if this script is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
     const tester = new SetupTester();
-    tester.runTests().catch((error) => {
+    tester.runTests().then(() => {
+        // Warnings do not fail the run
+        process.exitCode = tester.errors.length > 0 ? 1 : 0;
+    }).catch((error) => {
         console.error('❌ Test runner failed:', error);
         process.exit(1);
     });
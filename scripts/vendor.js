@@ -0,0 +1,123 @@
+import { VendorCache } from '../server/vendor.js';
+import { WorkspaceStore } from '../server/workspace-store.js';
+import { cdnSpecifier, findImportMaps } from '../src/import-map.js';
+import { config } from '../config.js';
+
+const USAGE = `Usage: node scripts/vendor.js [--workspace <name>]... [specifier...]
+
+Pre-builds ESM modules for the /vendor route from installed packages.
+
+  specifier           Package to vendor, e.g. react@18 or react-dom@18/client
+  --workspace <name>  Also vendor every CDN entry in the workspace's import maps
+  --all-workspaces    Same, for every workspace on disk (default without arguments)
+
+Packages must be installed first (e.g. npm install --no-save react react-dom).`;
+
+function parseArgs(argv) {
+    const options = { specifiers: [], workspaces: [], allWorkspaces: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--workspace') {
+            const name = argv[++i];
+            if (!name) {
+                throw new Error('--workspace requires a name');
+            }
+            options.workspaces.push(name);
+        } else if (arg === '--all-workspaces') {
+            options.allWorkspaces = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.specifiers.push(arg);
+        }
+    }
+
+    if (options.specifiers.length === 0 && options.workspaces.length === 0) {
+        options.allWorkspaces = true;
+    }
+    return options;
+}
+
+// CDN specifiers referenced by the import maps of a workspace's HTML files
+async function workspaceSpecifiers(store, name) {
+    const specifiers = [];
+    for (const entry of await store.list(name)) {
+        if (entry.type !== 'file' || !entry.path.endsWith('.html')) {
+            continue;
+        }
+        const html = (await store.read(name, entry.path)).toString('utf8');
+        for (const importMap of findImportMaps(html)) {
+            for (const url of Object.values(importMap.imports ?? {})) {
+                const specifier = typeof url === 'string' ? cdnSpecifier(url) : null;
+                if (specifier) {
+                    specifiers.push(specifier);
+                }
+            }
+        }
+    }
+    return specifiers;
+}
+
+async function vendorPackages(argv = process.argv.slice(2)) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const { vendorCacheDir: cacheDir, workspacesDir } = config;
+    const cache = new VendorCache({ cacheDir, nodeModulesDir: config.nodeModulesDir });
+    const store = new WorkspaceStore(workspacesDir);
+
+    const workspaces = [...options.workspaces];
+    if (options.allWorkspaces) {
+        // Not a directory listing: the store keeps its metadata there too
+        workspaces.push(...(await store.listWorkspaces()).map(({ name }) => name));
+    }
+
+    const specifiers = new Set(options.specifiers);
+    for (const name of workspaces) {
+        const found = await workspaceSpecifiers(store, name);
+        console.log(`🔍 Workspace "${name}": ${found.length ? found.join(', ') : 'no CDN imports'}`);
+        found.forEach(specifier => specifiers.add(specifier));
+    }
+
+    if (specifiers.size === 0) {
+        console.log('ℹ️  Nothing to vendor.\n');
+        console.log(USAGE);
+        return;
+    }
+
+    console.log(`📦 Vendoring ${specifiers.size} module(s) into ${cacheDir}`);
+    let failures = 0;
+
+    for (const specifier of specifiers) {
+        try {
+            const { name, version, subpath, code } = await cache.get(specifier);
+            const id = `${name}@${version}${subpath ? '/' + subpath : ''}`;
+            console.log(`✅ ${specifier} → ${id} (${(code.length / 1024).toFixed(1)} KB)`);
+        } catch (error) {
+            console.error(`❌ ${specifier}: ${error.message}`);
+            failures++;
+        }
+    }
+
+    if (failures > 0) {
+        console.error(`❌ ${failures} module(s) could not be vendored`);
+        process.exit(1);
+    }
+    console.log('✅ Vendor cache is ready for offline use');
+}
+
+// Run if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    vendorPackages().catch((error) => {
+        console.error('❌ Vendoring failed:', error.message);
+        process.exit(1);
+    });
+}
+
+export { vendorPackages };
@@ -2,25 +2,81 @@ import express from 'express';
 import cors from 'cors';
 import compression from 'compression';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { WorkspaceStore } from './server/workspace-store.js';
+import { asyncRoute, createWorkspaceRouter } from './server/workspace-api.js';
+import { SnapshotStore, createSnapshotRouter } from './server/snapshots.js';
+import { attachCollaboration } from './server/collaboration.js';
+import { SettingsStore, createSettingsRouter } from './server/settings.js';
+import { TemplateRegistry, createTemplateRouter } from './server/templates.js';
+import { Formatter, createFormatRouter } from './server/format.js';
+import { Linter, createLintRouter } from './server/lint.js';
+import { Bundler, createBundleRouter } from './server/bundle.js';
+import { createPreviewRouter } from './server/preview.js';
+import { VendorCache, createVendorRouter } from './server/vendor.js';
+import { servePrecompressed } from './server/precompressed.js';
+import {
+  isFingerprinted,
+  isTextMateAsset,
+  monacoAssetUrl,
+  readMonacoManifest,
+  requiredMonacoFiles,
+  verifyMonacoFiles
+} from './server/monaco-assets.js';
+import { TypesRegistry, createTypesApiRouter, createTypesRouter } from './server/types.js';
+import { createLiveReload } from './server/live-reload.js';
+import { config } from './config.js';
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const { host: HOST, port: PORT, url: SERVER_URL } = config.server;
+const MONACO_MOUNT_PATH = config.monaco.mountPath;
+
+const workspaceStore = new WorkspaceStore(config.workspacesDir);
+const snapshotStore = new SnapshotStore(config.snapshots.dir, workspaceStore, {
+  interval: config.snapshots.interval,
+  keep: config.snapshots.keep
+});
+const templateRegistry = new TemplateRegistry(config.templatesDir);
+const formatter = new Formatter(workspaceStore);
+const linter = new Linter(workspaceStore, { workspaceConfig: config.lint.workspaceConfig });
+const bundler = new Bundler(workspaceStore);
+const settingsStore = new SettingsStore(config.settingsDir);
+const vendorCache = new VendorCache({
+  cacheDir: config.vendorCacheDir,
+  nodeModulesDir: config.nodeModulesDir
+});
+const typesRegistry = new TypesRegistry({
+  nodeModulesDir: config.nodeModulesDir
+});
 
 // Enable compression for better performance
 app.use(compression());
 
-// Configure CORS for cross-origin worker loading
-app.use(cors({
-  origin: '*',
-  methods: ['GET', 'HEAD', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  credentials: false
+// Configure CORS for cross-origin worker loading. Other origins may read;
+// writes (workspace files, snapshots, settings, ...) are only allowed from
+// origins CORS_ORIGINS lists by name, never through "*"
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const writeOrigins = config.corsOrigins.filter(origin => origin !== '*');
+app.use(cors((req, callback) => {
+  const origin = req.get('Origin');
+  const writable = origin !== undefined && writeOrigins.includes(origin);
+  callback(null, {
+    origin: writable ? origin : (config.corsOrigins.includes('*') ? '*' : config.corsOrigins),
+    methods: writable ? [...READ_METHODS, 'PUT', 'POST', 'DELETE'] : READ_METHODS,
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    credentials: false
+  });
 }));
 
+// Simple requests (e.g. a form POST) reach the server without a preflight,
+// so cross-origin writes are refused here as well. Sandboxed pages such as
+// the run console's send "Origin: null".
+app.use((req, res, next) => {
+  if (READ_METHODS.includes(req.method) || mayWrite(req)) {
+    return next();
+  }
+  res.status(403).json({ error: `Cross-origin ${req.method} requests from ${req.get('Origin')} are not allowed` });
+});
+
 // Configure proper MIME types for modern web modules
 app.use((req, res, next) => {
   // Set MIME type for .mjs files (ES modules)
@@ -33,20 +89,39 @@ app.use((req, res, next) => {
     res.setHeader('Content-Type', 'application/wasm');
   }
   
-  // Add cache headers for static assets
-  if (req.path.match(/\.(mjs|wasm|js|css|html)$/)) {
-    res.setHeader('Cache-Control', 'public, max-age=31536000'); // 1 year for immutable assets
+  // Add cache headers for static assets: fingerprinted files never change,
+  // everything else is revalidated (ETag) so upgrades are picked up
+  if (isFingerprinted(req.path)) {
+    res.setHeader('Cache-Control', config.cache.fingerprinted);
+  } else if (req.path.match(/\.(mjs|wasm|js|css|html|json)$/) || req.path === '/') {
+    res.setHeader('Cache-Control', config.cache.default);
   }
   
-  // Add security headers
-  res.setHeader('Cross-Origin-Embedder-Policy', 'require-corp');
-  res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+  // Add security headers (cross-origin isolation)
+  if (config.crossOriginIsolation) {
+    res.setHeader('Cross-Origin-Embedder-Policy', 'require-corp');
+    res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+  }
   
   next();
 });
 
+// Development: live reload channel and script injection (scripts/dev.js)
+if (config.liveReload) {
+  const liveReload = createLiveReload({ publicDir: config.publicDir });
+  app.use(liveReload.router);
+  process.on('message', liveReload.onMessage);
+  // Ask the dev server for the current build status
+  process.send?.({ type: 'ready' });
+}
+
+// Serve brotli/gzip variants written at build time (compression() above is
+// the fallback for everything else)
+app.use(MONACO_MOUNT_PATH, servePrecompressed(config.monaco.assetDir));
+app.use(servePrecompressed(config.publicDir));
+
 // Serve static files from public directory
-app.use(express.static(path.join(__dirname, 'public'), {
+app.use(express.static(config.publicDir, {
   setHeaders: (res, filePath) => {
     // Additional MIME type configuration
     if (filePath.endsWith('.mjs')) {
@@ -59,7 +134,7 @@ app.use(express.static(path.join(__dirname, 'public'), {
 }));
 
 // Serve modern-monaco distribution files
-app.use('/monaco', express.static(path.join(__dirname, '../../dist'), {
+app.use(MONACO_MOUNT_PATH, express.static(config.monaco.assetDir, {
   setHeaders: (res, filePath) => {
     if (filePath.endsWith('.mjs')) {
       res.setHeader('Content-Type', 'application/javascript');
@@ -70,6 +145,12 @@ app.use('/monaco', express.static(path.join(__dirname, '../../dist'), {
   }
 }));
 
+// Grammars and themes copied by copy-monaco. modern-monaco requests them at
+// the root of its tmDownloadCDN, which src/app.js points at this origin.
+const textMateAssets = express.Router();
+textMateAssets.use(servePrecompressed(config.monaco.assetDir), express.static(config.monaco.assetDir));
+app.use((req, res, next) => (isTextMateAsset(req.path) ? textMateAssets(req, res, next) : next()));
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -79,27 +160,76 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Debug endpoint to check file availability
-app.get('/debug/files', (req, res) => {
-  const files = [
-    '/monaco/index.mjs',
-    '/monaco/editor-core.mjs',
-    '/monaco/lsp/index.mjs',
-    '/monaco/lsp/typescript/worker.mjs',
-    '/monaco/lsp/html/worker.mjs',
-    '/monaco/lsp/css/worker.mjs',
-    '/monaco/lsp/json/worker.mjs',
-    '/monaco/onig.wasm'
-  ];
-  
+// Debug endpoint: checks the copied monaco files on disk against the
+// manifest (present, missing or corrupted)
+app.get('/debug/files', asyncRoute(async (req, res) => {
+  const manifest = await readMonacoManifest(config.monaco.assetDir);
+  if (!manifest) {
+    return res.status(404).json({ error: 'No monaco manifest, run "npm run copy-monaco"' });
+  }
+
+  // The files the editor needs for the selection recorded by copy-monaco
+  const required = new Set(requiredMonacoFiles(manifest));
+  const files = await verifyMonacoFiles(config.monaco.assetDir, manifest);
+  const summary = { present: 0, missing: 0, corrupted: 0 };
+  for (const { status } of files) {
+    summary[status]++;
+  }
+
   res.json({
-    message: 'Check these URLs to verify file availability',
-    files: files.map(file => ({
-      path: file,
-      url: `http://localhost:${PORT}${file}`
-    }))
+    version: manifest.version,
+    generated: manifest.generated,
+    selection: manifest.selection,
+    ok: summary.missing === 0 && summary.corrupted === 0,
+    summary,
+    files: files.map(({ file, status, reason }) => {
+      const url = monacoAssetUrl(manifest, file, MONACO_MOUNT_PATH);
+      return { file, status, ...(reason && { reason }), required: required.has(file), path: url, url: `${SERVER_URL}${url}` };
+    })
   });
-});
+}));
+
+// Set once the server listens (WebSocket endpoint for shared editing)
+let collaboration = null;
+const onWorkspaceChange = (name, change) => {
+  snapshotStore.scheduleAutomatic(name);
+  collaboration?.applyChange(name, change);
+};
+
+// Workspace file API (persists editor files on local disk)
+app.use('/api/workspaces', createWorkspaceRouter(workspaceStore, { onChange: onWorkspaceChange }));
+
+// Named and automatic snapshots of the workspaces, with restore
+app.use('/api/workspaces', createSnapshotRouter(snapshotStore, { onChange: onWorkspaceChange }));
+
+// Prettier formatting of workspace documents
+app.use('/api/workspaces', createFormatRouter(formatter));
+
+// ESLint diagnostics for workspace documents
+app.use('/api/workspaces', createLintRouter(linter));
+
+// esbuild bundles of workspace projects
+app.use('/api/workspaces', createBundleRouter(bundler));
+
+// Project templates, and new workspaces created from them
+app.use('/api/templates', createTemplateRouter(templateRegistry, workspaceStore, { onChange: onWorkspaceChange }));
+
+// Editor settings synced between browsers
+app.use('/api/settings', createSettingsRouter(settingsStore));
+
+// Live preview of the saved workspace files as a site
+app.use('/preview', createPreviewRouter(workspaceStore));
+
+// The same site for the run console's sandboxed iframe, reporting its
+// console output to the editor
+app.use('/run', createPreviewRouter(workspaceStore, { run: true }));
+
+// Offline ESM builds of npm packages for workspace import maps
+app.use('/vendor', createVendorRouter(vendorCache));
+
+// Type definitions of installed packages for the TypeScript worker
+app.use('/api/types', createTypesApiRouter(typesRegistry));
+app.use('/types', createTypesRouter(typesRegistry));
 
 // Handle specific file extensions properly
 app.get('*.js', (req, res) => {
@@ -116,7 +246,7 @@ app.get('*.mjs', (req, res) => {
 app.get('*', (req, res) => {
   // Only serve index.html for navigation requests, not for assets
   if (req.accepts('html') && !req.path.includes('.')) {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+    res.sendFile(path.join(config.publicDir, 'index.html'));
   } else {
     res.status(404).send('File not found');
   }
@@ -131,9 +261,38 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Self-hosted Modern Monaco server running on http://localhost:${PORT}`);
-  console.log(`📁 Serving modern-monaco from: /monaco`);
-  console.log(`🔧 Debug endpoint: http://localhost:${PORT}/debug/files`);
-  console.log(`💚 Health check: http://localhost:${PORT}/health`);
+// Whether a request (or WebSocket upgrade) may change workspaces: no Origin
+// (not from a browser), the same host, or an origin CORS_ORIGINS names
+function mayWrite(req) {
+  const { origin } = req.headers;
+  return origin === undefined || writeOrigins.includes(origin) || isSameOrigin(req, origin);
+}
+
+function isSameOrigin(req, origin) {
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+}
+
+const server = app.listen(PORT, HOST ?? undefined, () => {
+  console.log(`🚀 Self-hosted Modern Monaco server running on ${SERVER_URL}`);
+  console.log(`📁 Serving modern-monaco from: ${MONACO_MOUNT_PATH} (${config.monaco.assetDir})`);
+  console.log(`🔧 Debug endpoint: ${SERVER_URL}/debug/files`);
+  console.log(`💚 Health check: ${SERVER_URL}/health`);
+  console.log(`💾 Workspaces stored in: ${config.workspacesDir}`);
+  console.log(`🕘 Snapshots stored in: ${config.snapshots.dir}`);
+  console.log(`🧩 Project templates: ${config.templatesDir}`);
+  console.log(`🧹 ESLint: ${config.lint.workspaceConfig ? 'workspace eslint.config.js files run on this server' : 'built-in config (ESLINT_WORKSPACE_CONFIG=true loads workspace configs)'}`);
+  console.log(`⚙️  Settings stored in: ${config.settingsDir}`);
+  console.log(`📦 Vendored packages: /vendor (cache: ${config.vendorCacheDir})`);
+  console.log(`🔤 Type definitions: /types (from node_modules)`);
+  if (collaboration) {
+    console.log(`👥 Collaborative editing: ${SERVER_URL.replace(/^http/, 'ws')}/collab/<workspace>`);
+  }
 });
+
+if (config.collaboration) {
+  collaboration = attachCollaboration(server, { store: workspaceStore, allowOrigin: mayWrite });
+}
@@ -0,0 +1,172 @@
+import express from 'express';
+import { build } from 'esbuild';
+import path from 'path';
+import { findImportMaps } from '../src/import-map.js';
+import { asyncRoute } from './workspace-api.js';
+import { WorkspaceError } from './workspace-store.js';
+
+const MODULE_SCRIPT_PATTERN = /<script\b(?=[^>]*\btype=["']module["'])[^>]*\bsrc=["']([^"']+)["'][^>]*>/gi;
+const URL_PATTERN = /^(?:[a-z][a-z\d+.-]*:|\/\/)/i;
+// Assets imported from code are inlined, so every output is text
+const DATA_URL_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.svg', '.woff', '.woff2', '.ttf'];
+
+// Bundles the saved files of a workspace with esbuild, like scripts/build.js
+// bundles the app. The entry points are the module scripts of the
+// workspace's page (its entry file if that is HTML, else index.html); a
+// workspace whose page has none, or has no page, is bundled from its entry
+// file. Specifiers in the page's import map and URLs stay imports;
+// everything else has to resolve inside the workspace.
+class Bundler {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // { entryFile, entryPoints, importMap } of the workspace
+  async entry(name) {
+    const { entryFile = 'index.html' } = await this.store.readMeta(name);
+    const html = entryFile.endsWith('.html') ? entryFile : 'index.html';
+    let page = null;
+    try {
+      page = (await this.store.read(name, html)).toString('utf8');
+    } catch (error) {
+      if (error.status !== 404 || html === entryFile) {
+        throw error;
+      }
+    }
+    const importMap = Object.assign({}, ...findImportMaps(page ?? '').map(map => map.imports ?? {}));
+    const entryPoints = [...(page ?? '').matchAll(MODULE_SCRIPT_PATTERN)]
+      .map(([, src]) => src)
+      .filter(src => !URL_PATTERN.test(src))
+      .map(src => path.posix.normalize(src.startsWith('/') ? src.slice(1) : path.posix.join(path.posix.dirname(html), src)));
+    if (entryPoints.length > 0) {
+      return { entryFile, entryPoints, importMap };
+    }
+    if (entryFile.endsWith('.html')) {
+      throw new WorkspaceError(`${entryFile} has no module scripts of the workspace to bundle`);
+    }
+    return { entryFile, entryPoints: [entryFile], importMap };
+  }
+
+  // Never throws for build errors: { ok, errors, warnings, outputs } with
+  // outputs [{ path, text }] under dist/
+  async bundle(name) {
+    if (!(await this.store.exists(name))) {
+      throw new WorkspaceError(`Workspace not found: ${name}`, 404);
+    }
+    const dir = this.store.workspaceDir(name);
+    const { entryFile, entryPoints, importMap } = await this.entry(name);
+    const external = Object.keys(importMap).map(key => (key.endsWith('/') ? `${key}*` : key));
+    const started = Date.now();
+
+    let result;
+    try {
+      result = await build({
+        absWorkingDir: dir,
+        entryPoints,
+        bundle: true,
+        write: false,
+        outdir: 'dist',
+        format: 'esm',
+        platform: 'browser',
+        target: 'es2022',
+        jsx: 'automatic',
+        sourcemap: 'linked',
+        minify: true,
+        external,
+        loader: Object.fromEntries(DATA_URL_EXTENSIONS.map(ext => [ext, 'dataurl'])),
+        plugins: [insideWorkspace(dir)],
+        logLevel: 'silent'
+      });
+    } catch (error) {
+      if (!error.errors) {
+        throw error;
+      }
+      result = { errors: error.errors, warnings: error.warnings ?? [], outputFiles: [] };
+    }
+
+    return {
+      ok: result.errors.length === 0,
+      entryFile,
+      entryPoints,
+      external,
+      duration: Date.now() - started,
+      errors: result.errors.map(diagnostic),
+      warnings: result.warnings.map(diagnostic),
+      outputs: result.outputFiles.map(file => ({
+        path: path.relative(dir, file.path).split(path.sep).join('/'),
+        text: file.text
+      }))
+    };
+  }
+}
+
+// Keeps the build inside the workspace: "/x.js" means the workspace's x.js
+// (as in the browser), URLs stay imports, and bare specifiers the import
+// map does not cover fail instead of resolving to the server's packages.
+function insideWorkspace(dir) {
+  return {
+    name: 'inside-workspace',
+    setup(build) {
+      build.onResolve({ filter: /.*/ }, async (args) => {
+        if (args.pluginData?.inside) {
+          return undefined;
+        }
+        if (URL_PATTERN.test(args.path)) {
+          return { path: args.path, external: true };
+        }
+        const specifier = args.path.startsWith('/') ? path.join(dir, args.path) : args.path;
+        const result = await build.resolve(specifier, {
+          kind: args.kind,
+          importer: args.importer,
+          resolveDir: args.kind === 'entry-point' ? dir : args.resolveDir,
+          pluginData: { inside: true }
+        });
+        if (result.external) {
+          return result;
+        }
+        if (!/^[./]/.test(args.path) && (result.errors.length > 0 || !result.path.startsWith(dir + path.sep))) {
+          return { errors: [{ text: `"${args.path}" is not in the import map` }] };
+        }
+        if (result.errors.length === 0 && !result.path.startsWith(dir + path.sep)) {
+          return { errors: [{ text: `${args.path} is outside the workspace` }] };
+        }
+        return result;
+      });
+    }
+  };
+}
+
+// An esbuild message with its file, 1-based line and column
+function diagnostic({ text, location }) {
+  return {
+    text,
+    file: location?.file ?? null,
+    line: location?.line ?? null,
+    column: location ? location.column + 1 : null,
+    length: location?.length ?? 0,
+    lineText: location?.lineText ?? null
+  };
+}
+
+// REST API over a Bundler, next to the workspace API:
+//   POST /:name/bundle    bundle the saved files; build errors are part of
+//                         the 200 response
+function createBundleRouter(bundler) {
+  const router = express.Router();
+
+  router.post('/:name/bundle', asyncRoute(async (req, res) => {
+    res.json(await bundler.bundle(req.params.name));
+  }));
+
+  router.use((err, req, res, next) => {
+    if (err instanceof WorkspaceError) {
+      res.status(err.status).json({ error: err.message });
+    } else {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+export { Bundler, createBundleRouter };
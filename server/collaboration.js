@@ -0,0 +1,252 @@
+import { WebSocketServer } from 'ws';
+import * as Y from 'yjs';
+import * as syncProtocol from 'y-protocols/sync';
+import * as awarenessProtocol from 'y-protocols/awareness';
+import * as encoding from 'lib0/encoding';
+import * as decoding from 'lib0/decoding';
+import { WorkspaceError } from './workspace-store.js';
+
+// Message types, shared with src/collaboration.js. Sync and awareness are
+// the y-protocols messages; "open" asks the server to create a file's shared
+// text (with the content the first browser has); "change" announces a
+// change made through the workspace API.
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+const MESSAGE_OPEN = 2;
+const MESSAGE_CHANGE = 3;
+
+const URL_PATTERN = /^\/collab\/([^/?]+)$/;
+const PING_INTERVAL = 30 * 1000;
+// Rooms outlive their last connection briefly, so a reconnect finds its state
+const ROOM_TTL = 60 * 1000;
+
+// One room per workspace: a Y.Doc whose "files" map holds a Y.Text per open
+// document (keyed by workspace-relative path), and the collaborators'
+// presence (awareness). Documents live in memory; files are still saved
+// through the workspace API.
+class CollaborationRoom {
+  constructor(name, { onEmpty }) {
+    this.name = name;
+    this.onEmpty = onEmpty;
+    this.doc = new Y.Doc();
+    this.files = this.doc.getMap('files');
+    this.awareness = new awarenessProtocol.Awareness(this.doc);
+    this.awareness.setLocalState(null);
+    // socket -> awareness client ids it controls
+    this.connections = new Map();
+    this.emptyTimer = null;
+
+    this.doc.on('update', (update) => {
+      const encoder = encoding.createEncoder();
+      encoding.writeVarUint(encoder, MESSAGE_SYNC);
+      syncProtocol.writeUpdate(encoder, update);
+      this.broadcast(encoding.toUint8Array(encoder));
+    });
+
+    this.awareness.on('update', ({ added, updated, removed }, origin) => {
+      const owned = this.connections.get(origin);
+      if (owned) {
+        added.forEach(id => owned.add(id));
+        removed.forEach(id => owned.delete(id));
+        this.dropStalePresence(added);
+      }
+      const changed = [...added, ...updated, ...removed];
+      this.broadcast(encodeAwareness(this.awareness, changed));
+    });
+  }
+
+  connect(socket) {
+    clearTimeout(this.emptyTimer);
+    this.connections.set(socket, new Set());
+
+    socket.on('message', (data) => {
+      try {
+        this.receive(socket, new Uint8Array(data));
+      } catch (error) {
+        console.error(`Collaboration message on ${this.name} failed:`, error);
+      }
+    });
+    socket.on('close', () => this.disconnect(socket));
+
+    // Start the sync and send everyone's presence
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeSyncStep1(encoder, this.doc);
+    send(socket, encoding.toUint8Array(encoder));
+    const states = [...this.awareness.getStates().keys()];
+    if (states.length > 0) {
+      send(socket, encodeAwareness(this.awareness, states));
+    }
+  }
+
+  // Presence of a closed connection is kept until it times out (30s without
+  // renewal, see y-protocols' awareness), so a browser that reconnects in
+  // time keeps its cursor and others see no flicker.
+  disconnect(socket) {
+    this.connections.delete(socket);
+    if (this.connections.size === 0) {
+      this.emptyTimer = setTimeout(() => this.onEmpty(this), ROOM_TTL);
+      this.emptyTimer.unref();
+    }
+  }
+
+  receive(socket, message) {
+    const decoder = decoding.createDecoder(message);
+    const type = decoding.readVarUint(decoder);
+
+    if (type === MESSAGE_SYNC) {
+      const encoder = encoding.createEncoder();
+      encoding.writeVarUint(encoder, MESSAGE_SYNC);
+      syncProtocol.readSyncMessage(decoder, encoder, this.doc, socket);
+      // Only step 1 needs an answer
+      if (encoding.length(encoder) > 1) {
+        send(socket, encoding.toUint8Array(encoder));
+      }
+    } else if (type === MESSAGE_AWARENESS) {
+      awarenessProtocol.applyAwarenessUpdate(this.awareness, decoding.readVarUint8Array(decoder), socket);
+    } else if (type === MESSAGE_OPEN) {
+      const path = decoding.readVarString(decoder);
+      const content = decoding.readVarString(decoder);
+      // The first browser to open a file provides its content
+      if (!this.files.has(path)) {
+        this.files.set(path, new Y.Text(content));
+      }
+    }
+  }
+
+  // A page reload gets a new client id; once the new one reports the same
+  // user, the presence left behind by the old connection goes at once.
+  dropStalePresence(added) {
+    const live = new Set([...this.connections.values()].flatMap(ids => [...ids]));
+    const users = new Set(added.map(id => this.awareness.getStates().get(id)?.user?.id).filter(Boolean));
+    const stale = [...this.awareness.getStates()]
+      .filter(([id, state]) => !live.has(id) && users.has(state.user?.id))
+      .map(([id]) => id);
+    if (stale.length > 0) {
+      awarenessProtocol.removeAwarenessStates(this.awareness, stale, null);
+    }
+  }
+
+  // Follows changes made through the workspace API: shared texts of deleted
+  // files go, renamed ones move, and every browser hears about the change.
+  // API paths are relative; shared texts are keyed like the editor's ("/a.js").
+  applyChange(change) {
+    const affected = (path, prefix) => path === '/' + prefix || path.startsWith('/' + prefix + '/');
+    this.doc.transact(() => {
+      if (change.kind === 'delete') {
+        [...this.files.keys()].filter(path => affected(path, change.path)).forEach(path => this.files.delete(path));
+      } else if (change.kind === 'rename') {
+        for (const path of [...this.files.keys()].filter(path => affected(path, change.from))) {
+          this.files.set('/' + change.to + path.slice(change.from.length + 1), new Y.Text(this.files.get(path).toString()));
+          this.files.delete(path);
+        }
+      }
+    });
+
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_CHANGE);
+    encoding.writeVarString(encoder, JSON.stringify(change));
+    this.broadcast(encoding.toUint8Array(encoder));
+  }
+
+  broadcast(message) {
+    for (const socket of this.connections.keys()) {
+      send(socket, message);
+    }
+  }
+
+  destroy() {
+    clearTimeout(this.emptyTimer);
+    this.awareness.destroy();
+    this.doc.destroy();
+  }
+}
+
+// WebSocket endpoint at /collab/<workspace> for the HTTP server `server`.
+// Every connection can edit the documents, so upgrades whose request fails
+// `allowOrigin(req)` are refused. Returns `applyChange(name, change)` for the
+// workspace API's onChange.
+function attachCollaboration(server, { store, allowOrigin = () => true }) {
+  const rooms = new Map();
+  const sockets = new WebSocketServer({ noServer: true, maxPayload: 20 * 1024 * 1024 });
+
+  const room = (name) => {
+    if (!rooms.has(name)) {
+      rooms.set(name, new CollaborationRoom(name, {
+        onEmpty: (empty) => {
+          if (empty.connections.size === 0 && rooms.get(name) === empty) {
+            rooms.delete(name);
+            empty.destroy();
+          }
+        }
+      }));
+    }
+    return rooms.get(name);
+  };
+
+  server.on('upgrade', (req, socket, head) => {
+    const match = URL_PATTERN.exec(req.url);
+    let name;
+    try {
+      name = match && decodeURIComponent(match[1]);
+      if (name) {
+        // Validates the name
+        store.workspaceDir(name);
+      }
+    } catch (error) {
+      if (!(error instanceof WorkspaceError || error instanceof URIError)) {
+        throw error;
+      }
+      name = null;
+    }
+    if (!name) {
+      socket.end(`HTTP/1.1 ${match ? '400 Bad Request' : '404 Not Found'}\r\nConnection: close\r\n\r\n`);
+      return;
+    }
+    if (!allowOrigin(req)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    sockets.handleUpgrade(req, socket, head, (ws) => {
+      ws.isAlive = true;
+      ws.on('pong', () => {
+        ws.isAlive = true;
+      });
+      room(name).connect(ws);
+    });
+  });
+
+  // Drops connections that stopped answering (sleeping laptops, lost networks)
+  const heartbeat = setInterval(() => {
+    for (const ws of sockets.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, PING_INTERVAL);
+  heartbeat.unref();
+
+  return {
+    applyChange(name, change) {
+      rooms.get(name)?.applyChange(change);
+    }
+  };
+}
+
+function encodeAwareness(awareness, clients) {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+  encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(awareness, clients));
+  return encoding.toUint8Array(encoder);
+}
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(message);
+  }
+}
+
+export { attachCollaboration };
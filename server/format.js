@@ -0,0 +1,125 @@
+import express from 'express';
+import { promises as fs } from 'fs';
+import path from 'path';
+import * as prettier from 'prettier';
+import { WorkspaceError } from './workspace-store.js';
+import { asyncRoute } from './workspace-api.js';
+
+// Prettier configs read from a workspace. JavaScript configs and the
+// "prettier" key of package.json (which can name a config package) are not:
+// they would run workspace code on the server.
+const CONFIG_FILES = ['.prettierrc', '.prettierrc.json', '.prettierrc.json5', '.prettierrc.yaml', '.prettierrc.yml', '.prettierrc.toml'];
+
+// Formats workspace documents with Prettier. Options come from the nearest
+// config in CONFIG_FILES between the document and the workspace root, over
+// the editor's indentation. The document's content is sent by the editor,
+// so unsaved edits are formatted; the config is read from the saved files.
+class Formatter {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // The config that applies to `file` (absolute), or null
+  async configFile(name, file) {
+    const root = this.store.workspaceDir(name);
+    for (let dir = path.dirname(file); dir.startsWith(root); dir = path.dirname(dir)) {
+      for (const candidate of CONFIG_FILES.map(configName => path.join(dir, configName))) {
+        try {
+          if ((await fs.stat(candidate)).isFile()) {
+            return candidate;
+          }
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+      }
+      if (dir === root) {
+        break;
+      }
+    }
+    return null;
+  }
+
+  async options(name, file) {
+    const config = await this.configFile(name, file);
+    if (!config) {
+      return { options: {}, config: null };
+    }
+    let options;
+    try {
+      options = await prettier.resolveConfig(file, { config, editorconfig: false, useCache: false });
+    } catch (error) {
+      const relative = this.relative(name, config);
+      // Without the server's directory layout
+      throw new WorkspaceError(`Invalid Prettier config ${relative}: ${error.message.split(config).join(relative).trim()}`);
+    }
+    // Plugins are loaded by module name, see CONFIG_FILES
+    const { plugins, ...rest } = options ?? {};
+    return { options: rest, config: this.relative(name, config) };
+  }
+
+  relative(name, file) {
+    return path.relative(this.store.workspaceDir(name), file).split(path.sep).join('/');
+  }
+
+  // `range` ({ start, end }, offsets into `content`) formats only the
+  // statements or rules it touches; `editor` ({ tabSize, insertSpaces })
+  // applies where the config says nothing.
+  async format(name, { path: filePath, content, range, editor = {} }) {
+    const file = this.store.resolve(name, filePath);
+    const { options, config } = await this.options(name, file);
+    const parser = options.parser ?? (await prettier.getFileInfo(file)).inferredParser;
+    if (!parser) {
+      throw new WorkspaceError(`Prettier cannot format ${filePath}`, 415);
+    }
+    let formatted;
+    try {
+      formatted = await prettier.format(content, {
+        ...(Number.isInteger(editor.tabSize) && { tabWidth: editor.tabSize }),
+        ...(typeof editor.insertSpaces === 'boolean' && { useTabs: !editor.insertSpaces }),
+        ...options,
+        ...(range && { rangeStart: range.start, rangeEnd: range.end }),
+        parser,
+        filepath: file
+      });
+    } catch (error) {
+      // Syntax errors: the first line names the problem and its position
+      if (error.loc) {
+        throw new WorkspaceError(`${filePath}: ${error.message.split('\n')[0]}`, 422);
+      }
+      throw error;
+    }
+    return { formatted, parser, config };
+  }
+}
+
+// REST API over a Formatter, next to the workspace API:
+//   POST /:name/format    format a document ({ path, content, range?, editor? })
+function createFormatRouter(formatter, { maxSize = '5mb' } = {}) {
+  const router = express.Router();
+
+  router.post('/:name/format', express.json({ limit: maxSize }), asyncRoute(async (req, res) => {
+    const { path: filePath, content, range, editor } = req.body ?? {};
+    if (typeof content !== 'string') {
+      throw new WorkspaceError('The document content is required');
+    }
+    if (range && !(Number.isInteger(range.start) && Number.isInteger(range.end) && range.start <= range.end)) {
+      throw new WorkspaceError('Invalid range');
+    }
+    res.json(await formatter.format(req.params.name, { path: filePath, content, range, editor: editor ?? {} }));
+  }));
+
+  router.use((err, req, res, next) => {
+    // `expose`: body parser errors (invalid JSON, too large)
+    if (err instanceof WorkspaceError || err.expose) {
+      res.status(err.status).json({ error: err.message });
+    } else {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+export { Formatter, createFormatRouter };
@@ -0,0 +1,161 @@
+import express from 'express';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ESLint } from 'eslint';
+import { defineConfig } from 'eslint/config';
+import js from '@eslint/js';
+import globals from 'globals';
+import tseslint from 'typescript-eslint';
+import { WorkspaceError } from './workspace-store.js';
+import { asyncRoute } from './workspace-api.js';
+
+// Workspace configs, looked for in the workspace root
+const CONFIG_FILES = ['eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs'];
+
+// For workspaces without a config of their own (or when those are off)
+const DEFAULT_CONFIG = defineConfig(
+  js.configs.recommended,
+  {
+    files: ['**/*.{ts,tsx,mts,cts}'],
+    extends: [tseslint.configs.recommended]
+  },
+  {
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      globals: globals.browser,
+      parserOptions: { ecmaFeatures: { jsx: true } }
+    }
+  }
+);
+
+// Lints workspace documents with ESLint. A workspace's eslint.config.js is
+// JavaScript, so loading it runs workspace code on the server: that only
+// happens with `workspaceConfig` on. Otherwise, and for workspaces without
+// one, DEFAULT_CONFIG applies, and results name the ignored config
+// (`ignoredConfig`) so the editor can say why it has no effect.
+//
+// The document's content is sent by the editor (unsaved edits included);
+// the config is read from the saved files and reloaded when it changes.
+class Linter {
+  constructor(store, { workspaceConfig = false } = {}) {
+    this.store = store;
+    this.workspaceConfig = workspaceConfig;
+    // Workspace name -> { key, eslint }, rebuilt when the config changes
+    this.instances = new Map();
+  }
+
+  // The workspace's config: { file, relative, mtime }, or null
+  async configFile(name) {
+    const dir = this.store.workspaceDir(name);
+    for (const relative of CONFIG_FILES) {
+      const file = path.join(dir, relative);
+      try {
+        const stats = await fs.stat(file);
+        if (stats.isFile()) {
+          return { file, relative, mtime: stats.mtimeMs };
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    return null;
+  }
+
+  async eslint(name, config) {
+    const useConfig = config && this.workspaceConfig;
+    const key = useConfig ? `${config.file}:${config.mtime}` : 'default';
+    const cached = this.instances.get(name);
+    if (cached?.key === key) {
+      return cached.eslint;
+    }
+    const eslint = new ESLint({
+      cwd: this.store.workspaceDir(name),
+      ...(useConfig
+        ? { overrideConfigFile: config.file }
+        : { overrideConfigFile: true, overrideConfig: DEFAULT_CONFIG })
+    });
+    this.instances.set(name, { key, eslint });
+    return eslint;
+  }
+
+  // Problems in `content` as the file at `filePath`, with their fixes and
+  // suggestions as { range: [start, end], text } edits of `content`
+  async lint(name, { path: filePath, content }) {
+    const file = this.store.resolve(name, filePath);
+    const config = await this.configFile(name);
+    const eslint = await this.eslint(name, config);
+
+    let results;
+    try {
+      results = await eslint.lintText(content, { filePath: file, warnIgnored: false });
+    } catch (error) {
+      if (!config || !this.workspaceConfig) {
+        throw error;
+      }
+      // Broken workspace config: reported on the document, like a problem
+      this.instances.delete(name);
+      return {
+        config: config.relative,
+        // Without the server's directory layout
+        problems: [configProblem(`ESLint failed with ${config.relative}: ${error.message.split('\n')[0].split(config.file).join(config.relative)}`, 2)]
+      };
+    }
+
+    const [result] = results;
+    const meta = result ? eslint.getRulesMetaForResults(results) : {};
+    const problems = (result?.messages ?? []).map(message => ({
+      ruleId: message.ruleId,
+      severity: message.severity,
+      message: message.message,
+      line: message.line,
+      column: message.column,
+      endLine: message.endLine ?? message.line,
+      endColumn: message.endColumn ?? message.column,
+      docs: (message.ruleId && meta[message.ruleId]?.docs?.url) || null,
+      fix: message.fix ?? null,
+      suggestions: (message.suggestions ?? []).map(({ desc, fix }) => ({ desc, fix }))
+    }));
+    if (config && !this.workspaceConfig && file === config.file) {
+      problems.unshift(configProblem(`${config.relative} is not loaded: start the server with ESLINT_WORKSPACE_CONFIG=true to use it (it runs on the server)`, 1));
+    }
+    return {
+      config: config && this.workspaceConfig ? config.relative : null,
+      ignoredConfig: config && !this.workspaceConfig ? config.relative : null,
+      problems
+    };
+  }
+}
+
+function configProblem(message, severity) {
+  return { ruleId: null, severity, message, line: 1, column: 1, endLine: 1, endColumn: 1, docs: null, fix: null, suggestions: [] };
+}
+
+// REST API over a Linter, next to the workspace API:
+//   POST /:name/lint    lint a document ({ path, content })
+function createLintRouter(linter, { maxSize = '5mb' } = {}) {
+  const router = express.Router();
+
+  router.post('/:name/lint', express.json({ limit: maxSize }), asyncRoute(async (req, res) => {
+    const { path: filePath, content } = req.body ?? {};
+    if (typeof content !== 'string') {
+      throw new WorkspaceError('The document content is required');
+    }
+    res.json(await linter.lint(req.params.name, { path: filePath, content }));
+  }));
+
+  router.use((err, req, res, next) => {
+    // `expose`: body parser errors (invalid JSON, too large)
+    if (err instanceof WorkspaceError || err.expose) {
+      res.status(err.status).json({ error: err.message });
+    } else {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+export { Linter, createLintRouter };
@@ -0,0 +1,56 @@
+// Injected into the editor page by server/live-reload.js when running under
+// scripts/dev.js: reloads after a successful rebuild or a server restart and
+// shows build errors as an overlay.
+(() => {
+  const OVERLAY_ID = '__livereload-overlay';
+  let bootId = null;
+
+  const hideOverlay = () => {
+    document.getElementById(OVERLAY_ID)?.remove();
+  };
+
+  const showOverlay = (message) => {
+    hideOverlay();
+    const overlay = document.createElement('div');
+    overlay.id = OVERLAY_ID;
+    overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;overflow:auto;padding:32px;' +
+      'background:rgba(24,24,27,0.92);color:#fca5a5;font:13px/1.5 ui-monospace,Menlo,Consolas,monospace;';
+
+    const title = document.createElement('div');
+    title.textContent = 'Build failed';
+    title.style.cssText = 'font-size:16px;font-weight:bold;margin-bottom:12px;color:#f87171;';
+
+    const details = document.createElement('pre');
+    details.textContent = message;
+    details.style.cssText = 'white-space:pre-wrap;margin:0;';
+
+    const hint = document.createElement('div');
+    hint.textContent = 'Fix the error and save; the page reloads when the build succeeds. Click to dismiss.';
+    hint.style.cssText = 'margin-top:16px;color:#a1a1aa;';
+
+    overlay.append(title, details, hint);
+    overlay.addEventListener('click', hideOverlay);
+    document.body.append(overlay);
+  };
+
+  const events = new EventSource('/__livereload');
+
+  events.addEventListener('hello', (event) => {
+    const { id, error } = JSON.parse(event.data);
+    if (bootId !== null && id !== bootId) {
+      // The server restarted
+      location.reload();
+      return;
+    }
+    bootId = id;
+    if (error) {
+      showOverlay(error);
+    }
+  });
+
+  events.addEventListener('reload', () => location.reload());
+
+  events.addEventListener('build-error', (event) => {
+    showOverlay(JSON.parse(event.data).error);
+  });
+})();
@@ -0,0 +1,77 @@
+import express from 'express';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CLIENT_URL = '/__livereload.js';
+const EVENTS_URL = '/__livereload';
+
+// Changes on every server start, so pages reload after a restart
+const BOOT_ID = Date.now().toString(36);
+
+// Live reload for scripts/dev.js. The dev server sends build results over
+// the child process IPC channel ({ type: 'build', error }); they are pushed
+// to the pages as server-sent events. The client script is injected into
+// index.html, so the built files stay untouched.
+function createLiveReload({ publicDir }) {
+  const router = express.Router();
+  const clients = new Set();
+  let buildError = null;
+
+  const send = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const broadcast = (event, data) => {
+    for (const res of clients) {
+      send(res, event, data);
+    }
+  };
+
+  router.get(EVENTS_URL, (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps compression() from buffering the stream
+      'Cache-Control': 'no-store, no-transform'
+    });
+    send(res, 'hello', { id: BOOT_ID, error: buildError });
+
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  });
+
+  router.get(CLIENT_URL, (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.type('application/javascript');
+    res.sendFile(path.join(__dirname, 'live-reload-client.js'));
+  });
+
+  // The editor page, with the client script added
+  router.get(['/', '/index.html'], async (req, res, next) => {
+    let html;
+    try {
+      html = await fs.readFile(path.join(publicDir, 'index.html'), 'utf8');
+    } catch (error) {
+      return next(error.code === 'ENOENT' ? undefined : error);
+    }
+    const script = `<script src="${CLIENT_URL}"></script>`;
+    res.setHeader('Cache-Control', 'no-store');
+    res.type('html').send(html.includes('</head>') ? html.replace('</head>', `    ${script}\n</head>`) : script + html);
+  });
+
+  // Build results from the dev server
+  const onMessage = (message) => {
+    if (message?.type !== 'build') {
+      return;
+    }
+    buildError = message.error ?? null;
+    broadcast(buildError ? 'build-error' : 'reload', { error: buildError });
+  };
+
+  return { router, onMessage };
+}
+
+export { createLiveReload };
@@ -0,0 +1,134 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Written by scripts/copy-monaco.js next to the fingerprinted files in
+// public/monaco: { version, generated, selection, textmate, files }, where
+// files maps each dist file to what was written for it:
+//   "index.mjs": { "path": "index.1a2b3c4d.mjs", "size": 1096914, "hash": "<sha256>" }
+const MANIFEST_FILE = 'manifest.json';
+
+// Import map entries pointing at modern-monaco dist files. Everything else
+// copy-monaco includes is reachable from these.
+const MONACO_ENTRY_POINTS = {
+  'modern-monaco': 'index.mjs',
+  'modern-monaco/editor-core': 'editor-core.mjs',
+  'modern-monaco/lsp': 'lsp/index.mjs'
+};
+
+// Grammars and themes are requested at the root of modern-monaco's
+// tmDownloadCDN, e.g. /tm-grammars@1.24.10/grammars/html.json
+const TEXTMATE_PATTERN = /^\/?tm-(?:grammars|themes)@[^/]+\/(?:grammars|themes)\/[^/]+\.json$/;
+
+// Matches "<name>.<8 hex digits>.<ext>" as produced by copy-monaco. Only
+// these names are safe to cache forever.
+const FINGERPRINT_PATTERN = /\.[0-9a-f]{8}\.(?:mjs|js|css|wasm)$/;
+
+async function readMonacoManifest(monacoDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(monacoDir, MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Public URL of a dist file ("lsp/index.mjs"), fingerprinted when listed in
+// the manifest. Grammars and themes are served from the root instead.
+function monacoAssetUrl(manifest, file, mountPath = '/monaco') {
+  if (isTextMateAsset(file)) {
+    return `/${file}`;
+  }
+  return `${mountPath}/${monacoFilePath(manifest, file)}`;
+}
+
+// Path of a dist file inside the asset directory
+function monacoFilePath(manifest, file) {
+  return manifest?.files?.[file]?.path ?? file;
+}
+
+// Manifest entry for content written to `filePath`
+function monacoFileEntry(filePath, content) {
+  return { path: filePath, size: content.length, hash: hashContent(content) };
+}
+
+function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+function monacoFiles(manifest) {
+  return [...new Set([...requiredMonacoFiles(manifest), ...Object.keys(manifest?.files ?? {})])];
+}
+
+// Checks the files in `monacoDir` against the manifest: by default every
+// file it lists plus the required ones. Each result has a status of
+// "present", "missing" or "corrupted" (size or hash differ).
+async function verifyMonacoFiles(monacoDir, manifest, files = monacoFiles(manifest)) {
+  const results = [];
+  for (const file of files) {
+    const entry = manifest?.files?.[file];
+    const result = { file, path: monacoFilePath(manifest, file), status: 'present' };
+    if (!entry) {
+      result.status = 'missing';
+      result.reason = 'not in manifest';
+      results.push(result);
+      continue;
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(path.join(monacoDir, entry.path));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      result.status = 'missing';
+    }
+    if (content && content.length !== entry.size) {
+      result.status = 'corrupted';
+      result.reason = `size ${content.length}, expected ${entry.size}`;
+    } else if (content && hashContent(content) !== entry.hash) {
+      result.status = 'corrupted';
+      result.reason = 'hash mismatch';
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+function isTextMateAsset(urlPath) {
+  return TEXTMATE_PATTERN.test(urlPath);
+}
+
+// Files the editor needs for the selection recorded in the manifest: entry
+// points, the editor worker, the selected language workers, grammars and themes
+function requiredMonacoFiles(manifest) {
+  const { lsp = [], grammars = [], themes = [] } = manifest?.selection ?? {};
+  return [
+    ...Object.values(MONACO_ENTRY_POINTS),
+    'editor-worker-main.mjs',
+    'editor-worker.mjs',
+    ...lsp.map(language => `lsp/${language}/worker.mjs`),
+    ...grammars.map(name => `${manifest.textmate.grammars}/grammars/${name}.json`),
+    ...themes.map(name => `${manifest.textmate.themes}/themes/${name}.json`)
+  ];
+}
+
+function isFingerprinted(urlPath) {
+  return FINGERPRINT_PATTERN.test(urlPath);
+}
+
+export {
+  MANIFEST_FILE,
+  MONACO_ENTRY_POINTS,
+  readMonacoManifest,
+  monacoAssetUrl,
+  monacoFilePath,
+  monacoFileEntry,
+  requiredMonacoFiles,
+  verifyMonacoFiles,
+  isFingerprinted,
+  isTextMateAsset
+};
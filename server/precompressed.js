@@ -0,0 +1,78 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Encodings in order of preference, with the extension of their variant
+const VARIANTS = [
+  { encoding: 'br', extension: '.br' },
+  { encoding: 'gzip', extension: '.gz' }
+];
+
+const MIME_OVERRIDES = {
+  '.mjs': 'application/javascript',
+  '.wasm': 'application/wasm'
+};
+
+async function statFile(file) {
+  try {
+    const stats = await fs.stat(file);
+    return stats.isFile() ? stats : null;
+  } catch {
+    return null;
+  }
+}
+
+// Serves `<file>.br` / `<file>.gz` written at build time (scripts/precompress.js)
+// when the client accepts that encoding. Requests without a usable variant
+// fall through to express.static and the runtime compression() middleware.
+function servePrecompressed(root) {
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(req.path);
+    } catch {
+      return next();
+    }
+    if (urlPath.endsWith('/')) {
+      urlPath += 'index.html';
+    }
+
+    const file = path.join(root, urlPath);
+    if (!file.startsWith(root + path.sep)) {
+      return next();
+    }
+
+    const accepted = VARIANTS.filter(({ encoding }) => req.acceptsEncodings(encoding) === encoding);
+    const encoding = req.acceptsEncodings(...accepted.map(variant => variant.encoding), 'identity');
+    const variant = accepted.find(candidate => candidate.encoding === encoding);
+
+    const original = await statFile(file);
+    if (!original) {
+      return next();
+    }
+    // Responses for existing files depend on Accept-Encoding
+    res.vary('Accept-Encoding');
+
+    // A variant older than its source is stale (e.g. mid-rebuild)
+    const compressed = variant ? await statFile(file + variant.extension) : null;
+    if (!compressed || compressed.mtimeMs < original.mtimeMs) {
+      return next();
+    }
+
+    const ext = path.extname(file).toLowerCase();
+    res.type(MIME_OVERRIDES[ext] ?? ext);
+    res.setHeader('Content-Encoding', variant.encoding);
+    res.sendFile(file + variant.extension, (error) => {
+      if (error && !res.headersSent) {
+        // Let express.static handle the original file instead
+        res.removeHeader('Content-Encoding');
+        next();
+      }
+    });
+  };
+}
+
+export { servePrecompressed };
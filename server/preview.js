@@ -0,0 +1,138 @@
+import express from 'express';
+import { transform } from 'esbuild';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { asyncRoute } from './workspace-api.js';
+import { WorkspaceError } from './workspace-store.js';
+
+const MIME_OVERRIDES = {
+  '.mjs': 'application/javascript',
+  '.wasm': 'application/wasm'
+};
+
+// Modules the browser cannot run as written; each file is compiled on its
+// own (imports stay as they are, so they need their extension: "./App.tsx")
+const COMPILED_EXTENSIONS = new Set(['.ts', '.tsx', '.jsx', '.mts']);
+
+const RUN_CLIENT_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'run-client.js');
+
+// Serves the saved files of a workspace as a static site under
+// /preview/:name/, so the project can run in an iframe next to the editor.
+// TypeScript and JSX modules are served compiled to JavaScript.
+//
+// With `run`, the site is for the editor's run console (src/run-console.js):
+// HTML pages start with server/run-client.js, which reports console output
+// to the editor, and a workspace whose entry is a module gets a page that
+// runs it. The console loads the site in a sandboxed iframe (opaque origin),
+// so the files are also served to other origins under COEP.
+function createPreviewRouter(store, { run = false } = {}) {
+  const router = express.Router();
+  let runClient = null;
+
+  router.use((req, res, next) => {
+    res.setHeader('Cache-Control', 'no-store');
+    if (run) {
+      res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+    next();
+  });
+
+  // Relative URLs inside the site only resolve with a trailing slash
+  router.get('/:name', (req, res, next) => {
+    if (req.path.endsWith('/')) {
+      return next();
+    }
+    res.redirect(`${req.baseUrl}/${encodeURIComponent(req.params.name)}/`);
+  });
+
+  router.get('/:name/*', asyncRoute(async (req, res) => {
+    const { name } = req.params;
+    let filePath = req.params[0] || 'index.html';
+    if (filePath.endsWith('/')) {
+      filePath += 'index.html';
+    }
+
+    let content;
+    try {
+      content = await store.read(name, filePath);
+    } catch (error) {
+      if (error.status === 404 && !path.extname(filePath)) {
+        // Allow /preview/name/about for about/index.html
+        content = await store.read(name, `${filePath}/index.html`);
+        filePath = `${filePath}/index.html`;
+      } else if (error.status === 404 && run && filePath === 'index.html') {
+        content = await entryPage(store, name, error);
+      } else {
+        throw error;
+      }
+    }
+
+    const ext = path.extname(filePath).toLowerCase();
+    if (COMPILED_EXTENSIONS.has(ext)) {
+      res.type('application/javascript').send(await compileModule(content, filePath, ext));
+      return;
+    }
+    if (run && ext === '.html') {
+      runClient ??= await fs.readFile(RUN_CLIENT_FILE, 'utf8');
+      res.type('html').send(injectScript(content.toString('utf8'), runClient));
+      return;
+    }
+    res.type(MIME_OVERRIDES[ext] ?? (ext || 'application/octet-stream'));
+    res.send(content);
+  }));
+
+  router.use((err, req, res, next) => {
+    if (err instanceof WorkspaceError) {
+      res.status(err.status).type('text/plain').send(err.message);
+    } else {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+// A page for a workspace without index.html whose entry file is a module
+async function entryPage(store, name, notFound) {
+  const { entryFile } = await store.readMeta(name);
+  if (!entryFile || !/\.(?:m?js|jsx|tsx?|mts)$/.test(entryFile)) {
+    throw notFound;
+  }
+  const src = entryFile.split('/').map(encodeURIComponent).join('/');
+  return `<!DOCTYPE html>\n<html>\n<head><meta charset="UTF-8"><title>${name}</title></head>\n<body>\n<script type="module" src="${src}"></script>\n</body>\n</html>\n`;
+}
+
+// Puts an inline script first, before the page's own scripts run
+function injectScript(html, source) {
+  const script = `<script>${source}</script>`;
+  const head = /<head\b[^>]*>/i.exec(html);
+  if (head) {
+    return html.slice(0, head.index + head[0].length) + script + html.slice(head.index + head[0].length);
+  }
+  const doctype = /^\s*<!doctype[^>]*>/i.exec(html);
+  return doctype ? doctype[0] + script + html.slice(doctype[0].length) : script + html;
+}
+
+// Compile errors become a module that throws them, so they show up in the
+// preview's console instead of as a failed request
+async function compileModule(content, filePath, ext) {
+  try {
+    const { code } = await transform(content.toString('utf8'), {
+      loader: ext === '.mts' ? 'ts' : ext.slice(1),
+      format: 'esm',
+      target: 'es2022',
+      jsx: 'automatic',
+      sourcemap: 'inline',
+      sourcefile: filePath
+    });
+    return code;
+  } catch (error) {
+    const message = error.errors?.map(({ text, location }) => (
+      location ? `${location.file}:${location.line}:${location.column + 1}: ${text}` : text
+    )).join('\n') ?? error.message;
+    return `throw new SyntaxError(${JSON.stringify(message)});\n`;
+  }
+}
+
+export { createPreviewRouter };
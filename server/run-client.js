@@ -0,0 +1,155 @@
+// Injected into the pages the run console loads (server/preview.js with
+// `run`): reports console output, uncaught errors and fetch calls to the
+// editor (src/run-console.js) and answers fetch calls from the mock rules
+// the editor sends. Posted messages carry `channel: 'run-console'`.
+(() => {
+  if (window.parent === window) {
+    // Opened on its own, not by the run console
+    return;
+  }
+  const CHANNEL = 'run-console';
+  const LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+  const MAX_DEPTH = 2;
+  const MAX_ITEMS = 20;
+  // How long fetch calls wait for the editor's mock rules
+  const CONFIG_TIMEOUT = 2000;
+
+  const post = (message) => {
+    try {
+      window.parent.postMessage({ channel: CHANNEL, ...message }, '*');
+    } catch {
+      // Not cloneable; nothing to report then
+    }
+  };
+
+  // A short, console-like description of a value
+  const describe = (value, depth = 0, seen = new Set()) => {
+    try {
+      if (typeof value === 'string') {
+        return depth === 0 ? value : JSON.stringify(value);
+      }
+      if (typeof value === 'bigint') {
+        return `${value}n`;
+      }
+      if (typeof value === 'function') {
+        return `ƒ ${value.name || 'anonymous'}()`;
+      }
+      if (value === null || typeof value !== 'object') {
+        return String(value);
+      }
+      if (value instanceof Error) {
+        return `${value.name}: ${value.message}`;
+      }
+      if (value instanceof Element) {
+        return `<${value.localName}${value.id ? `#${value.id}` : ''}${[...value.classList].map(name => `.${name}`).join('')}>`;
+      }
+      if (seen.has(value)) {
+        return '[Circular]';
+      }
+      if (depth >= MAX_DEPTH) {
+        return Array.isArray(value) ? `Array(${value.length})` : '{…}';
+      }
+      seen.add(value);
+      // The first MAX_ITEMS of `total` items
+      const list = (items, total) => (total > MAX_ITEMS ? [...items, `… ${total - MAX_ITEMS} more`] : items);
+      const inner = (item) => describe(item, depth + 1, seen);
+      let text;
+      if (Array.isArray(value)) {
+        text = `[${list(value.slice(0, MAX_ITEMS).map(inner), value.length).join(', ')}]`;
+      } else if (value instanceof Map) {
+        const entries = [...value].slice(0, MAX_ITEMS).map(([key, item]) => `${inner(key)} => ${inner(item)}`);
+        text = `Map(${value.size}) {${list(entries, value.size).join(', ')}}`;
+      } else if (value instanceof Set) {
+        text = `Set(${value.size}) {${list([...value].slice(0, MAX_ITEMS).map(inner), value.size).join(', ')}}`;
+      } else {
+        const keys = Object.keys(value);
+        const entries = keys.slice(0, MAX_ITEMS).map(key => `${key}: ${inner(value[key])}`);
+        const name = value.constructor && value.constructor !== Object ? `${value.constructor.name} ` : '';
+        text = `${name}{${list(entries, keys.length).join(', ')}}`;
+      }
+      seen.delete(value);
+      return text;
+    } catch {
+      return Object.prototype.toString.call(value);
+    }
+  };
+
+  const stackOf = (value) => (value instanceof Error && typeof value.stack === 'string' ? value.stack : null);
+
+  for (const level of LEVELS) {
+    const original = console[level];
+    console[level] = (...args) => {
+      post({
+        type: 'log',
+        level,
+        text: args.map(arg => describe(arg)).join(' '),
+        stack: args.map(stackOf).find(Boolean) ?? null
+      });
+      original.apply(console, args);
+    };
+  }
+
+  window.addEventListener('error', (event) => {
+    post({
+      type: 'exception',
+      text: event.error != null ? `Uncaught ${describe(event.error)}` : event.message,
+      stack: stackOf(event.error) ?? (event.filename ? `    at ${event.filename}:${event.lineno}:${event.colno}` : null)
+    });
+  });
+
+  window.addEventListener('unhandledrejection', (event) => {
+    post({
+      type: 'exception',
+      text: `Uncaught (in promise) ${describe(event.reason)}`,
+      stack: stackOf(event.reason)
+    });
+  });
+
+  // { mocks: [{ method, url, status, headers, body, delay }] | null }
+  const config = new Promise((resolve) => {
+    window.addEventListener('message', (event) => {
+      if (event.source === window.parent && event.data?.channel === CHANNEL && event.data.type === 'config') {
+        resolve(event.data);
+      }
+    });
+    setTimeout(() => resolve({ mocks: null }), CONFIG_TIMEOUT);
+  });
+
+  // Rule URLs are paths of this origin ("/api/data", with the query only if
+  // the rule has one) or absolute URLs; a trailing * matches any rest
+  const matches = (rule, request) => {
+    if (rule.method && rule.method !== request.method) {
+      return false;
+    }
+    const url = new URL(request.url);
+    const target = /^[a-z][a-z\d+.-]*:/i.test(rule.url)
+      ? url.href
+      : url.pathname + (rule.url.includes('?') ? url.search : '');
+    return rule.url.endsWith('*') ? target.startsWith(rule.url.slice(0, -1)) : target === rule.url;
+  };
+
+  const realFetch = window.fetch.bind(window);
+  window.fetch = async (input, init) => {
+    const request = new Request(input, init);
+    const { mocks } = await config;
+    const mock = mocks?.find(rule => matches(rule, request));
+    const report = (details) => post({ type: 'fetch', method: request.method, url: request.url, ...details });
+    if (mock) {
+      if (mock.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, mock.delay));
+      }
+      report({ status: mock.status, mocked: true });
+      return new Response(mock.body, { status: mock.status, headers: mock.headers });
+    }
+    try {
+      const response = await realFetch(request);
+      report({ status: response.status, mocked: false });
+      return response;
+    } catch (error) {
+      report({ error: error.message, mocked: false });
+      throw error;
+    }
+  };
+
+  post({ type: 'ready', url: location.href });
+})();
@@ -0,0 +1,89 @@
+import express from 'express';
+import { randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { asyncRoute } from './workspace-api.js';
+import { WorkspaceError } from './workspace-store.js';
+
+const PROFILE_PATTERN = /^[A-Za-z0-9][\w.-]*$/;
+
+// Editor settings synced between browsers, one JSON file per profile name
+// under `root`. The server keeps whatever object the browser sends; the
+// browser (src/settings.js) validates it when reading it back.
+class SettingsStore {
+  constructor(root) {
+    this.root = root;
+  }
+
+  profilePath(profile) {
+    if (typeof profile !== 'string' || !PROFILE_PATTERN.test(profile)) {
+      throw new WorkspaceError(`Invalid settings profile: ${profile}`);
+    }
+    return path.join(this.root, `${profile}.json`);
+  }
+
+  async read(profile) {
+    try {
+      return JSON.parse(await fs.readFile(this.profilePath(profile), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new WorkspaceError(`No settings saved for ${profile}`, 404);
+      }
+      throw error;
+    }
+  }
+
+  async write(profile, settings) {
+    const file = this.profilePath(profile);
+    const record = { ...settings, updated: Date.now() };
+    await fs.mkdir(this.root, { recursive: true });
+    // Write then rename, so a reader never sees half a file. Each write has
+    // its own temporary file: concurrent PUTs for a profile must not share one
+    const temporary = `${file}.${randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await fs.writeFile(temporary, JSON.stringify(record, null, 2));
+      await fs.rename(temporary, file);
+    } catch (error) {
+      await fs.rm(temporary, { force: true });
+      throw error;
+    }
+    return record;
+  }
+}
+
+// REST API over a SettingsStore:
+//   GET /:profile   the saved settings (404 when there are none)
+//   PUT /:profile   replace them (JSON object)
+function createSettingsRouter(store, { maxSize = '64kb' } = {}) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    res.setHeader('Cache-Control', 'no-store');
+    next();
+  });
+
+  router.get('/:profile', asyncRoute(async (req, res) => {
+    res.json(await store.read(req.params.profile));
+  }));
+
+  router.put('/:profile', express.json({ limit: maxSize }), asyncRoute(async (req, res) => {
+    const settings = req.body;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new WorkspaceError('Settings must be a JSON object');
+    }
+    res.json(await store.write(req.params.profile, settings));
+  }));
+
+  router.use((err, req, res, next) => {
+    // `expose`: body parser errors (invalid JSON, too large)
+    if (err instanceof WorkspaceError || err.expose) {
+      res.status(err.status).json({ error: err.message });
+    } else {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+export { SettingsStore, createSettingsRouter };
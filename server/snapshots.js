@@ -0,0 +1,380 @@
+import express from 'express';
+import { createHash, randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { WorkspaceError, normalizePath } from './workspace-store.js';
+import { asyncRoute } from './workspace-api.js';
+
+const SNAPSHOT_ID_PATTERN = /^[0-9a-z]+-[0-9a-f]{6}$/;
+const MAX_LABEL_LENGTH = 100;
+
+// Snapshots of the saved files of each workspace, kept outside the
+// workspace directories:
+//   <root>/<workspace>/<id>.json       label, kind, time, { path: { hash, size } }
+//   <root>/<workspace>/objects/<hash>  file contents, shared between snapshots
+//
+// Snapshots are "named" (taken by the user, kept until deleted) or "auto"
+// (taken `interval` seconds after the first change since the last one; the
+// newest `keep` are kept).
+class SnapshotStore {
+  constructor(root, workspaces, { interval = 0, keep = 50 } = {}) {
+    this.root = root;
+    this.workspaces = workspaces;
+    this.interval = interval;
+    this.keep = keep;
+    this.timers = new Map();
+    // Operations on one workspace run one after another
+    this.locks = new Map();
+  }
+
+  snapshotDir(name) {
+    // Validates the workspace name
+    this.workspaces.workspaceDir(name);
+    return path.join(this.root, name);
+  }
+
+  objectPath(name, hash) {
+    return path.join(this.snapshotDir(name), 'objects', hash);
+  }
+
+  recordPath(name, id) {
+    if (typeof id !== 'string' || !SNAPSHOT_ID_PATTERN.test(id)) {
+      throw new WorkspaceError(`Invalid snapshot id: ${id}`);
+    }
+    return path.join(this.snapshotDir(name), `${id}.json`);
+  }
+
+  exclusive(name, task) {
+    const run = (this.locks.get(name) ?? Promise.resolve()).then(task);
+    const settled = run.catch(() => {});
+    this.locks.set(name, settled);
+    settled.then(() => {
+      if (this.locks.get(name) === settled) {
+        this.locks.delete(name);
+      }
+    });
+    return run;
+  }
+
+  // Every snapshot record of the workspace, newest first.
+  async records(name) {
+    const dir = this.snapshotDir(name);
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    const records = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(async file => JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'))));
+    return records.sort((a, b) => b.created.localeCompare(a.created) || b.id.localeCompare(a.id));
+  }
+
+  async list(name) {
+    return (await this.records(name)).map(summary);
+  }
+
+  async get(name, id) {
+    try {
+      return JSON.parse(await fs.readFile(this.recordPath(name, id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new WorkspaceError(`Snapshot not found: ${id}`, 404);
+      }
+      throw error;
+    }
+  }
+
+  // Takes a snapshot of the workspace's current files. Automatic snapshots
+  // are skipped (null) when nothing changed since the latest snapshot.
+  create(name, { label, kind = 'named' } = {}) {
+    return this.exclusive(name, () => this.capture(name, { label, kind }));
+  }
+
+  async capture(name, { label, kind }) {
+    label = String(label ?? '').trim();
+    if (!label || label.length > MAX_LABEL_LENGTH) {
+      throw new WorkspaceError(`A snapshot label of 1-${MAX_LABEL_LENGTH} characters is required`);
+    }
+    if (!await this.workspaces.exists(name)) {
+      throw new WorkspaceError(`Workspace not found: ${name}`, 404);
+    }
+
+    const files = {};
+    const directories = [];
+    await fs.mkdir(path.join(this.snapshotDir(name), 'objects'), { recursive: true });
+    for (const entry of await this.workspaces.list(name)) {
+      if (entry.type === 'directory') {
+        directories.push(entry.path);
+        continue;
+      }
+      const content = await this.workspaces.read(name, entry.path);
+      const hash = hashContent(content);
+      try {
+        await fs.writeFile(this.objectPath(name, hash), content, { flag: 'wx' });
+      } catch (error) {
+        // Already stored by an earlier snapshot
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+      files[entry.path] = { hash, size: content.length };
+    }
+
+    if (kind === 'auto') {
+      const [latest] = await this.records(name);
+      if (latest && sameFiles(latest.files, files)) {
+        return null;
+      }
+    }
+
+    const created = new Date();
+    const record = {
+      id: `${created.getTime().toString(36)}-${randomBytes(3).toString('hex')}`,
+      label,
+      kind,
+      created: created.toISOString(),
+      files,
+      directories
+    };
+    await fs.writeFile(this.recordPath(name, record.id), JSON.stringify(record, null, 2));
+    if (kind === 'auto') {
+      await this.prune(name);
+    }
+    return summary(record);
+  }
+
+  delete(name, id) {
+    return this.exclusive(name, async () => {
+      await this.get(name, id);
+      await fs.rm(this.recordPath(name, id));
+      await this.collectGarbage(name);
+    });
+  }
+
+  // A file's content as of the snapshot.
+  async read(name, id, filePath) {
+    const record = await this.get(name, id);
+    const file = record.files[normalizePath(filePath)];
+    if (!file) {
+      throw new WorkspaceError(`File not in snapshot: ${filePath}`, 404);
+    }
+    return fs.readFile(this.objectPath(name, file.hash));
+  }
+
+  // The snapshot with each file's status against the workspace: unchanged,
+  // modified or deleted (gone from the workspace); `added` lists files the
+  // snapshot does not have.
+  async compare(name, id) {
+    const record = await this.get(name, id);
+    const current = await this.currentHashes(name);
+    const files = Object.entries(record.files).map(([filePath, { hash, size }]) => ({
+      path: filePath,
+      hash,
+      size,
+      status: !current.has(filePath) ? 'deleted' : current.get(filePath) === hash ? 'unchanged' : 'modified'
+    }));
+    const added = [...current.keys()].filter(filePath => !record.files[filePath]);
+    return { ...summary(record), files, added };
+  }
+
+  // The snapshots holding `filePath`, newest first. `changed` marks the ones
+  // whose version differs from the next older snapshot, `current` those that
+  // match the workspace.
+  async history(name, filePath) {
+    const normalized = normalizePath(filePath);
+    const current = (await this.currentHashes(name)).get(normalized) ?? null;
+    const versions = [];
+    let previous = null;
+    for (const record of (await this.records(name)).reverse()) {
+      const file = record.files[normalized];
+      if (file) {
+        versions.push({ ...summary(record), hash: file.hash, size: file.size, changed: file.hash !== previous, current: file.hash === current });
+      }
+      previous = file?.hash ?? null;
+    }
+    return { path: normalized, versions: versions.reverse() };
+  }
+
+  // Restores one file, or with no `filePath` the whole workspace (files the
+  // snapshot does not have are removed). The state before is kept as an
+  // automatic snapshot.
+  restore(name, id, filePath) {
+    return this.exclusive(name, async () => {
+      const record = await this.get(name, id);
+      const backup = await this.capture(name, { label: `Before restoring "${record.label}"`, kind: 'auto' });
+
+      if (filePath) {
+        const normalized = normalizePath(filePath);
+        if (!record.files[normalized]) {
+          throw new WorkspaceError(`File not in snapshot: ${filePath}`, 404);
+        }
+        await this.workspaces.write(name, normalized, await fs.readFile(this.objectPath(name, record.files[normalized].hash)));
+        return { restored: [normalized], removed: [], backup };
+      }
+
+      const keep = new Set(record.directories);
+      for (const filePath of Object.keys(record.files)) {
+        keep.add(filePath);
+        for (let dir = path.posix.dirname(filePath); dir !== '.'; dir = path.posix.dirname(dir)) {
+          keep.add(dir);
+        }
+      }
+
+      const removed = [];
+      const current = await this.currentHashes(name);
+      for (const entry of await this.workspaces.list(name)) {
+        if (!keep.has(entry.path) && !removed.some(dir => entry.path.startsWith(dir + '/'))) {
+          await this.workspaces.delete(name, entry.path);
+          removed.push(entry.path);
+        }
+      }
+      for (const dir of record.directories) {
+        await this.workspaces.createDirectory(name, dir);
+      }
+      const restored = [];
+      for (const [filePath, { hash }] of Object.entries(record.files)) {
+        if (current.get(filePath) !== hash) {
+          await this.workspaces.write(name, filePath, await fs.readFile(this.objectPath(name, hash)));
+          restored.push(filePath);
+        }
+      }
+      return { restored, removed, backup };
+    });
+  }
+
+  // Takes an automatic snapshot `interval` seconds after a change, unless
+  // one is already scheduled.
+  scheduleAutomatic(name) {
+    if (!this.interval || this.timers.has(name)) {
+      return;
+    }
+    const timer = setTimeout(() => {
+      this.timers.delete(name);
+      this.create(name, { label: 'Automatic', kind: 'auto' }).catch((error) => {
+        console.error(`Automatic snapshot of ${name} failed:`, error);
+      });
+    }, this.interval * 1000);
+    timer.unref();
+    this.timers.set(name, timer);
+  }
+
+  // Drops automatic snapshots beyond the newest `keep`
+  async prune(name) {
+    const automatic = (await this.records(name)).filter(record => record.kind === 'auto');
+    const expired = automatic.slice(this.keep);
+    for (const record of expired) {
+      await fs.rm(this.recordPath(name, record.id));
+    }
+    if (expired.length > 0) {
+      await this.collectGarbage(name);
+    }
+  }
+
+  // Removes stored contents no snapshot refers to any more
+  async collectGarbage(name) {
+    const used = new Set();
+    for (const record of await this.records(name)) {
+      Object.values(record.files).forEach(file => used.add(file.hash));
+    }
+    const objects = path.join(this.snapshotDir(name), 'objects');
+    for (const hash of await fs.readdir(objects).catch(() => [])) {
+      if (!used.has(hash)) {
+        await fs.rm(path.join(objects, hash), { force: true });
+      }
+    }
+  }
+
+  async currentHashes(name) {
+    const hashes = new Map();
+    for (const entry of await this.workspaces.list(name)) {
+      if (entry.type === 'file') {
+        hashes.set(entry.path, hashContent(await this.workspaces.read(name, entry.path)));
+      }
+    }
+    return hashes;
+  }
+}
+
+function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+function sameFiles(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => b[key]?.hash === a[key].hash);
+}
+
+function summary({ id, label, kind, created, files }) {
+  const sizes = Object.values(files).map(file => file.size);
+  return { id, label, kind, created, files: sizes.length, size: sizes.reduce((total, size) => total + size, 0) };
+}
+
+// REST API over a SnapshotStore, next to the workspace file API:
+//   GET    /:name/snapshots                   list snapshots, newest first
+//   POST   /:name/snapshots                   take a named snapshot ({ label })
+//   GET    /:name/snapshots/:id               files compared with the workspace
+//   DELETE /:name/snapshots/:id               delete a snapshot
+//   GET    /:name/snapshots/:id/files/<path>  a file as it was (raw bytes)
+//   POST   /:name/snapshots/:id/restore       restore the workspace, or one file ({ path })
+//   GET    /:name/history/<path>              the snapshots holding a file
+//
+// `onChange(name, change)` is called for every file a restore wrote or
+// removed (see createWorkspaceRouter).
+function createSnapshotRouter(snapshots, { onChange = () => {} } = {}) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    res.setHeader('Cache-Control', 'no-store');
+    next();
+  });
+
+  router.get('/:name/snapshots', asyncRoute(async (req, res) => {
+    res.json({ snapshots: await snapshots.list(req.params.name) });
+  }));
+
+  router.post('/:name/snapshots', express.json(), asyncRoute(async (req, res) => {
+    res.status(201).json(await snapshots.create(req.params.name, { label: req.body?.label }));
+  }));
+
+  router.get('/:name/snapshots/:id', asyncRoute(async (req, res) => {
+    res.json(await snapshots.compare(req.params.name, req.params.id));
+  }));
+
+  router.delete('/:name/snapshots/:id', asyncRoute(async (req, res) => {
+    await snapshots.delete(req.params.name, req.params.id);
+    res.status(204).end();
+  }));
+
+  router.get('/:name/snapshots/:id/files/*', asyncRoute(async (req, res) => {
+    const content = await snapshots.read(req.params.name, req.params.id, req.params[0]);
+    res.type('application/octet-stream').send(content);
+  }));
+
+  router.post('/:name/snapshots/:id/restore', express.json(), asyncRoute(async (req, res) => {
+    const result = await snapshots.restore(req.params.name, req.params.id, req.body?.path);
+    res.json(result);
+    result.removed.forEach(path => onChange(req.params.name, { kind: 'delete', path }));
+    result.restored.forEach(path => onChange(req.params.name, { kind: 'write', path }));
+  }));
+
+  router.get('/:name/history/*', asyncRoute(async (req, res) => {
+    res.json(await snapshots.history(req.params.name, req.params[0]));
+  }));
+
+  router.use((err, req, res, next) => {
+    if (err instanceof WorkspaceError) {
+      res.status(err.status).json({ error: err.message });
+    } else {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+export { SnapshotStore, createSnapshotRouter };
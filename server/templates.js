@@ -0,0 +1,156 @@
+import express from 'express';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { asyncRoute } from './workspace-api.js';
+import { WorkspaceError } from './workspace-store.js';
+
+const TEMPLATE_ID_PATTERN = /^[A-Za-z0-9][\w.-]*$/;
+const TEMPLATE_FILE = 'template.json';
+
+// Project templates, one directory per template under `root`:
+//   <root>/<id>/template.json   { name, description, entryFile, order }
+//   <root>/<id>/files/...       the files a new workspace starts with
+// Templates are read from disk on every request, so edits show up at once.
+class TemplateRegistry {
+  constructor(root) {
+    this.root = root;
+  }
+
+  templateDir(id) {
+    if (typeof id !== 'string' || !TEMPLATE_ID_PATTERN.test(id)) {
+      throw new WorkspaceError(`Invalid template: ${id}`);
+    }
+    return path.join(this.root, id);
+  }
+
+  // Every valid template, by `order` then name
+  async list() {
+    let dirents;
+    try {
+      dirents = await fs.readdir(this.root, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    const templates = [];
+    for (const dirent of dirents.filter(dirent => dirent.isDirectory() && TEMPLATE_ID_PATTERN.test(dirent.name))) {
+      try {
+        templates.push(await this.get(dirent.name));
+      } catch (error) {
+        console.warn(`Skipping template ${dirent.name}: ${error.message}`);
+      }
+    }
+    return templates.sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+  }
+
+  // A template's description and file paths
+  async get(id) {
+    const dir = this.templateDir(id);
+    let template;
+    try {
+      template = JSON.parse(await fs.readFile(path.join(dir, TEMPLATE_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new WorkspaceError(`Template not found: ${id}`, 404);
+      }
+      throw error;
+    }
+    const files = await this.paths(id);
+    if (!files.includes(template.entryFile)) {
+      throw new Error(`entry file ${template.entryFile} is not among its files`);
+    }
+    return {
+      id,
+      name: String(template.name ?? id),
+      description: String(template.description ?? ''),
+      entryFile: template.entryFile,
+      order: Number.isFinite(template.order) ? template.order : Number.MAX_SAFE_INTEGER,
+      files
+    };
+  }
+
+  // Paths of the template's files, relative to files/
+  async paths(id) {
+    const root = path.join(this.templateDir(id), 'files');
+    const paths = [];
+    const walk = async (dir) => {
+      for (const dirent of await fs.readdir(dir, { withFileTypes: true })) {
+        const absolute = path.join(dir, dirent.name);
+        if (dirent.isDirectory()) {
+          await walk(absolute);
+        } else if (dirent.isFile()) {
+          paths.push(path.relative(root, absolute).split(path.sep).join('/'));
+        }
+      }
+    };
+    try {
+      await walk(root);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    return paths.sort();
+  }
+
+  // The template's files: [{ path, content }]
+  async files(id) {
+    const root = path.join(this.templateDir(id), 'files');
+    const paths = await this.paths(id);
+    return Promise.all(paths.map(async file => ({
+      path: file,
+      content: await fs.readFile(path.join(root, file))
+    })));
+  }
+}
+
+// REST API over a TemplateRegistry:
+//   GET  /                  list templates
+//   GET  /:id               a template and its file paths
+//   POST /:id/workspaces    create a workspace from it ({ name }); 409 if
+//                           the workspace exists
+//
+// `onChange(name, change)` is called for every file written, like the
+// workspace API's.
+function createTemplateRouter(registry, store, { onChange = () => {} } = {}) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    res.setHeader('Cache-Control', 'no-store');
+    next();
+  });
+
+  router.get('/', asyncRoute(async (req, res) => {
+    res.json({ templates: await registry.list() });
+  }));
+
+  router.get('/:id', asyncRoute(async (req, res) => {
+    res.json(await registry.get(req.params.id));
+  }));
+
+  router.post('/:id/workspaces', express.json(), asyncRoute(async (req, res) => {
+    const { id } = req.params;
+    const name = req.body?.name;
+    const template = await registry.get(id);
+    const meta = { template: id, entryFile: template.entryFile, created: Date.now() };
+    const entries = await store.create(name, await registry.files(id), meta);
+    for (const entry of entries) {
+      onChange(name, { kind: 'write', path: entry.path });
+    }
+    res.status(201).json({ name, ...meta });
+  }));
+
+  router.use((err, req, res, next) => {
+    if (err instanceof WorkspaceError) {
+      res.status(err.status).json({ error: err.message });
+    } else {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+export { TemplateRegistry, createTemplateRouter };
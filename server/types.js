@@ -0,0 +1,357 @@
+import express from 'express';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { asyncRoute } from './workspace-api.js';
+import { PACKAGE_NAME_PATTERN, packageName } from './vendor.js';
+import { satisfies } from './versions.js';
+
+const SPECIFIER_PATTERN = /(\bfrom\s*|\bimport\s*\(\s*|\brequire\s*\(\s*|\bimport\s+)(["'])([^"'\n]+)\2/g;
+const REFERENCE_PATTERN = /^\/\/\/\s*<reference\s+(path|types|lib)=["']([^"']+)["']\s*\/>\s*$/gm;
+const MODULE_SYNTAX_PATTERN = /^\s*(?:import|export)\b/m;
+const IMPORT_STATEMENT_PATTERN = /^import\s[^;]*?(?:from\s*["'][^"']+["']|=\s*require\(\s*["'][^"']+["']\s*\))\s*;?/gm;
+const AUGMENTATION_PATTERN = /^declare\s+module\s+(["'])([^"']+)\1\s*\{/gm;
+// `declare` is not allowed inside an ambient module block (`declare global`
+// becomes `global`)
+const NESTED_DECLARE_PATTERN = /^(\s*(?:export\s+)?)declare\s+(?=(?:namespace|global|module\s+\w|function|const|let|var|class|abstract|enum|type|interface)\b)/gm;
+
+// Builds single-file `.d.ts` bundles from the type definitions installed in
+// `nodeModulesDir`: either the package's own types or its @types package.
+// Every module file becomes a `declare module "<name>/<subpath>" { ... }`
+// block, so the TypeScript worker can load a bundle as one ambient library.
+class TypesRegistry {
+  constructor({ nodeModulesDir }) {
+    this.nodeModulesDir = nodeModulesDir;
+    this.bundles = new Map();
+  }
+
+  // Directory of an installed package, or null for names that are not valid
+  // npm package names (names come from URLs and from the .d.ts sources).
+  packageDir(name) {
+    if (!PACKAGE_NAME_PATTERN.test(name)) {
+      return null;
+    }
+    const root = path.resolve(this.nodeModulesDir);
+    const dir = path.resolve(root, name);
+    return dir.startsWith(root + path.sep) ? dir : null;
+  }
+
+  async readPackageJson(name) {
+    const dir = this.packageDir(name);
+    if (!dir) {
+      return null;
+    }
+    try {
+      return JSON.parse(await fs.readFile(path.join(dir, 'package.json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Locates the type definitions for a library, preferring bundled types.
+  async findTypes(name) {
+    const pkg = await this.readPackageJson(name);
+    if (pkg) {
+      const entry = pkg.types ?? pkg.typings ?? (await exists(path.join(this.packageDir(name), 'index.d.ts')) ? 'index.d.ts' : null);
+      if (entry) {
+        return { name, typesPackage: name, version: pkg.version, entry };
+      }
+    }
+
+    const typesPackage = `@types/${name.startsWith('@') ? name.slice(1).replace('/', '__') : name}`;
+    const typesPkg = await this.readPackageJson(typesPackage);
+    if (typesPkg) {
+      return {
+        name,
+        typesPackage,
+        version: typesPkg.version,
+        entry: typesPkg.types ?? typesPkg.typings ?? 'index.d.ts'
+      };
+    }
+    return null;
+  }
+
+  // Resolves [{ name, range }] plus the packages their types import, in
+  // dependency order. Returns { types, missing }.
+  async resolve(requests) {
+    const types = [];
+    const missing = [];
+    const seen = new Set();
+
+    const visit = async (name, range) => {
+      if (seen.has(name)) {
+        return;
+      }
+      seen.add(name);
+
+      const found = await this.findTypes(name);
+      if (!found || !satisfies(range, found.version)) {
+        missing.push(range ? `${name}@${range}` : name);
+        return;
+      }
+
+      const { dependencies } = await this.bundle(found.typesPackage, found.version);
+      for (const dependency of dependencies) {
+        await visit(dependency, '');
+      }
+      types.push({
+        name,
+        version: found.version,
+        typesPackage: found.typesPackage,
+        url: `/types/${found.typesPackage}@${found.version}.d.ts`
+      });
+    };
+
+    for (const { name, range } of requests) {
+      await visit(name, range ?? '');
+    }
+    return { types, missing };
+  }
+
+  // Returns { code, dependencies } for an installed types package at `version`.
+  async bundle(typesPackage, version) {
+    const key = `${typesPackage}@${version}`;
+    if (!this.bundles.has(key)) {
+      this.bundles.set(key, this.buildBundle(typesPackage, version).catch((error) => {
+        this.bundles.delete(key);
+        throw error;
+      }));
+    }
+    return this.bundles.get(key);
+  }
+
+  async buildBundle(typesPackage, version) {
+    const pkg = await this.readPackageJson(typesPackage);
+    if (!pkg || pkg.version !== version) {
+      return null;
+    }
+
+    const dir = this.packageDir(typesPackage);
+    const moduleName = typesPackage.startsWith('@types/')
+      ? typesPackage.slice('@types/'.length).replace(/^(.+?)__/, '@$1/')
+      : typesPackage;
+    const entry = normalizeDts(pkg.types ?? pkg.typings ?? 'index.d.ts');
+    const files = await listDeclarationFiles(dir);
+
+    const nameOf = (file) => {
+      if (file === entry) {
+        return moduleName;
+      }
+      const sub = file.replace(/\.d\.ts$/, '').replace(/(^|\/)index$/, '');
+      return sub ? `${moduleName}/${sub}` : moduleName;
+    };
+    const resolveRelative = (fromFile, specifier) => {
+      const base = path.posix.join(path.posix.dirname(fromFile), specifier);
+      const candidates = [
+        normalizeDts(base),
+        base.replace(/\.(m|c)?js$/, '') + '.d.ts',
+        path.posix.join(base, 'index.d.ts')
+      ];
+      const match = candidates.find(candidate => files.includes(candidate));
+      return match ? nameOf(match) : null;
+    };
+
+    const dependencies = new Set();
+    const references = new Set();
+    const chunks = [];
+
+    for (const file of files) {
+      let source = await fs.readFile(path.join(dir, file), 'utf8');
+
+      source = source.replace(REFERENCE_PATTERN, (line, kind, value) => {
+        if (kind === 'types' && packageName(value) !== moduleName) {
+          dependencies.add(packageName(value));
+        } else if (kind === 'lib') {
+          references.add(line.trim());
+        }
+        // `path` references point at files that are bundled anyway
+        return '';
+      });
+
+      if (!MODULE_SYNTAX_PATTERN.test(source)) {
+        // Global script (e.g. @types/react/global.d.ts)
+        chunks.push(`// ${file}\n${source.trim()}`);
+        continue;
+      }
+
+      // Module augmentations cannot stay nested inside the module block.
+      // Files augmenting their own package (react/canary, ...) are opt-in
+      // entry points and would change the types for everyone, so skip them.
+      const { source: rest, augmentations } = extractAugmentations(source);
+      if (augmentations.some(({ specifier }) => specifier.startsWith('.'))) {
+        continue;
+      }
+      source = rest;
+      const imports = source.match(IMPORT_STATEMENT_PATTERN) ?? [];
+
+      source = source.replace(SPECIFIER_PATTERN, (match, prefix, quote, specifier) => {
+        if (specifier.startsWith('.')) {
+          const resolved = resolveRelative(file, specifier);
+          return resolved ? `${prefix}${quote}${resolved}${quote}` : match;
+        }
+        if (packageName(specifier) !== moduleName) {
+          dependencies.add(packageName(specifier));
+        }
+        return match;
+      });
+      source = source
+        .replace(/^\s*export\s+as\s+namespace\s+[\w$]+\s*;?\s*$/gm, '')
+        .replace(NESTED_DECLARE_PATTERN, '$1');
+
+      chunks.push(`// ${file}\ndeclare module ${JSON.stringify(nameOf(file))} {\n${source.trim()}\n}`);
+
+      for (const { specifier, body } of augmentations) {
+        const scoped = [...imports, body.trim()].join('\n').replace(SPECIFIER_PATTERN, (match, prefix, quote, spec) => {
+          const resolved = spec.startsWith('.') ? resolveRelative(file, spec) : null;
+          return resolved ? `${prefix}${quote}${resolved}${quote}` : match;
+        });
+        chunks.push(`// ${file} (augments ${specifier})\ndeclare module ${JSON.stringify(specifier)} {\n${scoped}\n}`);
+      }
+    }
+
+    const header = `// Type definitions for ${moduleName} from ${typesPackage}@${version}`;
+    const code = [header, ...references, ...chunks].join('\n\n') + '\n';
+    return { code, dependencies: [...dependencies].filter(name => name !== moduleName) };
+  }
+}
+
+// Pulls top-level `declare module "x" { ... }` blocks out of a module file.
+function extractAugmentations(source) {
+  const augmentations = [];
+  let output = '';
+  let last = 0;
+
+  for (const match of source.matchAll(AUGMENTATION_PATTERN)) {
+    if (match.index < last) {
+      continue;
+    }
+    const open = match.index + match[0].length - 1;
+    const close = findClosingBrace(source, open);
+    if (close === -1) {
+      break;
+    }
+    output += source.slice(last, match.index);
+    augmentations.push({ specifier: match[2], body: source.slice(open + 1, close) });
+    last = close + 1;
+  }
+
+  return { source: output + source.slice(last), augmentations };
+}
+
+// Index of the brace closing the one at `open`, skipping strings and comments.
+function findClosingBrace(source, open) {
+  let depth = 0;
+  for (let i = open; i < source.length; i++) {
+    const char = source[i];
+    if (char === '/' && source[i + 1] === '/') {
+      i = source.indexOf('\n', i);
+      if (i === -1) {
+        return -1;
+      }
+    } else if (char === '/' && source[i + 1] === '*') {
+      i = source.indexOf('*/', i + 2) + 1;
+      if (i === 0) {
+        return -1;
+      }
+    } else if (char === '"' || char === "'" || char === '`') {
+      for (i++; i < source.length && source[i] !== char; i++) {
+        if (source[i] === '\\') {
+          i++;
+        }
+      }
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function normalizeDts(file) {
+  const normalized = path.posix.normalize(file).replace(/^\.\//, '');
+  return normalized.endsWith('.d.ts') ? normalized : `${normalized.replace(/\.(m|c)?(j|t)s$/, '')}.d.ts`;
+}
+
+// All .d.ts files of a package, skipping nested node_modules and the
+// typesVersions copies for older compilers (ts5.0/, ts4.8/, ...).
+async function listDeclarationFiles(dir, relative = '') {
+  const files = [];
+  for (const entry of await fs.readdir(path.join(dir, relative), { withFileTypes: true })) {
+    const rel = relative ? `${relative}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules' && !/^ts\d+(\.\d+)?$/.test(entry.name)) {
+        files.push(...await listDeclarationFiles(dir, rel));
+      }
+    } else if (entry.name.endsWith('.d.ts')) {
+      files.push(rel);
+    }
+  }
+  return files.sort();
+}
+
+// Parses "react@^18.2.0,react-dom,@scope/pkg@1" into [{ name, range }].
+function parsePackageList(list) {
+  return String(list ?? '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const at = item.indexOf('@', 1);
+      return at === -1 ? { name: item, range: '' } : { name: item.slice(0, at), range: item.slice(at + 1) };
+    });
+}
+
+//   GET /api/types?packages=react@^18.2.0,react-dom   resolve bundle URLs
+function createTypesApiRouter(registry) {
+  const router = express.Router();
+
+  router.get('/', asyncRoute(async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    const requests = parsePackageList(req.query.packages);
+    const invalid = requests.find(({ name }) => !PACKAGE_NAME_PATTERN.test(name));
+    if (invalid) {
+      res.status(400).json({ error: `Invalid package name: ${invalid.name}` });
+      return;
+    }
+    res.json(await registry.resolve(requests));
+  }));
+
+  return router;
+}
+
+//   GET /types/<types package>@<version>.d.ts        the bundle itself
+function createTypesRouter(registry) {
+  const router = express.Router();
+
+  router.get('/*', asyncRoute(async (req, res) => {
+    const match = /^(.+)@([^@/]+)\.d\.ts$/.exec(req.params[0]);
+    if (match && !PACKAGE_NAME_PATTERN.test(match[1])) {
+      res.status(400).type('text/plain').send(`Invalid package name: ${match[1]}`);
+      return;
+    }
+    const bundle = match ? await registry.bundle(match[1], match[2]) : null;
+    if (!bundle) {
+      res.status(404).type('text/plain').send(`Type definitions not installed: ${req.params[0]}`);
+      return;
+    }
+    // The URL pins an exact version, so the content never changes
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.type('application/typescript').send(bundle.code);
+  }));
+
+  return router;
+}
+
+export { TypesRegistry, createTypesApiRouter, createTypesRouter, parsePackageList };
@@ -0,0 +1,274 @@
+import express from 'express';
+import { parse as parseCommonJs } from 'cjs-module-lexer';
+import { build } from 'esbuild';
+import { promises as fs } from 'fs';
+import { createRequire } from 'module';
+import path from 'path';
+import { asyncRoute } from './workspace-api.js';
+import { compareVersions, satisfies } from './versions.js';
+
+const PACKAGE_NAME_PATTERN = /^(?:@[a-z0-9][\w.-]*\/)?[a-z0-9][\w.-]*$/i;
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+const RESERVED_EXPORTS = new Set(['default', '__esModule']);
+
+// Error for specifiers that cannot be vendored; `status` maps onto HTTP.
+class VendorError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VendorError';
+    this.status = status;
+  }
+}
+
+// Parses "react", "react@18", "react-dom@18.2.0/client" or
+// "@scope/pkg@1/sub/path" into { name, version, subpath }.
+function parseSpecifier(specifier) {
+  const match = /^((?:@[^/@]+\/)?[^/@]+)(?:@([^/]+))?(?:\/(.*))?$/.exec(specifier ?? '');
+  if (!match || !PACKAGE_NAME_PATTERN.test(match[1])) {
+    throw new VendorError(`Invalid package specifier: ${specifier}`);
+  }
+  const subpath = (match[3] ?? '').replace(/\.m?js$/, '');
+  if (subpath.split('/').includes('..')) {
+    throw new VendorError(`Invalid package subpath: ${specifier}`);
+  }
+  return { name: match[1], version: match[2] ?? '', subpath };
+}
+
+// Package part of a bare import specifier ("react-dom/client" → "react-dom").
+function packageName(specifier) {
+  const segments = specifier.split('/');
+  return specifier.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+}
+
+// Serves browser ESM builds of npm packages for offline use. Builds are read
+// from `cacheDir` (<name>@<version>/<subpath>.mjs) and, when missing, bundled
+// from the packages installed in `nodeModulesDir` with esbuild and cached.
+// Regular dependencies are bundled in; peer dependencies and the package's
+// own entry points stay bare imports so the page's import map resolves them
+// to their /vendor URL, keeping a single copy of react and friends.
+class VendorCache {
+  constructor({ cacheDir, nodeModulesDir }) {
+    this.cacheDir = cacheDir;
+    this.nodeModulesDir = nodeModulesDir;
+    this.building = new Map();
+  }
+
+  cacheFile(name, version, subpath) {
+    return path.join(this.cacheDir, `${name}@${version}`, `${subpath || 'index'}.mjs`);
+  }
+
+  async installedVersion(name) {
+    return (await this.packageJson(name))?.version ?? null;
+  }
+
+  async packageJson(name) {
+    try {
+      const pkgJson = path.join(this.nodeModulesDir, name, 'package.json');
+      return JSON.parse(await fs.readFile(pkgJson, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async cachedVersions(name) {
+    const scopeDir = path.join(this.cacheDir, path.dirname(name));
+    const prefix = `${path.basename(name)}@`;
+    try {
+      const entries = await fs.readdir(scopeDir);
+      return entries
+        .filter(entry => entry.startsWith(prefix))
+        .map(entry => entry.slice(prefix.length));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  // Returns { name, version, subpath, file, code } for a specifier, building it if needed.
+  async get(specifier) {
+    const { name, version: requested, subpath } = parseSpecifier(specifier);
+
+    const cached = (await this.cachedVersions(name))
+      .filter(version => satisfies(requested, version))
+      .sort(compareVersions)
+      .reverse();
+    for (const version of cached) {
+      const file = this.cacheFile(name, version, subpath);
+      try {
+        return { name, version, subpath, file, code: await fs.readFile(file) };
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    const installed = await this.installedVersion(name);
+    if (!installed) {
+      throw new VendorError(`Package "${name}" is neither cached nor installed`, 404);
+    }
+    if (!satisfies(requested, installed)) {
+      throw new VendorError(`Package "${name}@${requested}" not available (installed: ${installed})`, 404);
+    }
+
+    const file = this.cacheFile(name, installed, subpath);
+    const key = file;
+    if (!this.building.has(key)) {
+      this.building.set(key, this.buildModule(name, subpath, file).finally(() => this.building.delete(key)));
+    }
+    const code = await this.building.get(key);
+    return { name, version: installed, subpath, file, code };
+  }
+
+  async buildModule(name, subpath, outfile) {
+    const moduleId = subpath ? `${name}/${subpath}` : name;
+    const entry = await this.entrySource(moduleId);
+    const peers = Object.keys((await this.packageJson(name))?.peerDependencies ?? {});
+
+    let result;
+    try {
+      result = await build({
+        stdin: {
+          contents: entry,
+          resolveDir: path.dirname(this.nodeModulesDir),
+          loader: 'js'
+        },
+        bundle: true,
+        format: 'esm',
+        platform: 'browser',
+        target: 'es2022',
+        minify: true,
+        write: false,
+        logLevel: 'silent',
+        define: {
+          'process.env.NODE_ENV': '"production"'
+        },
+        plugins: [externalPackagesPlugin(name, peers)]
+      });
+    } catch (error) {
+      const message = error.errors?.[0]?.text ?? error.message;
+      throw new VendorError(`Could not bundle "${moduleId}": ${message}`, 404);
+    }
+
+    const code = Buffer.from(result.outputFiles[0].contents);
+    await fs.mkdir(path.dirname(outfile), { recursive: true });
+    await fs.writeFile(outfile, code);
+    return code;
+  }
+
+  // CommonJS packages (react, react-dom, ...) only get a default export from
+  // esbuild, so their named exports are listed explicitly. The names are
+  // read from the source, as Node does for imports of CommonJS; the
+  // package's code never runs in the server.
+  async entrySource(moduleId) {
+    const id = JSON.stringify(moduleId);
+    const require = createRequire(path.join(this.nodeModulesDir, 'noop.js'));
+
+    let exported;
+    try {
+      exported = await commonJsExports(require.resolve(moduleId));
+    } catch (error) {
+      if (error.code === 'MODULE_NOT_FOUND') {
+        throw new VendorError(`Cannot resolve "${moduleId}"`, 404);
+      }
+      // ESM (ERR_LEXER_ESM_SYNTAX) or no require entry point; re-export as is
+      return `export * from ${id};`;
+    }
+
+    const names = [...exported]
+      .filter(key => IDENTIFIER_PATTERN.test(key) && !RESERVED_EXPORTS.has(key))
+      .sort();
+    const lines = [`import mod from ${id};`, 'export default mod;'];
+    if (names.length > 0) {
+      lines.push(`export const { ${names.join(', ')} } = mod;`);
+    }
+    return lines.join('\n');
+  }
+}
+
+// Export names of a CommonJS file, following `module.exports = require(...)`
+// re-exports. Throws for files with ESM syntax.
+async function commonJsExports(file, seen = new Set()) {
+  seen.add(file);
+  const { exports, reexports } = parseCommonJs(await fs.readFile(file, 'utf8'), file);
+  const names = new Set(exports);
+  const require = createRequire(file);
+  for (const specifier of reexports) {
+    let target;
+    try {
+      target = require.resolve(specifier);
+    } catch {
+      continue;
+    }
+    if (path.isAbsolute(target) && !seen.has(target)) {
+      try {
+        (await commonJsExports(target, seen)).forEach(name => names.add(name));
+      } catch {
+        // An ESM re-export; esbuild still bundles it behind the default export
+      }
+    }
+  }
+  return names;
+}
+
+// Keeps peer dependencies and self-imports external. CommonJS `require()` of
+// an external does not work in an ESM bundle, so each one is routed through a
+// small ESM facade that esbuild can wrap for require().
+function externalPackagesPlugin(self, peers) {
+  const isExternal = (specifier, importer) => {
+    const name = packageName(specifier);
+    return peers.includes(name) || (name === self && importer !== '<stdin>');
+  };
+
+  return {
+    name: 'vendor-externals',
+    setup(pluginBuild) {
+      pluginBuild.onResolve({ filter: /^[^./]/ }, (args) => {
+        if (args.namespace === 'vendor-external') {
+          return { path: args.path, external: true };
+        }
+        if (args.kind !== 'entry-point' && args.importer && isExternal(args.path, args.importer)) {
+          return { path: args.path, namespace: 'vendor-external' };
+        }
+        return undefined;
+      });
+
+      pluginBuild.onLoad({ filter: /.*/, namespace: 'vendor-external' }, (args) => {
+        const id = JSON.stringify(args.path);
+        return {
+          contents: `import * as ns from ${id};\nexport * from ${id};\nexport default ns.default ?? ns;`,
+          loader: 'js'
+        };
+      });
+    }
+  };
+}
+
+// GET /vendor/<name>[@<version>][/<subpath>] → ES module
+function createVendorRouter(cache) {
+  const router = express.Router();
+
+  router.get('/*', asyncRoute(async (req, res) => {
+    try {
+      const { code } = await cache.get(req.params[0]);
+      res.setHeader('Content-Type', 'application/javascript');
+      res.setHeader('Cache-Control', 'public, max-age=3600');
+      res.send(code);
+    } catch (error) {
+      if (error instanceof VendorError) {
+        res.status(error.status).type('text/plain').send(error.message);
+      } else {
+        throw error;
+      }
+    }
+  }));
+
+  return router;
+}
+
+export { PACKAGE_NAME_PATTERN, VendorCache, VendorError, createVendorRouter, packageName, parseSpecifier };
@@ -0,0 +1,52 @@
+// Just enough semver for matching installed packages against the ranges
+// found in import maps and package.json files.
+
+function parseVersion(version) {
+  const [core] = String(version).replace(/^[=v]+/, '').split(/[-+]/);
+  return core.split('.').map(part => (/^\d+$/.test(part) ? Number(part) : null));
+}
+
+function compareVersions(a, b) {
+  const pa = parseVersion(a);
+  const pb = parseVersion(b);
+  for (let i = 0; i < 3; i++) {
+    const diff = (pa[i] ?? 0) - (pb[i] ?? 0);
+    if (diff) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+// Supports "", "*", "latest", "18", "18.2", "18.x", "18.2.0", "^18.2.0",
+// "~18.2.0", ">=18.2.0" and "a || b".
+function satisfies(range, version) {
+  range = String(range ?? '').trim();
+  if (range.includes('||')) {
+    return range.split('||').some(part => satisfies(part, version));
+  }
+  if (!range || range === '*' || range === 'latest') {
+    return true;
+  }
+
+  const have = parseVersion(version);
+  const operator = /^(\^|~|>=)?/.exec(range)[1] ?? '';
+  const wanted = parseVersion(range.slice(operator.length));
+  const specified = wanted.findIndex(part => part === null);
+  const length = specified === -1 ? wanted.length : specified;
+
+  if (operator === '>=') {
+    return compareVersions(version, range.slice(2)) >= 0;
+  }
+  if (operator === '^' || operator === '~') {
+    if (compareVersions(version, range.slice(1)) < 0) {
+      return false;
+    }
+    // ^ locks the first non-zero part, ~ locks major.minor
+    const locked = operator === '~' ? Math.min(2, length) : Math.max(1, wanted.findIndex(part => part !== 0) + 1);
+    return wanted.slice(0, Math.min(locked, length)).every((part, index) => part === have[index]);
+  }
+  return wanted.slice(0, length).every((part, index) => part === have[index]);
+}
+
+export { compareVersions, satisfies };
@@ -0,0 +1,109 @@
+import express from 'express';
+import { WorkspaceError, normalizePath } from './workspace-store.js';
+
+// Express 4 does not forward rejected promises to the error handler.
+const asyncRoute = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// REST API over a WorkspaceStore:
+//   GET    /                      list workspaces (with their metadata)
+//   GET    /:name/files           list files and directories, and the entry file
+//   GET    /:name/files/<path>    read a file (raw bytes)
+//   PUT    /:name/files/<path>    write a file (raw request body)
+//   DELETE /:name/files/<path>    delete a file or directory
+//   POST   /:name/directories     create a directory ({ path })
+//   POST   /:name/rename          rename/move an entry ({ from, to })
+//   PUT    /:name/meta            set the entry file ({ entryFile })
+//
+// `onChange(name, change)` is called after every successful change, with
+// `change` one of { kind: 'write' | 'delete' | 'directory', path } or
+// { kind: 'rename', from, to }.
+function createWorkspaceRouter(store, { maxFileSize = '20mb', onChange = () => {} } = {}) {
+  const router = express.Router();
+
+  // Workspace content changes constantly; never let the static cache rules apply
+  router.use((req, res, next) => {
+    res.setHeader('Cache-Control', 'no-store');
+    next();
+  });
+
+  router.get('/', asyncRoute(async (req, res) => {
+    res.json({ workspaces: await store.listWorkspaces() });
+  }));
+
+  router.get('/:name/files', asyncRoute(async (req, res) => {
+    const { name } = req.params;
+    const { entryFile = null } = await store.readMeta(name);
+    res.json({
+      name,
+      exists: await store.exists(name),
+      entryFile,
+      entries: await store.list(name)
+    });
+  }));
+
+  router.get('/:name/files/*', asyncRoute(async (req, res) => {
+    const content = await store.read(req.params.name, req.params[0]);
+    res.type('application/octet-stream').send(content);
+  }));
+
+  router.put('/:name/files/*',
+    express.raw({ type: () => true, limit: maxFileSize }),
+    asyncRoute(async (req, res) => {
+      const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const entry = await store.write(req.params.name, req.params[0], body);
+      res.json(entry);
+      onChange(req.params.name, { kind: 'write', path: entry.path });
+    })
+  );
+
+  router.delete('/:name/files/*', asyncRoute(async (req, res) => {
+    await store.delete(req.params.name, req.params[0]);
+    res.status(204).end();
+    onChange(req.params.name, { kind: 'delete', path: normalizePath(req.params[0]) });
+  }));
+
+  router.post('/:name/directories', express.json(), asyncRoute(async (req, res) => {
+    const entry = await store.createDirectory(req.params.name, req.body?.path);
+    res.json(entry);
+    onChange(req.params.name, { kind: 'directory', path: entry.path });
+  }));
+
+  router.post('/:name/rename', express.json(), asyncRoute(async (req, res) => {
+    const { from, to } = req.body ?? {};
+    const renamed = await store.rename(req.params.name, from, to);
+    res.json(renamed);
+    onChange(req.params.name, { kind: 'rename', ...renamed });
+  }));
+
+  // The run page and bundler start from the entry file, so an import that
+  // replaces the project records its own
+  router.put('/:name/meta', express.json(), asyncRoute(async (req, res) => {
+    const { name } = req.params;
+    const entryFile = req.body?.entryFile;
+    if (typeof entryFile !== 'string') {
+      throw new WorkspaceError('An entry file is required');
+    }
+    // Validates the path
+    store.resolve(name, entryFile);
+    if (!await store.exists(name)) {
+      throw new WorkspaceError(`Workspace not found: ${name}`, 404);
+    }
+    const meta = { ...await store.readMeta(name), entryFile: normalizePath(entryFile) };
+    await store.writeMeta(name, meta);
+    res.json(meta);
+  }));
+
+  router.use((err, req, res, next) => {
+    if (err instanceof WorkspaceError) {
+      res.status(err.status).json({ error: err.message });
+    } else {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+export { createWorkspaceRouter, asyncRoute };
@@ -0,0 +1,242 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const WORKSPACE_NAME_PATTERN = /^[A-Za-z0-9][\w.-]*$/;
+
+// Error raised for requests the store refuses to serve (bad names, paths
+// escaping the workspace root, ...). `status` maps directly onto HTTP.
+class WorkspaceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WorkspaceError';
+    this.status = status;
+  }
+}
+
+// Stores each named workspace as a plain directory tree under `root`.
+// File paths are always workspace-relative and use forward slashes.
+class WorkspaceStore {
+  constructor(root) {
+    this.root = root;
+  }
+
+  workspaceDir(name) {
+    if (typeof name !== 'string' || !WORKSPACE_NAME_PATTERN.test(name)) {
+      throw new WorkspaceError(`Invalid workspace name: ${name}`);
+    }
+    return path.join(this.root, name);
+  }
+
+  resolve(name, filePath) {
+    const dir = this.workspaceDir(name);
+    const normalized = normalizePath(filePath);
+    if (!normalized) {
+      throw new WorkspaceError('A file path is required');
+    }
+    const absolute = path.resolve(dir, normalized);
+    if (!absolute.startsWith(dir + path.sep)) {
+      throw new WorkspaceError(`Path escapes workspace: ${filePath}`);
+    }
+    return absolute;
+  }
+
+  // Workspace metadata ({ template, entryFile, created }), kept next to the
+  // workspace directories in <root>/.meta/<name>.json
+  metaPath(name) {
+    this.workspaceDir(name);
+    return path.join(this.root, '.meta', `${name}.json`);
+  }
+
+  async readMeta(name) {
+    try {
+      return JSON.parse(await fs.readFile(this.metaPath(name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async writeMeta(name, meta) {
+    const file = this.metaPath(name);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(meta, null, 2));
+  }
+
+  // Every workspace with its metadata, by name
+  async listWorkspaces() {
+    let dirents;
+    try {
+      dirents = await fs.readdir(this.root, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    const names = dirents
+      .filter(dirent => dirent.isDirectory() && WORKSPACE_NAME_PATTERN.test(dirent.name))
+      .map(dirent => dirent.name)
+      .sort();
+    return Promise.all(names.map(async name => ({ name, ...await this.readMeta(name) })));
+  }
+
+  async exists(name) {
+    try {
+      const stat = await fs.stat(this.workspaceDir(name));
+      return stat.isDirectory();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Creates workspace `name` with `files` ([{ path, content }]) and `meta`.
+  // The files are written to a staging directory that is then renamed into
+  // place, so the workspace never shows up half-written and a failure
+  // leaves nothing behind. 409 if the workspace exists.
+  async create(name, files, meta) {
+    const dir = this.workspaceDir(name);
+    await fs.mkdir(this.root, { recursive: true });
+    try {
+      // Claims the name: of concurrent creates, only one gets past this
+      await fs.mkdir(dir);
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new WorkspaceError(`Workspace already exists: ${name}`, 409);
+      }
+      throw error;
+    }
+
+    // Not a valid workspace name, so never listed
+    const staging = await fs.mkdtemp(path.join(this.root, '.staging-'));
+    const entries = [];
+    try {
+      for (const file of files) {
+        const normalized = normalizePath(file.path);
+        const absolute = path.resolve(staging, normalized);
+        if (!normalized || !absolute.startsWith(staging + path.sep)) {
+          throw new WorkspaceError(`Path escapes workspace: ${file.path}`);
+        }
+        await fs.mkdir(path.dirname(absolute), { recursive: true });
+        await fs.writeFile(absolute, file.content);
+        const stat = await fs.stat(absolute);
+        entries.push({ path: normalized, type: 'file', size: stat.size, mtime: stat.mtimeMs });
+      }
+      await this.writeMeta(name, meta);
+      // Replaces the empty directory claimed above
+      await fs.rename(staging, dir);
+    } catch (error) {
+      await fs.rm(staging, { recursive: true, force: true });
+      await fs.rm(this.metaPath(name), { force: true });
+      // Only while still empty: files written into it since are not ours
+      await fs.rmdir(dir).catch(() => {});
+      throw error;
+    }
+    return entries;
+  }
+
+  // Lists every file and directory in the workspace, depth first.
+  async list(name) {
+    const dir = this.workspaceDir(name);
+    const entries = [];
+
+    const walk = async (current) => {
+      let dirents;
+      try {
+        dirents = await fs.readdir(current, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const dirent of dirents) {
+        const absolute = path.join(current, dirent.name);
+        const relative = path.relative(dir, absolute).split(path.sep).join('/');
+
+        if (dirent.isDirectory()) {
+          entries.push({ path: relative, type: 'directory' });
+          await walk(absolute);
+        } else if (dirent.isFile()) {
+          const stat = await fs.stat(absolute);
+          entries.push({
+            path: relative,
+            type: 'file',
+            size: stat.size,
+            mtime: stat.mtimeMs
+          });
+        }
+      }
+    };
+
+    await walk(dir);
+    return entries;
+  }
+
+  async read(name, filePath) {
+    const absolute = this.resolve(name, filePath);
+    try {
+      return await fs.readFile(absolute);
+    } catch (error) {
+      throw notFound(error, filePath);
+    }
+  }
+
+  async write(name, filePath, content) {
+    const absolute = this.resolve(name, filePath);
+    await fs.mkdir(path.dirname(absolute), { recursive: true });
+    await fs.writeFile(absolute, content);
+    const stat = await fs.stat(absolute);
+    return { path: normalizePath(filePath), type: 'file', size: stat.size, mtime: stat.mtimeMs };
+  }
+
+  async createDirectory(name, dirPath) {
+    const absolute = this.resolve(name, dirPath);
+    await fs.mkdir(absolute, { recursive: true });
+    return { path: normalizePath(dirPath), type: 'directory' };
+  }
+
+  async rename(name, from, to) {
+    const source = this.resolve(name, from);
+    const target = this.resolve(name, to);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fs.rename(source, target);
+    } catch (error) {
+      throw notFound(error, from);
+    }
+    return { from: normalizePath(from), to: normalizePath(to) };
+  }
+
+  async delete(name, filePath) {
+    const absolute = this.resolve(name, filePath);
+    try {
+      await fs.access(absolute);
+    } catch (error) {
+      throw notFound(error, filePath);
+    }
+    await fs.rm(absolute, { recursive: true, force: true });
+  }
+}
+
+function normalizePath(filePath) {
+  return String(filePath ?? '')
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(segment => segment && segment !== '.')
+    .join('/');
+}
+
+function notFound(error, filePath) {
+  if (error.code === 'ENOENT') {
+    return new WorkspaceError(`File not found: ${filePath}`, 404);
+  }
+  return error;
+}
+
+export { WorkspaceStore, WorkspaceError, normalizePath };
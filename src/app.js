@@ -1,29 +1,108 @@
 import { lazy, Workspace } from 'modern-monaco';
+import { WorkspaceClient } from './workspace-client.js';
+import { WorkspaceSync } from './workspace-sync.js';
+import { FileTree } from './file-tree.js';
+import { EditorTabs } from './editor-tabs.js';
+import { PreviewPane } from './preview-pane.js';
+import { SnapshotHistory } from './snapshot-history.js';
+import { Collaboration, localUser, saveLocalUser } from './collaboration.js';
+import { RemoteCursors } from './remote-cursors.js';
+import { Settings } from './settings.js';
+import { EditorSettings } from './editor-settings.js';
+import { SettingsPanel } from './settings-panel.js';
+import { PrettierFormatter } from './formatter.js';
+import { EslintDiagnostics } from './eslint-diagnostics.js';
+import { BundleDialog } from './bundle-dialog.js';
+import { RunConsole } from './run-console.js';
+import { SearchPanel } from './search-panel.js';
+import { NewProjectDialog, workspaceFromUrl } from './new-project.js';
+import { vendorImportMapsInHtml } from './import-map.js';
+import { resolveTypes, workspaceDependencies } from './workspace-types.js';
+import { registerServiceWorker } from './service-worker-registration.js';
+import { loadMonaco } from './monaco.js';
+import { FILE, toFileUrl } from './workspace-paths.js';
+import { walk } from './workspace-sync.js';
+import { addToWorkspace, exportWorkspace, guessEntryFile, readArchive, readDroppedEntries, replaceWorkspace } from './workspace-archive.js';
+
+const DEFAULT_WORKSPACE = 'self-hosted-example';
+// Template of workspaces that are opened before they exist
+const DEFAULT_TEMPLATE = 'sample';
+// The workspace to edit, from ?workspace=<name> (see new-project.js)
+const WORKSPACE_NAME = workspaceFromUrl() ?? DEFAULT_WORKSPACE;
+const DEFAULT_THEME = 'vitesse-dark';
+
+// Grammars and themes copied by scripts/copy-monaco.js (injected by
+// scripts/build.js); null when modern-monaco downloads them from esm.sh
+const TEXTMATE = process.env.MONACO_TEXTMATE;
+// Themes offered in the settings when they come from esm.sh
+const CDN_THEMES = ['vitesse-dark', 'vitesse-light', 'github-dark', 'github-light', 'one-dark-pro', 'dracula', 'nord', 'min-light'];
 
 // Main application class
 class ModernMonacoApp {
     constructor() {
         this.workspace = null;
+        this.client = null;
+        this.sync = null;
         this.fileTree = null;
+        this.tabs = null;
+        this.preview = null;
+        this.history = null;
+        this.collaboration = null;
+        this.cursors = null;
+        this.settings = null;
+        this.editorSettings = null;
+        this.formatter = null;
+        this.diagnostics = null;
+        this.bundle = null;
+        this.runConsole = null;
+        this.search = null;
         this.editor = null;
         
         this.init();
     }
 
     async init() {
+        registerServiceWorker().catch((error) => {
+            console.warn('Service worker registration failed:', error);
+        });
+
         try {
 
-            // Create workspace with sample files
+            // Load the workspace from the server (seeded with sample files)
             await this.createWorkspace();
             
             
+            // Show the workspace in the explorer sidebar and the tab strip
+            await this.createFileTree();
+            this.createTabs();
+            this.createSearch();
+            this.createPreview();
+            this.createRunConsole();
+            document.getElementById('vendor-deps').addEventListener('click', () => this.vendorImportMaps());
+            this.createArchiveActions();
+            this.createHistory();
+            this.createBundle();
+            this.createProjectDialog();
+            await this.createSettings();
+
             // Initialize Monaco with lazy loading
             await this.initializeMonaco();
             
             // Hide loading overlay
 
-            // Open the entry file
-            this.openFile('index.html');
+            // Reopen the previous session's tabs, or the entry file
+            await this.tabs.attach();
+            await this.openFile(await this.tabs.restore() ?? this.workspace.entryFile);
+            await this.editorSettings.attach((await loadMonaco()).editor.getEditors()[0]);
+            await this.createFormatter();
+            await this.createDiagnostics();
+            const monaco = await loadMonaco();
+            this.bundle.attach(monaco);
+            this.runConsole.attach(monaco.editor.getEditors()[0], monaco);
+            this.search.attach(monaco.editor.getEditors()[0], monaco);
+
+            // Share documents and cursors with others on this workspace
+            await this.createCollaboration();
 
         } catch (error) {
             console.error('Initialization error:', error);
@@ -31,255 +110,463 @@ class ModernMonacoApp {
     }
 
     async createWorkspace() {
-        const initialFiles = {
-            'index.html': `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Sample Project</title>
-    <link rel="stylesheet" href="styles.css">
-    <script type="importmap">
-    {
-        "imports": {
-            "react": "https://esm.sh/react@18",
-            "react-dom": "https://esm.sh/react-dom@18"
+        // The server copy is the source of truth: create it from the default
+        // template on first use, then mirror it into the browser filesystem
+        // and push local edits back.
+        this.client = new WorkspaceClient(WORKSPACE_NAME);
+        let listing = null;
+        try {
+            listing = await this.client.list();
+            if (!listing.exists) {
+                await this.client.createFromTemplate(DEFAULT_TEMPLATE).catch((error) => {
+                    // Another browser created it first
+                    if (error.status !== 409) {
+                        throw error;
+                    }
+                });
+                listing = await this.client.list();
+            }
+        } catch (error) {
+            // Offline start (service worker): keep editing the browser copy
+            console.warn('Workspace server unreachable, using the local copy:', error);
+            listing = null;
         }
+
+        this.workspace = new Workspace({
+            name: WORKSPACE_NAME,
+            // Workspaces from before templates have no entry file recorded
+            entryFile: listing?.entryFile ?? 'index.html'
+        });
+        this.sync = new WorkspaceSync(this.workspace, this.client);
+        if (listing) {
+            await this.sync.pull().catch((error) => {
+                console.warn('Workspace server unreachable, using the local copy:', error);
+            });
+        }
+        this.sync.start();
     }
-    </script>
-</head>
-<body>
-    <div id="root"></div>
-    <script type="module" src="main.js"></script>
-</body>
-</html>`,
-
-            'main.js': `// Modern JavaScript with ES modules
-import { createApp } from './app.js';
-import { utils } from './utils.js';
-
-console.log('🚀 Application starting...');
-
-// Initialize the application
-const app = createApp({
-    target: '#root',
-    title: 'Modern Monaco Demo',
-    features: ['syntax-highlighting', 'intellisense', 'error-checking']
-});
 
-// Use utility functions
-const greeting = utils.formatGreeting('Modern Monaco');
-console.log(greeting);
-
-// Demonstrate async/await
-async function loadData() {
-    try {
-        const response = await fetch('/api/data');
-        const data = await response.json();
-        app.setData(data);
-    } catch (error) {
-        console.error('Failed to load data:', error);
+    async initializeMonaco() {
+        try {
+            // Type definitions for the workspace's dependencies, served locally
+            const types = await resolveTypes(await workspaceDependencies(this.workspace)).catch((error) => {
+                console.warn('Type definitions unavailable:', error);
+                return [];
+            });
+
+            // Initialize Monaco with lazy loading and workspace
+            await lazy({
+                workspace: this.workspace,
+                theme: this.settings.get('theme'),
+                // Served from this origin as /tm-grammars@<version>/... and /tm-themes@<version>/...
+                ...(TEXTMATE && { tmDownloadCDN: location.origin }),
+                lsp: {
+                    typescript: {
+                        compilerOptions: { ...this.settings.get('compilerOptions'), types }
+                    }
+                }
+            });
+        } catch (error) {
+            throw error;
+        }
     }
-}
 
-loadData();`,
-
-            'app.js': `// Application module with TypeScript-style JSDoc
-/**
- * @typedef {Object} AppConfig
- * @property {string} target - CSS selector for the target element
- * @property {string} title - Application title
- * @property {string[]} features - List of enabled features
- */
-
-/**
- * Creates a new application instance
- * @param {AppConfig} config - Application configuration
- * @returns {Object} Application instance
- */
-export function createApp(config) {
-    const element = document.querySelector(config.target);
-    
-    if (!element) {
-        throw new Error(\`Target element not found: \${config.target}\`);
+    async createFileTree() {
+        const container = document.getElementById('file-tree');
+        this.fileTree = new FileTree(container, this.workspace, {
+            onOpen: (path) => this.openFile(path)
+        });
+
+        container.addEventListener('file-moved', (event) => {
+            const { from, to } = event.detail;
+            this.tabs.rename(from, to);
+        });
+        container.addEventListener('file-deleted', (event) => {
+            this.tabs.remove(event.detail.path);
+        });
+
+        // Models of removed files would otherwise write themselves back on the next edit
+        this.workspace.fs.watch('/', { recursive: true }, async (kind, pathname, type) => {
+            if (kind === 'remove' && type === FILE) {
+                const monaco = await loadMonaco();
+                monaco.editor.getModel(monaco.Uri.parse(toFileUrl(pathname)))?.dispose();
+            }
+        });
+
+        // Follow navigation that happens inside the editor (go to definition, history)
+        this.workspace.history.onChange((state) => {
+            if (state.current) {
+                this.fileTree.selectFile(state.current);
+                this.tabs?.add(state.current);
+            }
+        });
+
+        await this.fileTree.mount();
     }
 
-    return {
-        setData(data) {
-            element.innerHTML = \`
-                <h1>\${config.title}</h1>
-                <p>Features: \${config.features.join(', ')}</p>
-                <pre>\${JSON.stringify(data, null, 2)}</pre>
-            \`;
-        },
-        
-        destroy() {
-            element.innerHTML = '';
-        }
-    };
-}`,
-
-            'utils.js': `// Utility functions
-export const utils = {
-    /**
-     * Formats a greeting message
-     * @param {string} name - Name to greet
-     * @returns {string} Formatted greeting
-     */
-    formatGreeting(name) {
-        const time = new Date().getHours();
-        const timeOfDay = time < 12 ? 'morning' : time < 18 ? 'afternoon' : 'evening';
-        return \`Good \${timeOfDay}, \${name}! 👋\`;
-    },
-
-    /**
-     * Debounces a function call
-     * @param {Function} func - Function to debounce
-     * @param {number} wait - Wait time in milliseconds
-     * @returns {Function} Debounced function
-     */
-    debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
+    createTabs() {
+        this.tabs = new EditorTabs(document.getElementById('editor-tabs'), this.workspace, this.sync, {
+            storageKey: `modern-monaco-tabs:${WORKSPACE_NAME}`
+        });
+
+        window.addEventListener('keydown', (event) => {
+            if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 's') {
+                event.preventDefault();
+                this.saveActiveFile();
+            }
+        });
+
+        window.addEventListener('beforeunload', (event) => {
+            if (this.tabs.hasUnsavedChanges()) {
+                event.preventDefault();
+                event.returnValue = '';
+            }
+        });
+    }
+
+    // Find and replace across the workspace, in place of the explorer
+    createSearch() {
+        this.search = new SearchPanel(document.getElementById('search-panel'), this.workspace, this.sync, {
+            explorer: document.getElementById('file-tree'),
+            onReveal: (path, line, column, end) => this.revealPosition(path, line, column, end),
+            onOpen: (path) => this.tabs.open(path)
+        });
+        document.getElementById('open-search').addEventListener('click', () => this.search.toggle());
+        window.addEventListener('keydown', (event) => {
+            // Inside the editor, its own action handles the shortcut
+            if ((event.ctrlKey || event.metaKey) && event.shiftKey && event.key.toLowerCase() === 'f' && !event.defaultPrevented) {
+                event.preventDefault();
+                this.search.open();
+            }
+        });
+    }
+
+    createPreview() {
+        this.preview = new PreviewPane(document.getElementById('preview-pane'), this.sync, {
+            url: `/preview/${encodeURIComponent(WORKSPACE_NAME)}/`,
+            storageKey: `modern-monaco-preview:${WORKSPACE_NAME}`
+        });
+
+        const button = document.getElementById('toggle-preview');
+        button.classList.toggle('active', this.preview.isVisible());
+        button.addEventListener('click', () => {
+            button.classList.toggle('active', this.preview.toggle());
+        });
+    }
+
+    // Runs the saved workspace in a sandbox, with its console output
+    createRunConsole() {
+        this.runConsole = new RunConsole(document.getElementById('run-console'), this.client, {
+            url: `/run/${encodeURIComponent(WORKSPACE_NAME)}/`,
+            storageKey: `modern-monaco-run:${WORKSPACE_NAME}`,
+            onReveal: (path, line, column) => this.revealPosition(path, line, column),
+            hasUnsavedChanges: () => this.tabs.hasUnsavedChanges()
+        });
+        document.getElementById('run-workspace').addEventListener('click', () => this.runConsole.run());
+    }
+
+    async createCollaboration() {
+        const monaco = await loadMonaco();
+        this.collaboration = new Collaboration(WORKSPACE_NAME, { user: localUser() });
+        this.cursors = new RemoteCursors(document.getElementById('collaborators'), this.collaboration, {
+            onFollow: (path) => this.openFile(path),
+            onRename: () => this.renameCollaborator()
+        });
+        this.collaboration.addEventListener('change', (event) => this.applyRemoteChange(event.detail));
+
+        const share = (model) => {
+            if (model.uri.scheme === 'file') {
+                this.collaboration.bind(model, monaco);
+            }
         };
+        monaco.editor.getModels().forEach(share);
+        monaco.editor.onDidCreateModel(share);
+        this.cursors.attach(monaco.editor.getEditors()[0], monaco);
+        this.collaboration.connect();
     }
-};`,
-
-            'styles.css': `/* Modern CSS with custom properties */
-:root {
-    --primary-color: #007acc;
-    --secondary-color: #1e1e1e;
-    --text-color: #d4d4d4;
-    --background-color: #252526;
-    --border-color: #3e3e42;
-    --success-color: #4caf50;
-    --warning-color: #ff9800;
-    --error-color: #f44336;
-}
 
-* {
-    margin: 0;
-    padding: 0;
-    box-sizing: border-box;
-}
+    // Files, folders and saves other browsers made; this browser's own
+    // changes come back as well and change nothing
+    async applyRemoteChange(change) {
+        try {
+            await this.sync.applyRemoteChange(change, {
+                keepContent: (path) => this.collaboration.isBound(path)
+            });
+            if (change.kind === 'delete') {
+                await this.tabs.remove(change.path);
+            } else if (change.kind === 'rename') {
+                await this.tabs.rename(change.from, change.to);
+            }
+        } catch (error) {
+            console.error('Failed to apply a change from another browser:', error);
+        }
+    }
 
-body {
-    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-    background-color: var(--background-color);
-    color: var(--text-color);
-    line-height: 1.6;
-}
+    renameCollaborator() {
+        const user = this.collaboration.awareness.getLocalState().user;
+        const name = prompt('Your name, as shown to collaborators:', user.name)?.trim();
+        if (name) {
+            saveLocalUser({ name, color: user.color });
+            this.collaboration.setUser({ ...user, name });
+        }
+    }
 
-#root {
-    max-width: 1200px;
-    margin: 0 auto;
-    padding: 2rem;
-}
+    // Editor settings from this browser (or the server, when synced), applied
+    // to the <monaco-editor> element before it starts the editor
+    async createSettings() {
+        const themes = TEXTMATE?.themes ?? CDN_THEMES;
+        this.settings = new Settings();
+        await this.settings.pull();
+        // The highlighter starts with this theme, so it has to be available
+        if (!themes.includes(this.settings.get('theme'))) {
+            this.settings.update({ theme: themes.includes(DEFAULT_THEME) ? DEFAULT_THEME : themes[0] }, { push: false });
+        }
 
-h1 {
-    color: var(--primary-color);
-    margin-bottom: 1rem;
-    font-size: 2.5rem;
-    font-weight: 300;
-}
+        this.editorSettings = new EditorSettings(document.querySelector('monaco-editor'), this.settings, {
+            themeUrl: (name) => TEXTMATE
+                ? `/${TEXTMATE.themesPackage}/themes/${encodeURIComponent(name)}.json`
+                : `https://esm.sh/tm-themes/themes/${encodeURIComponent(name)}.json`
+        });
+        const panel = new SettingsPanel(document.getElementById('settings-dialog'), this.settings, this.editorSettings, { themes });
+        document.getElementById('open-settings').addEventListener('click', () => panel.open());
+    }
 
-p {
-    margin-bottom: 1rem;
-    font-size: 1.1rem;
-}
+    // Prettier: format document/selection, and format on save
+    async createFormatter() {
+        const monaco = await loadMonaco();
+        this.formatter = new PrettierFormatter(this.client, this.settings);
+        this.formatter.attach(monaco.editor.getEditors()[0], monaco);
+    }
 
-pre {
-    background-color: var(--secondary-color);
-    border: 1px solid var(--border-color);
-    border-radius: 4px;
-    padding: 1rem;
-    overflow-x: auto;
-    font-family: 'Fira Code', 'Cascadia Code', monospace;
-    font-size: 0.9rem;
-}
+    // ESLint problems of the open documents, next to TypeScript's
+    async createDiagnostics() {
+        this.diagnostics = new EslintDiagnostics(this.client, this.sync);
+        this.diagnostics.attach(await loadMonaco());
+    }
 
-/* Responsive design */
-@media (max-width: 768px) {
-    #root {
-        padding: 1rem;
+    createBundle() {
+        this.bundle = new BundleDialog(document.getElementById('bundle-dialog'), this.client, {
+            onReveal: (path, line, column) => this.revealPosition(path, line, column),
+            hasUnsavedChanges: () => this.tabs.hasUnsavedChanges()
+        });
+        document.getElementById('open-bundle').addEventListener('click', () => this.bundle.open());
     }
-    
-    h1 {
-        font-size: 2rem;
+
+    createProjectDialog() {
+        const dialog = new NewProjectDialog(document.getElementById('project-dialog'), this.client, { current: WORKSPACE_NAME });
+        document.getElementById('new-project').addEventListener('click', () => dialog.open());
+        document.title = `${WORKSPACE_NAME} · ${document.title}`;
     }
-}`,
-
-            'package.json': `{
-  "name": "sample-project",
-  "version": "1.0.0",
-  "type": "module",
-  "scripts": {
-    "dev": "vite",
-    "build": "vite build",
-    "preview": "vite preview"
-  },
-  "dependencies": {
-    "react": "^18.2.0",
-    "react-dom": "^18.2.0"
-  },
-  "devDependencies": {
-    "vite": "^4.4.0",
-    "@vitejs/plugin-react": "^4.0.0"
-  }
-}`
-        };
 
-        this.workspace = new Workspace({
-            name: 'self-hosted-example',
-            initialFiles,
-            entryFile: 'index.html'
+    createHistory() {
+        this.history = new SnapshotHistory(document.getElementById('history-dialog'), this.sync, this.client, {
+            // Files the restore deleted are gone from the tabs as well
+            onRestored: ({ removed }) => removed.forEach(path => this.tabs.remove('/' + path))
         });
+        document.getElementById('open-history').addEventListener('click', () => this.history.open(this.tabs.active));
+    }
 
+    // Download as .zip, and import from a picked .zip or from archives,
+    // folders and files dropped anywhere on the page
+    createArchiveActions() {
+        const input = document.getElementById('import-file');
+        document.getElementById('export-workspace').addEventListener('click', () => this.downloadWorkspace());
+        document.getElementById('import-workspace').addEventListener('click', () => input.click());
+        input.addEventListener('change', () => {
+            const [file] = input.files;
+            input.value = '';
+            if (file) {
+                this.importArchive(file);
+            }
+        });
 
+        // Moves inside the file tree carry no files and are left alone
+        const hasFiles = (event) => event.dataTransfer?.types.includes('Files');
+        let depth = 0;
+        window.addEventListener('dragenter', (event) => {
+            if (hasFiles(event) && depth++ === 0) {
+                document.body.classList.add('drop-target');
+            }
+        });
+        window.addEventListener('dragleave', (event) => {
+            if (hasFiles(event) && --depth === 0) {
+                document.body.classList.remove('drop-target');
+            }
+        });
+        // Capture phase, so the editor does not insert the dropped files as text
+        window.addEventListener('dragover', (event) => {
+            if (hasFiles(event)) {
+                event.preventDefault();
+                event.dataTransfer.dropEffect = 'copy';
+            }
+        }, { capture: true });
+        window.addEventListener('drop', (event) => {
+            if (!hasFiles(event)) {
+                return;
+            }
+            event.preventDefault();
+            event.stopPropagation();
+            depth = 0;
+            document.body.classList.remove('drop-target');
+            // Only available while the event is dispatched
+            const roots = [...event.dataTransfer.items].map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+            this.importDropped(roots);
+        }, { capture: true });
     }
 
-    async initializeMonaco() {
+    // The archive holds the browser copy, including edits not saved yet
+    async downloadWorkspace() {
         try {
-            // Initialize Monaco with lazy loading and workspace
-            await lazy({
-                workspace: this.workspace,
-                theme: 'vitesse-dark',
-                lsp: {
-                    typescript: {
-                        compilerOptions: {
-                            target: 'ES2022',
-                            module: 'ESNext',
-                            moduleResolution: 'bundler',
-                            allowImportingTsExtensions: true,
-                            strict: true,
-                            jsx: 'react-jsx'
-                        }
-                    }
-                }
-            });
+            const url = URL.createObjectURL(await exportWorkspace(this.workspace.fs));
+            const link = Object.assign(document.createElement('a'), { href: url, download: `${WORKSPACE_NAME}.zip` });
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
         } catch (error) {
-            throw error;
+            console.error('Failed to export the workspace:', error);
+            alert(`Could not export the workspace: ${error.message}`);
         }
     }
 
-    async openFile(filename) {
+    async importArchive(file) {
         try {
+            await this.importEntries(await readArchive(file), file.name);
+        } catch (error) {
+            console.error(`Failed to import ${file.name}:`, error);
+            alert(`Could not import ${file.name}: ${error.message}`);
+        }
+    }
 
-            await this.workspace.openTextDocument(filename);
-            this.fileTree.selectFile(filename);
+    // A dropped .zip or folder replaces the workspace; loose files are added
+    // to its root
+    async importDropped(roots) {
+        const [root] = roots;
+        if (roots.length === 1 && root.isFile && /\.zip$/i.test(root.name)) {
+            root.file((file) => this.importArchive(file), (error) => console.error(`Failed to read ${root.name}:`, error));
+            return;
+        }
+        try {
+            const entries = await readDroppedEntries(roots);
+            if (roots.length === 1 && root.isDirectory) {
+                await this.importEntries(entries, root.name);
+                return;
+            }
+            await addToWorkspace(this.workspace.fs, entries);
+            const first = entries.find(entry => !entry.directory);
+            if (first) {
+                await this.openFile(first.path);
+            }
+        } catch (error) {
+            console.error('Failed to import the dropped files:', error);
+            alert(`Could not import the dropped files: ${error.message}`);
+        }
+    }
+
+    // Replaces the workspace with imported entries (the sync pushes the
+    // changes to the server), records the project's entry file and opens it
+    async importEntries(entries, source) {
+        const files = entries.filter(entry => !entry.directory).length;
+        if (files === 0) {
+            alert(`${source} contains no files.`);
+            return;
+        }
+        const unsaved = this.tabs.hasUnsavedChanges() ? '\n\nUnsaved changes will be lost.' : '';
+        if (!confirm(`Replace the workspace with the ${files} files from ${source}?${unsaved}`)) {
+            return;
+        }
+
+        await this.tabs.remove('/');
+        await replaceWorkspace(this.workspace.fs, entries);
+        const entryFile = guessEntryFile(entries);
+        if (entryFile) {
+            try {
+                await this.client.setEntryFile(entryFile);
+            } catch (error) {
+                console.warn('Could not record the entry file on the server:', error);
+            }
+            setEntryFile(this.workspace, entryFile);
+            await this.openFile(entryFile);
+        }
+    }
+
+    // Points CDN entries in the workspace's import maps at the server's
+    // /vendor route so the project runs without internet access. Open
+    // documents are edited in place (and left unsaved); others are written.
+    async vendorImportMaps() {
+        const monaco = await loadMonaco();
+        const changed = [];
+
+        for (const [path, type] of await walk(this.workspace.fs)) {
+            if (type !== FILE || !path.endsWith('.html')) {
+                continue;
+            }
+            const model = monaco.editor.getModel(monaco.Uri.parse(toFileUrl(path)));
+            const source = model ? model.getValue() : await this.workspace.fs.readTextFile(path);
+            const { html, rewritten } = vendorImportMapsInHtml(source);
+            if (rewritten.length === 0) {
+                continue;
+            }
+
+            if (model) {
+                model.pushEditOperations([], [{ range: model.getFullModelRange(), text: html }], () => null);
+                model.pushStackElement();
+            } else {
+                await this.workspace.fs.writeFile(path, html);
+            }
+            changed.push(`${path.slice(1)}: ${rewritten.join(', ')}`);
+        }
 
+        alert(changed.length > 0
+            ? `Import maps now load from /vendor:\n\n${changed.join('\n')}`
+            : 'No CDN imports found in the workspace import maps.');
+    }
+
+    async saveActiveFile() {
+        const monaco = await loadMonaco();
+        const model = monaco.editor.getEditors()[0]?.getModel();
+        if (!model || model.uri.scheme !== 'file') {
+            return;
+        }
+        try {
+            await this.formatter?.formatOnSave(model);
+            await this.sync.save(model.uri.path, model.getValue());
         } catch (error) {
+            console.error(`Failed to save ${model.uri.path}:`, error);
+        }
+    }
+
+    // Opens a file with the cursor at a 1-based line and column, selecting
+    // up to `end` ({ lineNumber, column }) if given
+    async revealPosition(filename, lineNumber, column, end = null) {
+        await this.openFile(filename);
+        const editor = (await loadMonaco()).editor.getEditors()[0];
+        if (editor?.getModel()?.uri.path === filename) {
+            editor.setSelection({
+                startLineNumber: lineNumber,
+                startColumn: column,
+                endLineNumber: end?.lineNumber ?? lineNumber,
+                endColumn: end?.column ?? column
+            });
+            editor.revealPositionInCenter({ lineNumber, column });
+            editor.focus();
+        }
+    }
 
+    async openFile(filename) {
+        try {
+            await this.tabs.open(filename);
+            this.fileTree.selectFile(filename);
+        } catch (error) {
+            console.error(`Failed to open ${filename}:`, error);
         }
     }
 }
 
+// modern-monaco's Workspace takes the entry file in its constructor and
+// only has a getter for it
+function setEntryFile(workspace, entryFile) {
+    Object.defineProperty(workspace, 'entryFile', { value: entryFile, configurable: true });
+}
+
 // Initialize the application when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     new ModernMonacoApp();
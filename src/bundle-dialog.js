@@ -0,0 +1,189 @@
+import { createZip } from './zip.js';
+
+const MARKER_OWNER = 'esbuild';
+
+// "Bundle" dialog: bundles the saved workspace on the server (see
+// server/bundle.js) and shows the result. Build errors and warnings are
+// listed (click one to open it) and become markers in their files until the
+// next bundle; the output can be downloaded.
+export class BundleDialog {
+    constructor(dialog, client, { onReveal, hasUnsavedChanges = () => false }) {
+        this.dialog = dialog;
+        this.client = client;
+        this.onReveal = onReveal;
+        this.hasUnsavedChanges = hasUnsavedChanges;
+        this.monaco = null;
+        this.result = null;
+        // Workspace path ("/src/App.tsx") -> markers
+        this.markers = new Map();
+
+        this.dialog.classList.add('bundle-dialog');
+        this.dialog.innerHTML = `
+            <div class="bundle-header">
+                <span class="bundle-title">Bundle</span>
+                <button type="button" data-action="rebuild" title="Bundle the saved files again">Rebuild</button>
+                <button type="button" data-action="download" title="Download the bundle" disabled>⇩ Download</button>
+                <button type="button" data-action="close" title="Close">✕</button>
+            </div>
+            <div class="bundle-body"></div>
+        `;
+        this.body = this.dialog.querySelector('.bundle-body');
+        this.dialog.addEventListener('click', (event) => this.handleClick(event));
+    }
+
+    // Markers reach documents opened after the bundle as well
+    attach(monaco) {
+        this.monaco = monaco;
+        monaco.editor.onDidCreateModel(model => this.applyMarkers(model));
+    }
+
+    async open() {
+        if (!this.dialog.open) {
+            this.dialog.showModal();
+        }
+        await this.bundle();
+    }
+
+    async bundle() {
+        const download = this.dialog.querySelector('[data-action="download"]');
+        download.disabled = true;
+        this.body.replaceChildren(paragraph('Bundling…', 'bundle-status'));
+        try {
+            this.result = await this.client.bundle();
+        } catch (error) {
+            console.error('Failed to bundle the workspace:', error);
+            this.result = null;
+            this.setMarkers([]);
+            this.body.replaceChildren(paragraph(`Could not bundle the workspace: ${error.message}`, 'bundle-status error'));
+            return;
+        }
+        this.setMarkers([
+            ...this.result.errors.map(diagnostic => ({ ...diagnostic, severity: 'error' })),
+            ...this.result.warnings.map(diagnostic => ({ ...diagnostic, severity: 'warning' }))
+        ]);
+        download.disabled = !this.result.ok;
+        this.render();
+    }
+
+    render() {
+        const { ok, entryPoints, external, duration, errors, warnings, outputs } = this.result;
+        const children = [];
+        children.push(paragraph(ok
+            ? `✓ Bundled ${entryPoints.join(', ')} in ${duration} ms`
+            : `✕ ${count(errors.length, 'error')} bundling ${entryPoints.join(', ')}`,
+        `bundle-status ${ok ? 'ok' : 'error'}`));
+        if (this.hasUnsavedChanges()) {
+            children.push(paragraph('Unsaved changes are not part of the bundle; save and rebuild to include them.', 'bundle-note'));
+        }
+        if (external.length > 0) {
+            children.push(paragraph(`Left as imports (import map): ${external.join(', ')}`, 'bundle-note'));
+        }
+
+        if (errors.length + warnings.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'bundle-problems';
+            for (const [severity, diagnostics] of [['error', errors], ['warning', warnings]]) {
+                for (const diagnostic of diagnostics) {
+                    list.append(this.problemItem(diagnostic, severity));
+                }
+            }
+            children.push(list);
+        }
+
+        if (outputs.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'bundle-outputs';
+            for (const output of outputs) {
+                const item = document.createElement('li');
+                item.append(
+                    Object.assign(document.createElement('span'), { textContent: output.path }),
+                    Object.assign(document.createElement('span'), { className: 'bundle-size', textContent: formatSize(new Blob([output.text]).size) })
+                );
+                list.append(item);
+            }
+            children.push(list);
+        }
+        this.body.replaceChildren(...children);
+    }
+
+    problemItem(diagnostic, severity) {
+        const item = document.createElement('li');
+        item.className = severity;
+        const location = diagnostic.file ? `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}` : '';
+        if (diagnostic.file) {
+            const button = Object.assign(document.createElement('button'), { type: 'button', textContent: location });
+            button.addEventListener('click', () => {
+                this.dialog.close();
+                this.onReveal('/' + diagnostic.file, diagnostic.line, diagnostic.column);
+            });
+            item.append(button);
+        }
+        item.append(Object.assign(document.createElement('span'), { textContent: diagnostic.text }));
+        return item;
+    }
+
+    // Replaces the markers of the previous bundle
+    setMarkers(diagnostics) {
+        const previous = [...this.markers.keys()];
+        this.markers = new Map();
+        if (!this.monaco) {
+            return;
+        }
+        const { MarkerSeverity } = this.monaco;
+        for (const diagnostic of diagnostics.filter(({ file }) => file)) {
+            const path = '/' + diagnostic.file;
+            const markers = this.markers.get(path) ?? [];
+            markers.push({
+                severity: diagnostic.severity === 'error' ? MarkerSeverity.Error : MarkerSeverity.Warning,
+                message: diagnostic.text,
+                source: 'esbuild',
+                startLineNumber: diagnostic.line,
+                startColumn: diagnostic.column,
+                endLineNumber: diagnostic.line,
+                endColumn: diagnostic.column + Math.max(diagnostic.length, 1)
+            });
+            this.markers.set(path, markers);
+        }
+        const paths = new Set([...previous, ...this.markers.keys()]);
+        this.monaco.editor.getModels()
+            .filter(model => paths.has(model.uri.path))
+            .forEach(model => this.applyMarkers(model));
+    }
+
+    applyMarkers(model) {
+        if (model.uri.scheme === 'file') {
+            this.monaco.editor.setModelMarkers(model, MARKER_OWNER, this.markers.get(model.uri.path) ?? []);
+        }
+    }
+
+    // The output files (with their source maps) as a .zip
+    async download() {
+        const blob = await createZip(this.result.outputs.map(output => ({ path: output.path, content: output.text })));
+        const url = URL.createObjectURL(blob);
+        Object.assign(document.createElement('a'), { href: url, download: `${this.client.name}-bundle.zip` }).click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    handleClick(event) {
+        const action = event.target.closest('[data-action]')?.dataset.action;
+        if (action === 'close') {
+            this.dialog.close();
+        } else if (action === 'rebuild') {
+            this.bundle();
+        } else if (action === 'download' && this.result?.ok) {
+            this.download();
+        }
+    }
+}
+
+function paragraph(text, className) {
+    return Object.assign(document.createElement('p'), { className, textContent: text });
+}
+
+function count(number, noun) {
+    return `${number} ${noun}${number === 1 ? '' : 's'}`;
+}
+
+function formatSize(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} kB`;
+}
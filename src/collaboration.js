@@ -0,0 +1,379 @@
+import * as Y from 'yjs';
+import * as syncProtocol from 'y-protocols/sync';
+import * as awarenessProtocol from 'y-protocols/awareness';
+import * as encoding from 'lib0/encoding';
+import * as decoding from 'lib0/decoding';
+import { normalizeWorkspacePath } from './workspace-paths.js';
+
+// Message types, shared with server/collaboration.js
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+const MESSAGE_OPEN = 2;
+const MESSAGE_CHANGE = 3;
+
+const USER_STORAGE_KEY = 'modern-monaco-user';
+const COLORS = ['#e06c75', '#98c379', '#e5c07b', '#61afef', '#c678dd', '#56b6c2', '#d19a66', '#4d9375'];
+
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30 * 1000;
+
+// Shared editing of a workspace's documents with the other browsers
+// connected to the server's /collab/<workspace> WebSocket. Each open file
+// is a Y.Text in a Y.Doc (a CRDT, so concurrent edits merge without
+// conflicts) bound to its Monaco model; presence (user, open file,
+// selection) travels as y-protocols awareness.
+//
+// The connection comes back by itself after network or server outages:
+// edits made meanwhile merge on reconnect, and the same awareness client
+// re-announces itself, so others keep seeing its cursor.
+//
+// Events: `status` ({ connected }), `bound` ({ path }) once a model is
+// shared, `change` (a change another browser made through the workspace
+// API, see server/workspace-api.js).
+export class Collaboration extends EventTarget {
+    constructor(name, { user, url = defaultUrl(name) } = {}) {
+        super();
+        this.url = url;
+        this.doc = new Y.Doc();
+        this.files = this.doc.getMap('files');
+        this.awareness = new awarenessProtocol.Awareness(this.doc);
+        this.awareness.setLocalStateField('user', user);
+        this.socket = null;
+        this.connected = false;
+        this.synced = false;
+        this.reconnectDelay = RECONNECT_DELAY;
+        this.reconnectTimer = null;
+        this.closed = false;
+        // path -> binding of that file's model
+        this.bindings = new Map();
+        // path -> model waiting for its shared text
+        this.pending = new Map();
+
+        this.doc.on('update', (update, origin) => {
+            if (origin !== this) {
+                const encoder = encoding.createEncoder();
+                encoding.writeVarUint(encoder, MESSAGE_SYNC);
+                syncProtocol.writeUpdate(encoder, update);
+                this.send(encoding.toUint8Array(encoder));
+            }
+        });
+        this.awareness.on('update', ({ added, updated, removed }, origin) => {
+            if (origin === 'local') {
+                this.send(encodeAwareness(this.awareness, [...added, ...updated, ...removed]));
+            }
+        });
+        this.files.observe((event) => {
+            for (const path of event.keysChanged) {
+                this.rebind(path);
+            }
+        });
+
+        window.addEventListener('beforeunload', () => {
+            awarenessProtocol.removeAwarenessStates(this.awareness, [this.doc.clientID], 'local');
+        });
+    }
+
+    get clientId() {
+        return this.doc.clientID;
+    }
+
+    setUser(user) {
+        this.awareness.setLocalStateField('user', user);
+    }
+
+    connect() {
+        this.closed = false;
+        const socket = new WebSocket(this.url);
+        socket.binaryType = 'arraybuffer';
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.reconnectDelay = RECONNECT_DELAY;
+            this.setConnected(true);
+            const encoder = encoding.createEncoder();
+            encoding.writeVarUint(encoder, MESSAGE_SYNC);
+            syncProtocol.writeSyncStep1(encoder, this.doc);
+            this.send(encoding.toUint8Array(encoder));
+            this.send(encodeAwareness(this.awareness, [this.doc.clientID]));
+        });
+        socket.addEventListener('message', (event) => {
+            try {
+                this.receive(new Uint8Array(event.data));
+            } catch (error) {
+                console.error('Collaboration message failed:', error);
+            }
+        });
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) {
+                return;
+            }
+            this.socket = null;
+            this.synced = false;
+            this.setConnected(false);
+            if (!this.closed) {
+                this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+                this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+            }
+        });
+    }
+
+    disconnect() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.socket?.close();
+    }
+
+    setConnected(connected) {
+        if (this.connected !== connected) {
+            this.connected = connected;
+            this.dispatchEvent(new CustomEvent('status', { detail: { connected } }));
+        }
+    }
+
+    send(message) {
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.socket.send(message);
+        }
+    }
+
+    receive(message) {
+        const decoder = decoding.createDecoder(message);
+        const type = decoding.readVarUint(decoder);
+
+        if (type === MESSAGE_SYNC) {
+            const encoder = encoding.createEncoder();
+            encoding.writeVarUint(encoder, MESSAGE_SYNC);
+            const step = syncProtocol.readSyncMessage(decoder, encoder, this.doc, this);
+            if (encoding.length(encoder) > 1) {
+                this.send(encoding.toUint8Array(encoder));
+            }
+            if (step === syncProtocol.messageYjsSyncStep2 && !this.synced) {
+                this.synced = true;
+                this.requestTexts();
+            }
+        } else if (type === MESSAGE_AWARENESS) {
+            awarenessProtocol.applyAwarenessUpdate(this.awareness, decoding.readVarUint8Array(decoder), this);
+        } else if (type === MESSAGE_CHANGE) {
+            const change = JSON.parse(decoding.readVarString(decoder));
+            this.dispatchEvent(new CustomEvent('change', { detail: change }));
+        }
+    }
+
+    // Shares `model` (a workspace file) with the other browsers. The first
+    // browser to open a file provides its text; everyone else adopts it.
+    bind(model, monaco) {
+        const path = normalizeWorkspacePath(model.uri.path);
+        this.pending.set(path, { model, monaco });
+        model.onWillDispose(() => {
+            if (this.pending.get(path)?.model === model) {
+                this.pending.delete(path);
+            }
+            this.unbind(path, model);
+        });
+        this.rebind(path);
+        if (this.synced && !this.files.has(path)) {
+            this.requestText(path, model);
+        }
+    }
+
+    isBound(path) {
+        return this.bindings.has(normalizeWorkspacePath(path));
+    }
+
+    // Binds or re-binds the model of `path` to the file's current shared text
+    rebind(path) {
+        const binding = this.bindings.get(path);
+        const text = this.files.get(path);
+        if (binding && binding.text === text) {
+            return;
+        }
+        const { model, monaco } = binding ?? this.pending.get(path) ?? {};
+        if (binding) {
+            binding.dispose();
+            this.bindings.delete(path);
+        }
+        if (!model || model.isDisposed()) {
+            return;
+        }
+        if (text) {
+            this.pending.delete(path);
+            this.bindings.set(path, new TextBinding(this, text, model, monaco));
+            this.dispatchEvent(new CustomEvent('bound', { detail: { path } }));
+        } else {
+            // Deleted or renamed on the server; ask again if it is still open
+            this.pending.set(path, { model, monaco });
+            if (this.synced) {
+                this.requestText(path, model);
+            }
+        }
+    }
+
+    unbind(path, model) {
+        const binding = this.bindings.get(path);
+        if (binding?.model === model) {
+            binding.dispose();
+            this.bindings.delete(path);
+        }
+    }
+
+    requestTexts() {
+        for (const [path, { model }] of this.pending) {
+            if (this.files.has(path)) {
+                this.rebind(path);
+            } else {
+                this.requestText(path, model);
+            }
+        }
+    }
+
+    requestText(path, model) {
+        const encoder = encoding.createEncoder();
+        encoding.writeVarUint(encoder, MESSAGE_OPEN);
+        encoding.writeVarString(encoder, path);
+        encoding.writeVarString(encoder, model.getValue());
+        this.send(encoding.toUint8Array(encoder));
+    }
+
+    // Publishes which file this browser shows and its selection there
+    setSelection(path, selection) {
+        const text = path && this.files.get(path);
+        if (!text || !selection) {
+            this.awareness.setLocalStateField('cursor', path ? { path } : null);
+            return;
+        }
+        const relative = (offset) => Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(text, offset));
+        this.awareness.setLocalStateField('cursor', {
+            path,
+            anchor: relative(selection.anchor),
+            head: relative(selection.head)
+        });
+    }
+
+    // Absolute offset of a remote cursor position in `path`, or null
+    resolvePosition(path, position) {
+        const text = this.files.get(path);
+        const absolute = text && position
+            ? Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON(position), this.doc)
+            : null;
+        return absolute && absolute.type === text ? absolute.index : null;
+    }
+
+    // Other browsers' presence: [{ clientId, user, cursor }]
+    collaborators() {
+        return [...this.awareness.getStates()]
+            .filter(([clientId, state]) => clientId !== this.doc.clientID && typeof state.user?.name === 'string')
+            .map(([clientId, state]) => ({ clientId, user: state.user, cursor: state.cursor ?? null }));
+    }
+}
+
+// Keeps one Monaco model and one Y.Text in step. Remote changes are applied
+// as model edits (so cursors and decorations move with them); local changes
+// become Y.Text inserts and deletes.
+class TextBinding {
+    constructor(collaboration, text, model, monaco) {
+        this.collaboration = collaboration;
+        this.text = text;
+        this.model = model;
+        this.monaco = monaco;
+        this.applyingRemote = false;
+
+        // Offsets must mean the same thing in every browser
+        if (model.getEOL() !== '\n') {
+            model.setEOL(monaco.editor.EndOfLineSequence.LF);
+        }
+        // The shared text wins over whatever this browser had
+        if (model.getValue() !== text.toString()) {
+            this.applyRemote(() => {
+                model.pushEditOperations([], [{ range: model.getFullModelRange(), text: text.toString() }], () => null);
+            });
+        }
+
+        this.observer = (event) => {
+            if (event.transaction.origin === this) {
+                return;
+            }
+            this.applyRemote(() => {
+                let index = 0;
+                for (const op of event.delta) {
+                    if (op.retain !== undefined) {
+                        index += op.retain;
+                    } else if (op.insert !== undefined) {
+                        const position = model.getPositionAt(index);
+                        model.applyEdits([{ range: monaco.Range.fromPositions(position), text: op.insert }]);
+                        index += op.insert.length;
+                    } else if (op.delete !== undefined) {
+                        const range = monaco.Range.fromPositions(model.getPositionAt(index), model.getPositionAt(index + op.delete));
+                        model.applyEdits([{ range, text: '' }]);
+                    }
+                }
+            });
+        };
+        text.observe(this.observer);
+
+        this.subscription = model.onDidChangeContent((event) => {
+            if (this.applyingRemote) {
+                return;
+            }
+            collaboration.doc.transact(() => {
+                // Back to front, so earlier offsets stay valid
+                for (const change of [...event.changes].sort((a, b) => b.rangeOffset - a.rangeOffset)) {
+                    text.delete(change.rangeOffset, change.rangeLength);
+                    text.insert(change.rangeOffset, change.text);
+                }
+            }, this);
+        });
+    }
+
+    applyRemote(apply) {
+        this.applyingRemote = true;
+        try {
+            apply();
+        } finally {
+            this.applyingRemote = false;
+        }
+    }
+
+    dispose() {
+        this.text.unobserve(this.observer);
+        this.subscription.dispose();
+    }
+}
+
+// This browser's collaborator identity. Name and color are kept in
+// localStorage; the id lives per tab (sessionStorage), so a reloaded tab is
+// recognized by the server and replaces its old presence.
+export function localUser() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(USER_STORAGE_KEY));
+    } catch {
+        // Corrupt; pick a new identity
+    }
+    const user = {
+        name: typeof stored?.name === 'string' && stored.name ? stored.name : `Guest ${Math.floor(1000 + Math.random() * 9000)}`,
+        color: COLORS.includes(stored?.color) ? stored.color : COLORS[Math.floor(Math.random() * COLORS.length)]
+    };
+    localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(user));
+
+    let id = sessionStorage.getItem(`${USER_STORAGE_KEY}:id`);
+    if (!id) {
+        id = crypto.randomUUID();
+        sessionStorage.setItem(`${USER_STORAGE_KEY}:id`, id);
+    }
+    return { ...user, id };
+}
+
+export function saveLocalUser({ name, color }) {
+    localStorage.setItem(USER_STORAGE_KEY, JSON.stringify({ name, color }));
+}
+
+function encodeAwareness(awareness, clients) {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+    encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(awareness, clients));
+    return encoding.toUint8Array(encoder);
+}
+
+function defaultUrl(name) {
+    return `${location.protocol === 'https:' ? 'wss:' : 'ws:'}//${location.host}/collab/${encodeURIComponent(name)}`;
+}
@@ -0,0 +1,146 @@
+import { loadMonaco } from './monaco.js';
+import { editorOptions } from './settings.js';
+
+// modern-monaco only reads these <monaco-editor> attributes (lowercased
+// editor option names); the rest of the settings reach the editor through
+// updateOptions once it exists.
+const ELEMENT_ATTRIBUTES = ['theme', 'fontFamily', 'fontSize', 'lineHeight', 'fontLigatures', 'tabSize', 'wordWrap', 'minimap', 'lineNumbers', 'stickyScroll'];
+
+// Applies Settings (settings.js) to the <monaco-editor> element, the editor
+// it creates and the open documents, live as they change.
+//
+// Themes: modern-monaco loads only the theme it starts with into its
+// highlighter, and its monaco.editor.setTheme refuses any other. A different
+// theme is converted the way modern-monaco converts the first one and set
+// through the editor's own options; token colors then follow the scopes the
+// start theme knows, and are exact after the next load.
+//
+// TypeScript compiler options are read once, when the TypeScript worker
+// starts; `compilerOptionsPending()` tells whether they changed since.
+export class EditorSettings {
+    constructor(element, settings, { themeUrl }) {
+        this.element = element;
+        this.settings = settings;
+        this.themeUrl = themeUrl;
+        this.editor = null;
+        this.monaco = null;
+        // Theme the highlighter was started with, and the options the
+        // TypeScript worker was started with
+        this.startTheme = settings.get('theme');
+        this.startCompilerOptions = JSON.stringify(settings.get('compilerOptions'));
+        this.definedThemes = new Set();
+
+        this.applyToElement();
+        settings.addEventListener('change', (event) => this.apply(event.detail.changed));
+    }
+
+    // Before the element connects: modern-monaco creates the editor from them
+    applyToElement() {
+        const options = editorOptions(this.settings.values);
+        for (const name of ELEMENT_ATTRIBUTES) {
+            const value = options[name];
+            this.element.setAttribute(name.toLowerCase(), typeof value === 'object' ? JSON.stringify(value) : String(value));
+        }
+    }
+
+    async attach(editor) {
+        this.editor = editor;
+        this.monaco = await loadMonaco();
+        // Model options (indentation) of documents opened from now on
+        this.monaco.editor.onDidCreateModel(model => this.applyToModel(model));
+        this.monaco.editor.getModels().forEach(model => this.applyToModel(model));
+        await this.apply(Object.keys(this.settings.values));
+    }
+
+    async apply(changed) {
+        this.applyToElement();
+        if (!this.editor) {
+            return;
+        }
+        const { theme, ...options } = editorOptions(this.settings.values);
+        this.editor.updateOptions(options);
+        if (changed.includes('fontFamily')) {
+            this.monaco.editor.remeasureFonts();
+        }
+        if (changed.includes('tabSize') || changed.includes('insertSpaces')) {
+            this.monaco.editor.getModels().forEach(model => this.applyToModel(model));
+        }
+        if (changed.includes('theme')) {
+            await this.applyTheme(theme);
+        }
+    }
+
+    applyToModel(model) {
+        if (model.uri.scheme === 'file') {
+            model.updateOptions({
+                tabSize: this.settings.get('tabSize'),
+                insertSpaces: this.settings.get('insertSpaces')
+            });
+        }
+    }
+
+    async applyTheme(name) {
+        if (name !== this.startTheme && !this.definedThemes.has(name)) {
+            try {
+                const response = await fetch(this.themeUrl(name));
+                if (!response.ok) {
+                    throw new Error(`${response.status} ${response.statusText}`);
+                }
+                this.monaco.editor.defineTheme(name, monacoTheme(await response.json()));
+                this.definedThemes.add(name);
+            } catch (error) {
+                console.warn(`Theme ${name} unavailable:`, error);
+                return;
+            }
+        }
+        // Not monaco.editor.setTheme, see above
+        this.editor.updateOptions({ theme: name });
+    }
+
+    compilerOptionsPending() {
+        return JSON.stringify(this.settings.get('compilerOptions')) !== this.startCompilerOptions;
+    }
+}
+
+// A TextMate theme (tm-themes JSON) as a Monaco theme, like modern-monaco's
+// textmateThemeToMonacoTheme
+function monacoTheme(theme) {
+    const dark = theme.type === 'dark';
+    const background = theme.colors?.['editor.background'] ?? (dark ? '#1e1e1e' : '#ffffff');
+    const rules = [];
+    for (const { scope, settings } of theme.tokenColors ?? theme.settings ?? []) {
+        const scopes = Array.isArray(scope) ? scope : String(scope ?? '').split(',');
+        for (const token of scopes.map(s => s.trim()).filter(Boolean)) {
+            if (settings?.foreground) {
+                rules.push({ token, foreground: blend(background, settings.foreground), fontStyle: settings.fontStyle });
+            }
+        }
+    }
+    return {
+        base: dark ? 'vs-dark' : 'vs',
+        inherit: false,
+        colors: Object.fromEntries(Object.entries(theme.colors ?? {}).map(([key, value]) => [key, blend(background, value)])),
+        rules
+    };
+}
+
+// `color` as opaque #rrggbb, translucent colors mixed into `background`
+function blend(background, color) {
+    const [r, g, b, alpha] = rgba(color);
+    if (alpha === 1) {
+        return hex([r, g, b]);
+    }
+    const base = rgba(background);
+    return hex([r, g, b].map((channel, i) => Math.round(base[i] * (1 - alpha) + channel * alpha)));
+}
+
+function rgba(color) {
+    const digits = color.replace(/^#/, '');
+    const step = digits.length >= 6 ? 2 : 1;
+    const channels = [0, 1, 2, 3].map(i => parseInt(digits.slice(i * step, i * step + step).repeat(3 - step), 16));
+    return [...channels.slice(0, 3), Number.isNaN(channels[3]) ? 1 : channels[3] / 255];
+}
+
+function hex(channels) {
+    return '#' + channels.map(channel => channel.toString(16).padStart(2, '0')).join('');
+}
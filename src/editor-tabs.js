@@ -0,0 +1,258 @@
+import { loadMonaco } from './monaco.js';
+import { FILE, basename, normalizeWorkspacePath, toFileUrl } from './workspace-paths.js';
+
+// Tab strip above the editor. Keeps several workspace documents open, marks
+// tabs whose model differs from the saved (server) copy, and remembers the
+// open tabs in localStorage. Cursor and scroll positions are restored by the
+// workspace's own view state storage when a document is reopened.
+export class EditorTabs {
+    constructor(container, workspace, sync, { storageKey } = {}) {
+        this.container = container;
+        this.workspace = workspace;
+        this.sync = sync;
+        this.storageKey = storageKey;
+        this.tabs = [];
+        this.active = null;
+        this.dirty = new Set();
+
+        this.container.classList.add('editor-tabs');
+        this.container.setAttribute('role', 'tablist');
+        this.container.addEventListener('click', (event) => this.handleClick(event));
+        this.container.addEventListener('auxclick', (event) => {
+            // Middle click closes, as in most editors
+            const tab = event.target.closest('.editor-tab');
+            if (tab && event.button === 1) {
+                this.close(tab.dataset.path);
+            }
+        });
+
+        this.sync.addEventListener('saved', (event) => {
+            this.setDirty(event.detail.path, false);
+        });
+    }
+
+    // Tracks every workspace model so the dirty markers follow typing, undo
+    // and redo immediately rather than waiting for the filesystem write.
+    async attach() {
+        const monaco = await loadMonaco();
+        const track = (model) => {
+            if (model.uri.scheme !== 'file') {
+                return;
+            }
+            const path = normalizeWorkspacePath(model.uri.path);
+            model.onDidChangeContent(() => {
+                this.setDirty(path, this.sync.isModified(path, model.getValue()));
+            });
+        };
+        monaco.editor.getModels().forEach(track);
+        monaco.editor.onDidCreateModel(track);
+    }
+
+    // Restores the tabs saved by a previous session (skipping files that no
+    // longer exist) and returns the path that should be shown, if any.
+    async restore() {
+        let state = null;
+        try {
+            state = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch {
+            // Corrupt or missing state; start with no tabs
+        }
+        if (!state || !Array.isArray(state.tabs)) {
+            return null;
+        }
+
+        const tabs = [];
+        for (const path of state.tabs) {
+            try {
+                if (typeof path === 'string' && (await this.workspace.fs.stat(path)).type === FILE) {
+                    tabs.push(path);
+                }
+            } catch {
+                // Deleted since the last session
+            }
+        }
+        this.tabs = tabs;
+        this.active = this.tabs.includes(state.active) ? state.active : this.tabs[0] ?? null;
+        this.render();
+        return this.active;
+    }
+
+    persist() {
+        if (!this.storageKey) {
+            return;
+        }
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            tabs: this.tabs,
+            active: this.active
+        }));
+    }
+
+    // Adds a tab for `filename` (if needed) and marks it active. Does not
+    // open the document; call `open()` for that.
+    add(filename) {
+        const path = normalizeWorkspacePath(filename);
+        if (!this.tabs.includes(path)) {
+            const index = this.tabs.indexOf(this.active);
+            this.tabs.splice(index + 1, 0, path);
+        }
+        this.active = path;
+        this.persist();
+        this.render();
+    }
+
+    async open(filename) {
+        await this.saveViewState();
+        this.add(filename);
+        await this.workspace.openTextDocument(this.active);
+    }
+
+    async close(filename) {
+        const path = normalizeWorkspacePath(filename);
+        if (this.dirty.has(path)) {
+            const discard = confirm(`"${basename(path)}" has unsaved changes. Close it and discard them?`);
+            if (!discard) {
+                return false;
+            }
+            await this.revert(path);
+        }
+        await this.remove(path);
+        return true;
+    }
+
+    // Drops tabs for `filename` and anything below it without prompting,
+    // e.g. after the files were deleted. "/" drops every tab.
+    async remove(filename) {
+        const path = normalizeWorkspacePath(filename);
+        const prefix = path === '/' ? '/' : path + '/';
+        const closing = this.tabs.filter(tab => tab === path || tab.startsWith(prefix));
+        if (closing.length === 0) {
+            return;
+        }
+
+        let index = this.tabs.indexOf(this.active);
+        this.tabs = this.tabs.filter(tab => !closing.includes(tab));
+        closing.forEach(tab => this.dirty.delete(tab));
+
+        if (closing.includes(this.active)) {
+            index = Math.min(index, this.tabs.length - 1);
+            this.active = this.tabs[index] ?? null;
+            if (this.active) {
+                await this.workspace.openTextDocument(this.active);
+            } else {
+                const monaco = await loadMonaco();
+                monaco.editor.getEditors()[0]?.setModel(null);
+            }
+        }
+        this.persist();
+        this.render();
+    }
+
+    // Follows a file or folder rename/move.
+    async rename(from, to) {
+        from = normalizeWorkspacePath(from);
+        to = normalizeWorkspacePath(to);
+        const moved = (tab) => tab === from || tab.startsWith(from + '/') ? to + tab.slice(from.length) : tab;
+        const wasActive = this.active && moved(this.active) !== this.active;
+
+        this.tabs = this.tabs.map(moved);
+        this.dirty = new Set([...this.dirty].map(moved));
+        this.active = this.active && moved(this.active);
+        this.persist();
+        this.render();
+
+        if (wasActive) {
+            await this.workspace.openTextDocument(this.active);
+        }
+    }
+
+    async revert(path) {
+        const saved = this.sync.savedText(path);
+        const monaco = await loadMonaco();
+        const model = monaco.editor.getModel(monaco.Uri.parse(toFileUrl(path)));
+        if (model && saved !== null) {
+            model.setValue(saved);
+        }
+        this.setDirty(path, false);
+    }
+
+    async saveViewState() {
+        if (!this.active) {
+            return;
+        }
+        const monaco = await loadMonaco();
+        const editor = monaco.editor.getEditors()[0];
+        const state = editor?.saveViewState();
+        if (state && editor.getModel()?.uri.toString() === toFileUrl(this.active)) {
+            await this.workspace.viewState.save(toFileUrl(this.active), state);
+        }
+    }
+
+    setDirty(path, dirty) {
+        if (this.dirty.has(path) === dirty) {
+            return;
+        }
+        if (dirty) {
+            this.dirty.add(path);
+        } else {
+            this.dirty.delete(path);
+        }
+        this.render();
+    }
+
+    hasUnsavedChanges() {
+        return this.dirty.size > 0;
+    }
+
+    handleClick(event) {
+        const tab = event.target.closest('.editor-tab');
+        if (!tab) {
+            return;
+        }
+        if (event.target.closest('.editor-tab-close')) {
+            this.close(tab.dataset.path);
+        } else if (tab.dataset.path !== this.active) {
+            this.open(tab.dataset.path).catch((error) => {
+                console.error(`Failed to open ${tab.dataset.path}:`, error);
+            });
+        }
+    }
+
+    render() {
+        // Same-named files in different folders get their folder as a hint
+        const names = this.tabs.map(basename);
+
+        this.container.replaceChildren(...this.tabs.map((path, index) => {
+            const tab = document.createElement('div');
+            const isActive = path === this.active;
+            const isDirty = this.dirty.has(path);
+            tab.className = 'editor-tab';
+            tab.classList.toggle('active', isActive);
+            tab.classList.toggle('dirty', isDirty);
+            tab.dataset.path = path;
+            tab.title = path + (isDirty ? ' (unsaved)' : '');
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-selected', String(isActive));
+
+            const name = document.createElement('span');
+            name.className = 'editor-tab-name';
+            name.textContent = names[index];
+            if (names.indexOf(names[index]) !== names.lastIndexOf(names[index])) {
+                const hint = document.createElement('span');
+                hint.className = 'editor-tab-hint';
+                hint.textContent = path.slice(1, path.lastIndexOf('/')) || '/';
+                name.append(' ', hint);
+            }
+
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'editor-tab-close';
+            close.title = 'Close';
+            close.textContent = isDirty ? '●' : '×';
+
+            tab.append(name, close);
+            return tab;
+        }));
+
+        this.container.querySelector('.editor-tab.active')?.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+}
@@ -0,0 +1,208 @@
+// Languages ESLint checks (Monaco language ids)
+const LINT_LANGUAGES = ['javascript', 'typescript', 'jsx', 'tsx'];
+const MARKER_OWNER = 'eslint';
+// Pause in typing before a document is linted again
+const LINT_DELAY = 400;
+// Saving one of these re-lints every open document
+const CONFIG_FILE_PATTERN = /^\/eslint\.config\.[cm]?js$/;
+
+// ESLint problems as editor markers (the server runs ESLint, see
+// server/lint.js), with quick fixes for the problems ESLint can fix or has
+// suggestions for. Each document is linted on its own, shortly after it
+// stops changing; a result for an older version of it is dropped.
+//
+// When the server ignores the workspace's eslint.config.js (see
+// ESLINT_WORKSPACE_CONFIG in server/lint.js), every linted document gets an
+// info marker on its first line saying so.
+export class EslintDiagnostics {
+    constructor(client, sync) {
+        this.client = client;
+        this.sync = sync;
+        this.monaco = null;
+        // Model URI -> { timer, version, problems: [{ marker, fix, suggestions }] },
+        // `version` being the model version the problems were found in
+        this.documents = new Map();
+    }
+
+    attach(monaco) {
+        this.monaco = monaco;
+        monaco.editor.getModels().forEach(model => this.watch(model));
+        monaco.editor.onDidCreateModel(model => this.watch(model));
+        // A model's language can change after it is created (rename)
+        monaco.editor.onDidChangeModelLanguage(({ model }) => this.schedule(model));
+
+        for (const language of LINT_LANGUAGES) {
+            monaco.languages.registerCodeActionProvider(language, {
+                provideCodeActions: (model, range, context) => this.codeActions(model, context)
+            }, { providedCodeActionKinds: ['quickfix', 'source.fixAll.eslint'] });
+        }
+
+        this.sync.addEventListener('saved', (event) => {
+            if (CONFIG_FILE_PATTERN.test(event.detail.path)) {
+                monaco.editor.getModels().forEach(model => this.schedule(model));
+            }
+        });
+    }
+
+    watch(model) {
+        if (model.uri.scheme !== 'file') {
+            return;
+        }
+        model.onDidChangeContent(() => this.schedule(model));
+        model.onWillDispose(() => {
+            clearTimeout(this.documents.get(model.uri.toString())?.timer);
+            this.documents.delete(model.uri.toString());
+        });
+        this.schedule(model, 0);
+    }
+
+    schedule(model, delay = LINT_DELAY) {
+        const key = model.uri.toString();
+        if (!LINT_LANGUAGES.includes(model.getLanguageId())) {
+            if (this.documents.has(key)) {
+                clearTimeout(this.documents.get(key).timer);
+                this.clear(model);
+            }
+            return;
+        }
+        const entry = this.documents.get(key) ?? { timer: null, version: null, problems: [] };
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => this.lint(model), delay);
+        this.documents.set(key, entry);
+    }
+
+    async lint(model) {
+        if (model.isDisposed()) {
+            return;
+        }
+        const version = model.getVersionId();
+        let problems;
+        let ignoredConfig;
+        try {
+            ({ problems, ignoredConfig } = await this.client.lint(model.uri.path, model.getValue()));
+        } catch (error) {
+            // Offline, or the file left the workspace: keep the last markers
+            console.warn(`ESLint failed on ${model.uri.path}:`, error);
+            return;
+        }
+        const entry = this.documents.get(model.uri.toString());
+        if (!entry || model.isDisposed() || model.getVersionId() !== version) {
+            return;
+        }
+        entry.version = version;
+        entry.problems = problems.map(problem => ({
+            marker: this.marker(problem),
+            fix: problem.fix && this.edit(model, problem.fix),
+            suggestions: problem.suggestions.map(({ desc, fix }) => ({ title: desc, edit: this.edit(model, fix) }))
+        }));
+        // The config file itself already has a warning about it
+        if (ignoredConfig && model.uri.path !== `/${ignoredConfig}`) {
+            entry.problems.push({ marker: this.ignoredConfigMarker(ignoredConfig), fix: null, suggestions: [] });
+        }
+        this.monaco.editor.setModelMarkers(model, MARKER_OWNER, entry.problems.map(({ marker }) => marker));
+    }
+
+    clear(model) {
+        this.documents.delete(model.uri.toString());
+        this.monaco.editor.setModelMarkers(model, MARKER_OWNER, []);
+    }
+
+    marker(problem) {
+        const { MarkerSeverity, Uri } = this.monaco;
+        return {
+            severity: problem.severity === 2 ? MarkerSeverity.Error : MarkerSeverity.Warning,
+            message: problem.message,
+            source: 'eslint',
+            code: problem.ruleId && problem.docs
+                ? { value: problem.ruleId, target: Uri.parse(problem.docs) }
+                : problem.ruleId ?? undefined,
+            startLineNumber: problem.line,
+            startColumn: problem.column,
+            endLineNumber: problem.endLine,
+            endColumn: problem.endColumn
+        };
+    }
+
+    ignoredConfigMarker(file) {
+        return {
+            severity: this.monaco.MarkerSeverity.Info,
+            message: `${file} is ignored: loading it would run workspace code on the server, so the built-in ESLint config applies. Start the server with ESLINT_WORKSPACE_CONFIG=true to use it.`,
+            source: 'eslint',
+            startLineNumber: 1,
+            startColumn: 1,
+            endLineNumber: 1,
+            endColumn: 1
+        };
+    }
+
+    // An ESLint fix ({ range: [start, end], text }) as an edit of the model;
+    // offsets are into the linted version
+    edit(model, fix) {
+        const [start, end] = fix.range;
+        return {
+            range: this.monaco.Range.fromPositions(model.getPositionAt(start), model.getPositionAt(end)),
+            text: fix.text,
+            offsets: fix.range
+        };
+    }
+
+    // Quick fixes for the ESLint markers under the cursor, and one action
+    // that applies every fix that does not overlap another. None while the
+    // document has changed since it was linted: the fixes would be off.
+    codeActions(model, context) {
+        const entry = this.documents.get(model.uri.toString());
+        const markers = context.markers.filter(marker => marker.source === 'eslint');
+        if (!entry || entry.version !== model.getVersionId() || markers.length === 0) {
+            return { actions: [], dispose() {} };
+        }
+        const actions = [];
+        for (const marker of markers) {
+            const problem = entry.problems.find(({ marker: candidate }) => sameMarker(candidate, marker));
+            if (!problem) {
+                continue;
+            }
+            if (problem.fix) {
+                const rule = problem.marker.code?.value ?? problem.marker.code;
+                actions.push(this.action(model, `Fix this ${rule} problem`, [problem.fix], [marker], { isPreferred: true }));
+            }
+            for (const suggestion of problem.suggestions) {
+                actions.push(this.action(model, suggestion.title, [suggestion.edit], [marker]));
+            }
+        }
+
+        const fixes = [];
+        for (const { fix } of [...entry.problems].filter(problem => problem.fix).sort((a, b) => a.fix.offsets[0] - b.fix.offsets[0])) {
+            if (fixes.length === 0 || fix.offsets[0] >= fixes[fixes.length - 1].offsets[1]) {
+                fixes.push(fix);
+            }
+        }
+        if (fixes.length > 1) {
+            actions.push(this.action(model, 'Fix all auto-fixable ESLint problems', fixes, [], { kind: 'source.fixAll.eslint' }));
+        }
+        return { actions, dispose() {} };
+    }
+
+    action(model, title, edits, diagnostics, { kind = 'quickfix', isPreferred = false } = {}) {
+        return {
+            title,
+            kind,
+            isPreferred,
+            diagnostics,
+            edit: {
+                edits: edits.map(({ range, text }) => ({
+                    resource: model.uri,
+                    versionId: model.getVersionId(),
+                    textEdit: { range, text }
+                }))
+            }
+        };
+    }
+}
+
+function sameMarker(a, b) {
+    return a.startLineNumber === b.startLineNumber
+        && a.startColumn === b.startColumn
+        && a.endLineNumber === b.endLineNumber
+        && a.endColumn === b.endColumn
+        && a.message === b.message;
+}
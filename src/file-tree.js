@@ -0,0 +1,357 @@
+import { DIRECTORY, normalizeWorkspacePath, dirname, basename, joinPath } from './workspace-paths.js';
+
+// Explorer sidebar over a Workspace filesystem. Renders the tree as nested
+// folders and performs create/rename/delete/move directly on `workspace.fs`;
+// the tree itself re-renders from filesystem change events.
+export class FileTree {
+    constructor(container, workspace, { onOpen = () => {} } = {}) {
+        this.container = container;
+        this.workspace = workspace;
+        this.onOpen = onOpen;
+        this.selected = null;
+        this.expanded = new Set(['/']);
+        this.renderTimer = null;
+        this.unwatch = null;
+
+        this.container.classList.add('file-tree');
+        this.container.innerHTML = `
+            <div class="file-tree-header">
+                <span class="file-tree-title">Explorer</span>
+                <button type="button" data-action="new-file" title="New File">+📄</button>
+                <button type="button" data-action="new-folder" title="New Folder">+📁</button>
+                <button type="button" data-action="rename" title="Rename">✏️</button>
+                <button type="button" data-action="delete" title="Delete">🗑️</button>
+            </div>
+            <ul class="file-tree-root" role="tree"></ul>
+        `;
+        this.rootEl = this.container.querySelector('.file-tree-root');
+
+        this.container.querySelector('.file-tree-header').addEventListener('click', (event) => {
+            const action = event.target.closest('button')?.dataset.action;
+            if (action) {
+                this.runAction(action);
+            }
+        });
+        this.rootEl.addEventListener('click', (event) => this.handleClick(event));
+        this.rootEl.addEventListener('keydown', (event) => this.handleKeydown(event));
+        this.setupDragAndDrop();
+    }
+
+    async mount() {
+        this.unwatch = this.workspace.fs.watch('/', { recursive: true }, () => this.scheduleRender());
+        await this.render();
+    }
+
+    dispose() {
+        this.unwatch?.();
+        this.container.innerHTML = '';
+    }
+
+    scheduleRender() {
+        clearTimeout(this.renderTimer);
+        this.renderTimer = setTimeout(() => this.render(), 50);
+    }
+
+    async render() {
+        const fragment = document.createDocumentFragment();
+        await this.renderDirectory('/', fragment, 0);
+        this.rootEl.replaceChildren(fragment);
+    }
+
+    async renderDirectory(dir, parentEl, depth) {
+        const entries = await this.workspace.fs.readDirectory(dir);
+
+        // Folders first, then files, each alphabetically
+        entries.sort(([nameA, typeA], [nameB, typeB]) => {
+            if (typeA !== typeB) {
+                return typeA === DIRECTORY ? -1 : 1;
+            }
+            return nameA.localeCompare(nameB);
+        });
+
+        for (const [name, type] of entries) {
+            const path = (dir === '/' ? '' : dir) + '/' + name;
+            const isDirectory = type === DIRECTORY;
+            const item = document.createElement('li');
+            item.setAttribute('role', 'treeitem');
+
+            const row = document.createElement('div');
+            row.className = 'file-tree-row';
+            row.dataset.path = path;
+            row.dataset.type = isDirectory ? 'directory' : 'file';
+            row.draggable = true;
+            row.tabIndex = -1;
+            row.style.paddingLeft = `${8 + depth * 12}px`;
+            row.classList.toggle('selected', path === this.selected);
+
+            const icon = isDirectory ? (this.expanded.has(path) ? '▾' : '▸') : '';
+            row.innerHTML = `<span class="file-tree-icon">${icon}</span><span class="file-tree-name"></span>`;
+            row.querySelector('.file-tree-name').textContent = name;
+            item.appendChild(row);
+
+            if (isDirectory) {
+                item.setAttribute('aria-expanded', String(this.expanded.has(path)));
+                if (this.expanded.has(path)) {
+                    const children = document.createElement('ul');
+                    children.setAttribute('role', 'group');
+                    await this.renderDirectory(path, children, depth + 1);
+                    item.appendChild(children);
+                }
+            }
+            parentEl.appendChild(item);
+        }
+    }
+
+    // Highlights `filename` (a workspace path or file:// URL) and expands its parents.
+    selectFile(filename) {
+        const path = normalizeWorkspacePath(filename);
+        this.selected = path;
+
+        const segments = path.split('/').filter(Boolean);
+        for (let i = 1; i < segments.length; i++) {
+            this.expanded.add('/' + segments.slice(0, i).join('/'));
+        }
+
+        this.scheduleRender();
+    }
+
+    handleClick(event) {
+        const row = event.target.closest('.file-tree-row');
+        if (!row) {
+            return;
+        }
+        const { path, type } = row.dataset;
+        this.selected = path;
+
+        if (type === 'directory') {
+            if (this.expanded.has(path)) {
+                this.expanded.delete(path);
+            } else {
+                this.expanded.add(path);
+            }
+            this.scheduleRender();
+        } else {
+            this.onOpen(path);
+        }
+        this.updateSelection();
+    }
+
+    handleKeydown(event) {
+        if (event.key === 'F2') {
+            event.preventDefault();
+            this.runAction('rename');
+        } else if (event.key === 'Delete') {
+            event.preventDefault();
+            this.runAction('delete');
+        }
+    }
+
+    updateSelection() {
+        for (const row of this.rootEl.querySelectorAll('.file-tree-row')) {
+            const selected = row.dataset.path === this.selected;
+            row.classList.toggle('selected', selected);
+            if (selected) {
+                row.focus({ preventScroll: true });
+            }
+        }
+    }
+
+    // Folder that new entries are created in: the selected folder, or the
+    // parent of the selected file.
+    async targetDirectory() {
+        if (!this.selected) {
+            return '/';
+        }
+        try {
+            const stat = await this.workspace.fs.stat(this.selected);
+            if (stat.type === DIRECTORY) {
+                return this.selected;
+            }
+        } catch {
+            return '/';
+        }
+        return dirname(this.selected);
+    }
+
+    async runAction(action) {
+        try {
+            switch (action) {
+                case 'new-file':
+                    await this.createEntry(false);
+                    break;
+                case 'new-folder':
+                    await this.createEntry(true);
+                    break;
+                case 'rename':
+                    await this.renameSelected();
+                    break;
+                case 'delete':
+                    await this.deleteSelected();
+                    break;
+            }
+        } catch (error) {
+            console.error(`File tree ${action} failed:`, error);
+            alert(error.message);
+        }
+    }
+
+    async createEntry(isDirectory) {
+        const dir = await this.targetDirectory();
+        const name = prompt(isDirectory ? 'New folder name' : 'New file name');
+        if (!name?.trim()) {
+            return;
+        }
+
+        const path = joinPath(dir, name.trim());
+        if (await this.exists(path)) {
+            throw new Error(`"${basename(path)}" already exists`);
+        }
+        if (isDirectory) {
+            await this.workspace.fs.createDirectory(path);
+        } else {
+            const parent = dirname(path);
+            if (parent !== '/') {
+                await this.workspace.fs.createDirectory(parent);
+            }
+            await this.workspace.fs.writeFile(path, '');
+        }
+
+        this.expanded.add(dir);
+        this.selected = path;
+        if (isDirectory) {
+            this.expanded.add(path);
+        } else {
+            this.onOpen(path);
+        }
+    }
+
+    async renameSelected() {
+        if (!this.selected) {
+            return;
+        }
+        const oldName = basename(this.selected);
+        const newName = prompt('Rename to', oldName);
+        if (!newName?.trim() || newName.trim() === oldName) {
+            return;
+        }
+        await this.move(this.selected, joinPath(dirname(this.selected), newName.trim()));
+    }
+
+    async deleteSelected() {
+        if (!this.selected) {
+            return;
+        }
+        const stat = await this.workspace.fs.stat(this.selected);
+        const isDirectory = stat.type === DIRECTORY;
+        const label = isDirectory ? 'folder and its contents' : 'file';
+        if (!confirm(`Delete the ${label} "${basename(this.selected)}"?`)) {
+            return;
+        }
+
+        const path = this.selected;
+        await this.workspace.fs.delete(path, { recursive: isDirectory });
+        this.expanded.delete(path);
+        this.selected = null;
+        this.container.dispatchEvent(new CustomEvent('file-deleted', { detail: { path } }));
+    }
+
+    async move(from, to) {
+        if (from === to) {
+            return;
+        }
+        if (to.startsWith(from + '/')) {
+            throw new Error(`Cannot move "${basename(from)}" into itself`);
+        }
+        // The rename would replace it
+        if (await this.exists(to)) {
+            throw new Error(`"${basename(to)}" already exists in ${dirname(to) === '/' ? 'the workspace root' : `"${basename(dirname(to))}"`}`);
+        }
+
+        await this.workspace.fs.rename(from, to);
+
+        if (this.expanded.delete(from)) {
+            this.expanded.add(to);
+        }
+        if (this.selected === from || this.selected?.startsWith(from + '/')) {
+            this.selected = to + this.selected.slice(from.length);
+        }
+        this.container.dispatchEvent(new CustomEvent('file-moved', { detail: { from, to } }));
+    }
+
+    async exists(path) {
+        try {
+            await this.workspace.fs.stat(path);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    setupDragAndDrop() {
+        let dragged = null;
+
+        this.rootEl.addEventListener('dragstart', (event) => {
+            const row = event.target.closest('.file-tree-row');
+            if (!row) {
+                return;
+            }
+            dragged = row.dataset.path;
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', dragged);
+        });
+
+        this.rootEl.addEventListener('dragover', (event) => {
+            if (!dragged) {
+                return;
+            }
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+            this.highlightDropTarget(this.dropDirectory(event.target));
+        });
+
+        this.rootEl.addEventListener('dragleave', (event) => {
+            if (!this.rootEl.contains(event.relatedTarget)) {
+                this.highlightDropTarget(null);
+            }
+        });
+
+        this.rootEl.addEventListener('drop', (event) => {
+            event.preventDefault();
+            this.highlightDropTarget(null);
+            if (!dragged) {
+                return;
+            }
+            const from = dragged;
+            const dir = this.dropDirectory(event.target);
+            dragged = null;
+
+            if (dirname(from) !== dir) {
+                this.move(from, joinPath(dir, basename(from))).catch((error) => {
+                    console.error('File tree move failed:', error);
+                    alert(error.message);
+                });
+            }
+        });
+
+        this.rootEl.addEventListener('dragend', () => {
+            dragged = null;
+            this.highlightDropTarget(null);
+        });
+    }
+
+    // Dropping on a folder moves into it; dropping on a file moves next to it.
+    dropDirectory(target) {
+        const row = target.closest?.('.file-tree-row');
+        if (!row) {
+            return '/';
+        }
+        return row.dataset.type === 'directory' ? row.dataset.path : dirname(row.dataset.path);
+    }
+
+    highlightDropTarget(dir) {
+        this.rootEl.classList.toggle('drop-target', dir === '/');
+        for (const row of this.rootEl.querySelectorAll('.file-tree-row')) {
+            row.classList.toggle('drop-target', row.dataset.path === dir);
+        }
+    }
+}
@@ -0,0 +1,133 @@
+// Languages Prettier formats (Monaco language ids); the ones the editor
+// registered get the formatter
+const PRETTIER_LANGUAGES = ['javascript', 'typescript', 'jsx', 'tsx', 'json', 'jsonc', 'json5', 'html', 'vue', 'css', 'scss', 'less', 'markdown', 'mdx', 'yaml', 'graphql', 'handlebars'];
+
+// Prettier formatting (the server runs Prettier, see server/format.js).
+//
+// The formatter is registered as a formatting provider for every language
+// above, but the language services modern-monaco starts register their own,
+// and Monaco picks the latest. The Prettier actions (Shift+Alt+F,
+// Ctrl+K Ctrl+F, and the context menu) and format on save always use
+// Prettier.
+export class PrettierFormatter {
+    constructor(client, settings) {
+        this.client = client;
+        this.settings = settings;
+        this.editor = null;
+        this.monaco = null;
+    }
+
+    attach(editor, monaco) {
+        this.editor = editor;
+        this.monaco = monaco;
+
+        const languages = monaco.languages.getLanguages().map(language => language.id);
+        for (const id of PRETTIER_LANGUAGES.filter(id => languages.includes(id))) {
+            monaco.languages.registerDocumentFormattingEditProvider(id, {
+                displayName: 'Prettier',
+                provideDocumentFormattingEdits: (model, options) => this.edits(model, null, options)
+            });
+            monaco.languages.registerDocumentRangeFormattingEditProvider(id, {
+                displayName: 'Prettier',
+                provideDocumentRangeFormattingEdits: (model, range, options) => this.edits(model, range, options)
+            });
+        }
+
+        const { KeyMod, KeyCode } = monaco;
+        editor.addAction({
+            id: 'prettier.formatDocument',
+            label: 'Format Document with Prettier',
+            keybindings: [KeyMod.Shift | KeyMod.Alt | KeyCode.KeyF],
+            contextMenuGroupId: '1_modification',
+            contextMenuOrder: 1.3,
+            run: () => this.format()
+        });
+        editor.addAction({
+            id: 'prettier.formatSelection',
+            label: 'Format Selection with Prettier',
+            keybindings: [KeyMod.chord(KeyMod.CtrlCmd | KeyCode.KeyK, KeyMod.CtrlCmd | KeyCode.KeyF)],
+            precondition: 'editorHasSelection',
+            contextMenuGroupId: '1_modification',
+            contextMenuOrder: 1.31,
+            run: () => this.format({ selection: true })
+        });
+    }
+
+    canFormat(model) {
+        return model?.uri.scheme === 'file' && PRETTIER_LANGUAGES.includes(model.getLanguageId());
+    }
+
+    // Formats the editor's document (or its selection) as one undo step;
+    // failures show next to the cursor. Returns whether it was formatted.
+    async format({ selection = false } = {}) {
+        const model = this.editor?.getModel();
+        if (!this.canFormat(model)) {
+            this.showMessage(`Prettier does not format ${model?.getLanguageId() ?? 'this document'}`);
+            return false;
+        }
+        try {
+            const edits = await this.edits(model, selection ? this.editor.getSelection() : null, model.getOptions());
+            if (edits.length > 0) {
+                this.editor.pushUndoStop();
+                this.editor.executeEdits('prettier', edits);
+                this.editor.pushUndoStop();
+            }
+            return true;
+        } catch (error) {
+            console.warn(`Prettier failed on ${model.uri.path}:`, error);
+            this.showMessage(error.message);
+            return false;
+        }
+    }
+
+    // Before a save, if turned on in the settings
+    async formatOnSave(model) {
+        if (this.settings.get('formatOnSave') && model === this.editor?.getModel() && this.canFormat(model)) {
+            await this.format();
+        }
+    }
+
+    // Edits that turn the document into Prettier's output; none if the
+    // document changed while the server formatted it
+    async edits(model, range, { tabSize, insertSpaces }) {
+        const content = model.getValue();
+        const version = model.getVersionId();
+        const { formatted } = await this.client.format(model.uri.path, content, {
+            range: range && !range.isEmpty()
+                ? { start: model.getOffsetAt(range.getStartPosition()), end: model.getOffsetAt(range.getEndPosition()) }
+                : undefined,
+            editor: { tabSize, insertSpaces }
+        });
+        if (model.getVersionId() !== version || formatted === content) {
+            return [];
+        }
+        return [this.changedSpan(model, content, formatted)];
+    }
+
+    // One edit replacing what differs between the common start and end of
+    // the two texts, so the cursor and folding elsewhere stay put
+    changedSpan(model, before, after) {
+        const shorter = Math.min(before.length, after.length);
+        let start = 0;
+        while (start < shorter && before[start] === after[start]) {
+            start++;
+        }
+        let end = 0;
+        while (end < shorter - start && before[before.length - 1 - end] === after[after.length - 1 - end]) {
+            end++;
+        }
+        return {
+            range: this.monaco.Range.fromPositions(model.getPositionAt(start), model.getPositionAt(before.length - end)),
+            text: after.slice(start, after.length - end)
+        };
+    }
+
+    showMessage(message) {
+        const controller = this.editor?.getContribution('editor.contrib.messageController');
+        if (controller) {
+            controller.showMessage(message, this.editor.getPosition());
+        } else {
+            console.warn(message);
+        }
+    }
+}
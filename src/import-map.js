@@ -0,0 +1,92 @@
+// Import map helpers shared by the app, scripts/vendor.js and server/bundle.js
+// (no browser APIs).
+
+const IMPORT_MAP_PATTERN = /(<script\b[^>]*\btype=["']importmap["'][^>]*>)([\s\S]*?)(<\/script>)/gi;
+
+// CDN URL prefixes that are rewritten to the server's /vendor route
+const CDN_PREFIXES = [
+    'https://esm.sh/',
+    'https://cdn.jsdelivr.net/npm/',
+    'https://unpkg.com/'
+];
+
+// Returns the package specifier ("react-dom@18/client") behind a CDN URL, or
+// null when `url` is not a known CDN module URL.
+export function cdnSpecifier(url) {
+    const prefix = CDN_PREFIXES.find(p => url.startsWith(p));
+    if (!prefix) {
+        return null;
+    }
+    const specifier = url
+        .slice(prefix.length)
+        .replace(/[?#].*$/, '')
+        .replace(/\/\+esm$/, '')
+        .replace(/\/$/, '');
+    return specifier || null;
+}
+
+// Parses every <script type="importmap"> block in `html`.
+export function findImportMaps(html) {
+    const maps = [];
+    for (const match of html.matchAll(IMPORT_MAP_PATTERN)) {
+        try {
+            maps.push(JSON.parse(match[2]));
+        } catch {
+            // Invalid JSON; the browser would ignore it as well
+        }
+    }
+    return maps;
+}
+
+// Points CDN entries of an import map at `vendorBase` and adds a trailing-slash
+// entry per package so subpath imports ("react-dom/client") resolve too.
+export function vendorImportMap(importMap, vendorBase = '/vendor') {
+    const imports = { ...importMap.imports };
+    const rewritten = [];
+
+    for (const [key, url] of Object.entries(importMap.imports ?? {})) {
+        const specifier = typeof url === 'string' ? cdnSpecifier(url) : null;
+        if (!specifier) {
+            continue;
+        }
+        imports[key] = `${vendorBase}/${specifier}${key.endsWith('/') ? '/' : ''}`;
+        rewritten.push(specifier);
+
+        if (!key.endsWith('/') && !(`${key}/` in imports)) {
+            imports[`${key}/`] = `${vendorBase}/${specifier}/`;
+        }
+    }
+
+    return { importMap: { ...importMap, imports }, rewritten };
+}
+
+// Rewrites the import maps inside an HTML document. Returns the new HTML and
+// the package specifiers that now load from `vendorBase`.
+export function vendorImportMapsInHtml(html, vendorBase = '/vendor') {
+    const rewritten = [];
+
+    const output = html.replace(IMPORT_MAP_PATTERN, (block, open, json, close, offset) => {
+        let importMap;
+        try {
+            importMap = JSON.parse(json);
+        } catch {
+            return block;
+        }
+        const result = vendorImportMap(importMap, vendorBase);
+        if (result.rewritten.length === 0) {
+            return block;
+        }
+        rewritten.push(...result.rewritten);
+
+        // Keep the indentation of the surrounding markup
+        const lineStart = html.lastIndexOf('\n', offset) + 1;
+        const indent = /^\s*/.exec(html.slice(lineStart, offset))[0];
+        const body = JSON.stringify(result.importMap, null, 4)
+            .split('\n')
+            .map(line => indent + line)
+            .join('\n');
+        return `${open}\n${body}\n${indent}${close}`;
+    });
+
+    return { html: output, rewritten };
+}
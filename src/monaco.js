@@ -0,0 +1,8 @@
+// The monaco namespace that modern-monaco loads for the <monaco-editor>
+// element. Resolved through the "modern-monaco/editor-core" import map entry,
+// so this is the same module instance the editor uses.
+let monacoPromise = null;
+
+export function loadMonaco() {
+    return monacoPromise ??= import('modern-monaco/editor-core');
+}
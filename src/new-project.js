@@ -0,0 +1,165 @@
+const WORKSPACE_NAME_PATTERN = /^[A-Za-z0-9][\w.-]*$/;
+
+// The workspace named in the page URL (?workspace=<name>), if valid
+export function workspaceFromUrl(url = location.href) {
+    const name = new URL(url).searchParams.get('workspace');
+    return name && WORKSPACE_NAME_PATTERN.test(name) ? name : null;
+}
+
+export function workspaceUrl(name) {
+    return `${location.pathname}?workspace=${encodeURIComponent(name)}`;
+}
+
+// "New project" dialog: pick one of the server's templates (see
+// server/templates.js), name the project and switch to the new workspace.
+// Also lists the existing workspaces to switch to.
+export class NewProjectDialog {
+    constructor(dialog, client, { current }) {
+        this.dialog = dialog;
+        this.client = client;
+        this.current = current;
+        this.templates = [];
+        this.workspaces = [];
+        // The name field follows the template until the user types a name
+        this.nameEdited = false;
+
+        this.dialog.classList.add('project-dialog');
+        this.dialog.innerHTML = `
+            <div class="project-header">
+                <span class="project-title">New project</span>
+                <button type="button" data-action="close" title="Close">✕</button>
+            </div>
+            <form class="project-form">
+                <div class="project-templates" role="radiogroup" aria-label="Template"></div>
+                <label class="project-name">
+                    <span>Project name</span>
+                    <input name="name" required maxlength="64" pattern="[A-Za-z0-9][\\w.\\-]*"
+                        title="Letters, digits, '.', '_' and '-'">
+                </label>
+                <p class="project-error" hidden></p>
+                <div class="project-submit">
+                    <button type="submit">Create project</button>
+                </div>
+            </form>
+            <h3>Open a project</h3>
+            <ul class="project-list"></ul>
+        `;
+        this.form = this.dialog.querySelector('.project-form');
+        this.errorEl = this.dialog.querySelector('.project-error');
+
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.create();
+        });
+        this.form.addEventListener('change', (event) => {
+            if (event.target.name === 'template') {
+                this.suggestName();
+            }
+        });
+        this.form.elements.name.addEventListener('input', () => {
+            this.nameEdited = true;
+        });
+        this.dialog.addEventListener('click', (event) => {
+            if (event.target.closest('[data-action="close"]')) {
+                this.dialog.close();
+            }
+        });
+    }
+
+    async open() {
+        this.nameEdited = false;
+        this.showError('');
+        this.dialog.showModal();
+        try {
+            [this.templates, this.workspaces] = await Promise.all([
+                this.client.listTemplates(),
+                this.client.listWorkspaces()
+            ]);
+        } catch (error) {
+            console.error('Failed to load the templates:', error);
+            this.showError(`Could not load the templates: ${error.message}`);
+            return;
+        }
+        this.render();
+        this.suggestName();
+    }
+
+    render() {
+        const selected = this.form.elements.template?.value;
+        this.dialog.querySelector('.project-templates').replaceChildren(...this.templates.map((template, index) => {
+            const label = document.createElement('label');
+            label.className = 'project-template';
+            const input = Object.assign(document.createElement('input'), {
+                type: 'radio',
+                name: 'template',
+                value: template.id,
+                checked: selected ? template.id === selected : index === 0
+            });
+            const name = Object.assign(document.createElement('span'), { className: 'project-template-name', textContent: template.name });
+            const description = Object.assign(document.createElement('span'), {
+                className: 'project-template-description',
+                textContent: template.description
+            });
+            const entry = Object.assign(document.createElement('span'), {
+                className: 'project-template-entry',
+                textContent: `Opens ${template.entryFile}`
+            });
+            label.append(input, name, description, entry);
+            return label;
+        }));
+
+        const list = this.dialog.querySelector('.project-list');
+        list.replaceChildren(...this.workspaces.map(({ name, template }) => {
+            const item = document.createElement('li');
+            const link = Object.assign(document.createElement('a'), { href: workspaceUrl(name), textContent: name });
+            item.append(link);
+            const meta = this.templates.find(candidate => candidate.id === template)?.name ?? template;
+            if (meta) {
+                item.append(Object.assign(document.createElement('span'), { className: 'project-meta', textContent: meta }));
+            }
+            if (name === this.current) {
+                item.classList.add('current');
+                link.removeAttribute('href');
+            }
+            return item;
+        }));
+    }
+
+    // "<template>-<n>" with the first free number
+    suggestName() {
+        const template = this.form.elements.template?.value;
+        if (this.nameEdited || !template) {
+            return;
+        }
+        const taken = new Set(this.workspaces.map(workspace => workspace.name));
+        let number = 1;
+        while (taken.has(`${template}-${number}`)) {
+            number++;
+        }
+        this.form.elements.name.value = `${template}-${number}`;
+    }
+
+    async create() {
+        const { template, name } = this.form.elements;
+        if (!template?.value || !this.form.reportValidity()) {
+            return;
+        }
+        const submit = this.form.querySelector('[type="submit"]');
+        submit.disabled = true;
+        this.showError('');
+        try {
+            await this.client.createFromTemplate(template.value, name.value);
+            location.assign(workspaceUrl(name.value));
+        } catch (error) {
+            this.showError(error.status === 409
+                ? `A project named ${name.value} exists already; open it below or pick another name.`
+                : `Could not create the project: ${error.message}`);
+            submit.disabled = false;
+        }
+    }
+
+    showError(message) {
+        this.errorEl.textContent = message;
+        this.errorEl.hidden = !message;
+    }
+}
@@ -0,0 +1,145 @@
+// Split pane that runs the saved workspace in an iframe (served by the
+// server's /preview route). Saving a file reloads the page; saving a
+// stylesheet the page already links is swapped in place instead.
+export class PreviewPane {
+    constructor(container, sync, { url, storageKey } = {}) {
+        this.container = container;
+        this.sync = sync;
+        this.url = url;
+        this.storageKey = storageKey;
+        this.pending = new Set();
+        this.flushTimer = null;
+
+        this.container.classList.add('preview-pane');
+        this.container.innerHTML = `
+            <div class="preview-splitter" title="Drag to resize"></div>
+            <div class="preview-header">
+                <span class="preview-title">Preview</span>
+                <button type="button" data-action="reload" title="Reload">⟳</button>
+                <a class="preview-open" target="_blank" rel="noopener" title="Open in new tab">↗</a>
+            </div>
+            <iframe class="preview-frame" title="Workspace preview"></iframe>
+        `;
+        this.frame = this.container.querySelector('.preview-frame');
+        this.container.querySelector('.preview-open').href = this.url;
+        this.container.querySelector('[data-action="reload"]').addEventListener('click', () => this.reload());
+        this.setupSplitter();
+
+        const onChange = (event) => {
+            if (this.isVisible()) {
+                this.pending.add(event.detail.path);
+                this.scheduleUpdate();
+            }
+        };
+        this.sync.addEventListener('saved', onChange);
+        this.sync.addEventListener('removed', onChange);
+
+        const width = Number(localStorage.getItem(`${this.storageKey}:width`));
+        if (width) {
+            this.container.style.width = `${width}px`;
+        }
+        if (localStorage.getItem(`${this.storageKey}:visible`) === 'true') {
+            this.show();
+        } else {
+            this.container.hidden = true;
+        }
+    }
+
+    isVisible() {
+        return !this.container.hidden;
+    }
+
+    show() {
+        this.container.hidden = false;
+        this.reload();
+        localStorage.setItem(`${this.storageKey}:visible`, 'true');
+    }
+
+    hide() {
+        this.container.hidden = true;
+        // Stop the page (timers, network) while hidden
+        this.frame.src = 'about:blank';
+        localStorage.setItem(`${this.storageKey}:visible`, 'false');
+    }
+
+    toggle() {
+        if (this.isVisible()) {
+            this.hide();
+        } else {
+            this.show();
+        }
+        return this.isVisible();
+    }
+
+    reload() {
+        this.pending.clear();
+        this.frame.src = this.url;
+    }
+
+    // Several files are often saved together (e.g. a rename); handle them as one update
+    scheduleUpdate() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.applyUpdates(), 100);
+    }
+
+    applyUpdates() {
+        const paths = [...this.pending];
+        this.pending.clear();
+
+        if (paths.length > 0 && paths.every(path => path.endsWith('.css')) && paths.every(path => this.swapStylesheet(path))) {
+            return;
+        }
+        this.reload();
+    }
+
+    // Re-fetches the <link rel="stylesheet"> elements that point at `path`.
+    // Returns false when the page does not link it (e.g. it is @imported).
+    swapStylesheet(path) {
+        let doc;
+        try {
+            doc = this.frame.contentDocument;
+        } catch {
+            return false;
+        }
+        if (!doc) {
+            return false;
+        }
+
+        const target = new URL(path.slice(1), new URL(this.url, location.href)).pathname;
+        let swapped = false;
+        for (const link of doc.querySelectorAll('link[rel="stylesheet"]')) {
+            const href = new URL(link.href, doc.baseURI);
+            if (href.pathname === target) {
+                href.searchParams.set('t', Date.now());
+                link.href = href.href;
+                swapped = true;
+            }
+        }
+        return swapped;
+    }
+
+    setupSplitter() {
+        const splitter = this.container.querySelector('.preview-splitter');
+
+        splitter.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            splitter.setPointerCapture(event.pointerId);
+            // The iframe would swallow pointer events while dragging over it
+            this.frame.style.pointerEvents = 'none';
+
+            const right = this.container.getBoundingClientRect().right;
+            const onMove = (moveEvent) => {
+                const width = Math.max(200, Math.min(right - moveEvent.clientX, window.innerWidth - 300));
+                this.container.style.width = `${width}px`;
+            };
+            const onUp = () => {
+                splitter.removeEventListener('pointermove', onMove);
+                splitter.removeEventListener('pointerup', onUp);
+                this.frame.style.pointerEvents = '';
+                localStorage.setItem(`${this.storageKey}:width`, String(this.container.getBoundingClientRect().width));
+            };
+            splitter.addEventListener('pointermove', onMove);
+            splitter.addEventListener('pointerup', onUp);
+        });
+    }
+}
@@ -0,0 +1,186 @@
+import { normalizeWorkspacePath } from './workspace-paths.js';
+
+// Shows the other collaborators (see collaboration.js): their cursors and
+// selections as decorations in the editor, and a presence list (one badge per
+// person, titled with the file they are in) in `container`. Clicking a badge
+// opens that person's file; clicking your own lets you change your name.
+export class RemoteCursors {
+    constructor(container, collaboration, { onFollow = () => {}, onRename = () => {} } = {}) {
+        this.container = container;
+        this.collaboration = collaboration;
+        this.onFollow = onFollow;
+        this.onRename = onRename;
+        this.editor = null;
+        this.monaco = null;
+        this.decorations = null;
+        // Per-client CSS (colors, name labels)
+        this.style = document.createElement('style');
+        this.styledClients = new Set();
+        document.head.append(this.style);
+
+        this.container.classList.add('collaborators');
+        this.container.addEventListener('click', (event) => this.handleClick(event));
+        collaboration.awareness.on('change', () => this.update());
+        collaboration.addEventListener('status', () => this.renderPresence());
+        collaboration.addEventListener('bound', (event) => {
+            if (event.detail.path === this.currentPath()) {
+                this.publishSelection();
+                this.renderCursors();
+            }
+        });
+        this.renderPresence();
+    }
+
+    attach(editor, monaco) {
+        this.editor = editor;
+        this.monaco = monaco;
+        this.decorations = editor.createDecorationsCollection();
+        editor.onDidChangeCursorSelection(() => this.publishSelection());
+        editor.onDidChangeModel(() => {
+            this.publishSelection();
+            this.renderCursors();
+        });
+        // Remote edits move the text under the cursors
+        editor.onDidChangeModelContent(() => this.renderCursors());
+        this.publishSelection();
+        this.renderCursors();
+    }
+
+    currentPath() {
+        const model = this.editor?.getModel();
+        return model?.uri.scheme === 'file' ? normalizeWorkspacePath(model.uri.path) : null;
+    }
+
+    publishSelection() {
+        const model = this.editor?.getModel();
+        const path = this.currentPath();
+        const selection = this.editor?.getSelection();
+        if (!path || !selection) {
+            this.collaboration.setSelection(path, null);
+            return;
+        }
+        this.collaboration.setSelection(path, {
+            anchor: model.getOffsetAt({ lineNumber: selection.selectionStartLineNumber, column: selection.selectionStartColumn }),
+            head: model.getOffsetAt(selection.getPosition())
+        });
+    }
+
+    update() {
+        this.renderCursors();
+        this.renderPresence();
+    }
+
+    renderCursors() {
+        const model = this.editor?.getModel();
+        const path = this.currentPath();
+        if (!this.decorations) {
+            return;
+        }
+        if (!path) {
+            this.decorations.clear();
+            return;
+        }
+
+        const decorations = [];
+        for (const { clientId, user, cursor } of this.collaboration.collaborators()) {
+            if (cursor?.path !== path) {
+                continue;
+            }
+            const anchor = this.collaboration.resolvePosition(path, cursor.anchor);
+            const head = this.collaboration.resolvePosition(path, cursor.head);
+            if (anchor === null || head === null) {
+                continue;
+            }
+            this.styleClient(clientId, user);
+            const start = model.getPositionAt(Math.min(anchor, head));
+            const end = model.getPositionAt(Math.max(anchor, head));
+            const position = model.getPositionAt(head);
+            if (anchor !== head) {
+                decorations.push({
+                    range: this.monaco.Range.fromPositions(start, end),
+                    options: { className: `remote-selection remote-selection-${clientId}` }
+                });
+            }
+            decorations.push({
+                range: this.monaco.Range.fromPositions(position),
+                options: {
+                    beforeContentClassName: `remote-cursor remote-cursor-${clientId}`,
+                    hoverMessage: { value: user.name },
+                    stickiness: this.monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges
+                }
+            });
+        }
+        this.decorations.set(decorations);
+    }
+
+    renderPresence() {
+        const self = this.collaboration.awareness.getLocalState()?.user;
+        const badges = [];
+        if (self) {
+            const badge = this.badge(self, `${self.name} (you, click to rename)${this.collaboration.connected ? '' : ' · offline'}`);
+            badge.dataset.action = 'rename';
+            badge.classList.add('self');
+            badges.push(badge);
+        }
+        // A reloaded tab briefly has two clients (old and new) with one user id
+        const seen = new Set();
+        for (const { user, cursor } of this.collaborators()) {
+            if (seen.has(user.id)) {
+                continue;
+            }
+            seen.add(user.id);
+            const badge = this.badge(user, cursor?.path ? `${user.name} · ${cursor.path.slice(1)}` : user.name);
+            if (cursor?.path) {
+                badge.dataset.action = 'follow';
+                badge.dataset.path = cursor.path;
+            }
+            badges.push(badge);
+        }
+        this.container.classList.toggle('offline', !this.collaboration.connected);
+        this.container.replaceChildren(...badges);
+    }
+
+    collaborators() {
+        return this.collaboration.collaborators().sort((a, b) => a.user.name.localeCompare(b.user.name));
+    }
+
+    badge(user, title) {
+        const badge = document.createElement('button');
+        badge.type = 'button';
+        badge.className = 'collaborator';
+        badge.style.backgroundColor = safeColor(user.color);
+        badge.textContent = (user.name.trim()[0] ?? '?').toUpperCase();
+        badge.title = title;
+        return badge;
+    }
+
+    handleClick(event) {
+        const badge = event.target.closest('.collaborator');
+        if (badge?.dataset.action === 'follow') {
+            this.onFollow(badge.dataset.path);
+        } else if (badge?.dataset.action === 'rename') {
+            this.onRename();
+        }
+    }
+
+    // Colors and the name label of one collaborator's cursor
+    styleClient(clientId, user) {
+        const key = `${clientId}:${user.name}:${user.color}`;
+        if (this.styledClients.has(key)) {
+            return;
+        }
+        this.styledClients.add(key);
+        const color = safeColor(user.color);
+        const label = `"${user.name.replace(/["\\\n\r]/g, char => `\\${char.charCodeAt(0).toString(16)} `)}"`;
+        this.style.append(`
+            .remote-selection-${clientId} { background-color: ${color}40; }
+            .remote-cursor-${clientId} { border-left-color: ${color}; }
+            .remote-cursor-${clientId}::after { content: ${label}; background-color: ${color}; }
+        `);
+    }
+}
+
+// Colors come from other browsers and end up in CSS
+function safeColor(color) {
+    return /^#[0-9a-f]{6}$/i.test(color) ? color : '#808080';
+}
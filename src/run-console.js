@@ -0,0 +1,328 @@
+const CHANNEL = 'run-console';
+// Mock responses for the page's fetch calls, in the workspace root
+const MOCKS_FILE = '/fetch-mocks.json';
+const MAX_ENTRIES = 1000;
+const LOG_LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+// Modules the run site serves compiled (server/preview.js); their stack
+// frames are mapped back through the inline source map
+const COMPILED_PATTERN = /\.(?:tsx?|jsx|mts)$/;
+// "<url>:<line>:<column>" in a stack frame (Chrome, Firefox and Safari)
+const FRAME_PATTERN = /\bhttps?:\/\/[^\s()@]+?:\d+:\d+/g;
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Console panel below the editor that runs the saved workspace in a
+// sandboxed iframe (the server's /run route, see server/preview.js). The
+// page's console output, uncaught errors and fetch calls come back from
+// server/run-client.js; stack frames in the workspace open the file at
+// that line. With "Mock fetch" on, fetch calls that match a rule of
+// fetch-mocks.json get its response instead of reaching the network.
+export class RunConsole {
+    constructor(container, client, { url, storageKey, onReveal, hasUnsavedChanges = () => false }) {
+        this.container = container;
+        this.client = client;
+        this.url = url;
+        this.storageKey = storageKey;
+        this.onReveal = onReveal;
+        this.hasUnsavedChanges = hasUnsavedChanges;
+        // Whether the page in the frame is this run's (it said it is ready)
+        this.ready = false;
+        this.mocks = null;
+        // Compiled module URL -> promise of its decoded mappings, per run
+        this.sourceMaps = new Map();
+
+        this.container.classList.add('run-console');
+        this.container.innerHTML = `
+            <div class="run-console-header">
+                <span class="run-console-title">Console</span>
+                <button type="button" data-action="run" title="Run the saved workspace (F5)">▶ Run</button>
+                <button type="button" data-action="stop" title="Stop the page" disabled>■ Stop</button>
+                <button type="button" data-action="clear" title="Clear the console">Clear</button>
+                <label title="Answer fetch calls from ${MOCKS_FILE.slice(1)}"><input type="checkbox" data-setting="mock"> Mock fetch</label>
+                <button type="button" data-action="close" title="Close">✕</button>
+            </div>
+            <div class="run-console-output" role="log"></div>
+            <iframe class="run-console-frame" sandbox="allow-scripts allow-modals allow-forms" title="Workspace run" hidden></iframe>
+        `;
+        this.output = this.container.querySelector('.run-console-output');
+        this.frame = this.container.querySelector('.run-console-frame');
+        this.stopButton = this.container.querySelector('[data-action="stop"]');
+        this.mockToggle = this.container.querySelector('[data-setting="mock"]');
+        this.mockToggle.checked = localStorage.getItem(`${this.storageKey}:mock`) !== 'false';
+        this.mockToggle.addEventListener('change', () => {
+            localStorage.setItem(`${this.storageKey}:mock`, String(this.mockToggle.checked));
+        });
+        this.container.addEventListener('click', (event) => this.handleClick(event));
+        window.addEventListener('message', (event) => this.handleMessage(event));
+        this.container.hidden = true;
+    }
+
+    // "Run Workspace" in the editor (F5 and the command palette)
+    attach(editor, monaco) {
+        editor.addAction({
+            id: 'workspace.run',
+            label: 'Run Workspace',
+            keybindings: [monaco.KeyCode.F5],
+            run: () => this.run()
+        });
+    }
+
+    async run() {
+        this.container.hidden = false;
+        this.stop({ quiet: true });
+        this.clear();
+        this.sourceMaps.clear();
+        this.append('info', `Running ${this.url}`);
+        if (this.hasUnsavedChanges()) {
+            this.append('note', 'Unsaved changes are not part of the run; save to include them.');
+        }
+        this.mocks = this.mockToggle.checked ? await this.readMocks() : null;
+        this.stopButton.disabled = false;
+        this.frame.src = this.url;
+    }
+
+    stop({ quiet = false } = {}) {
+        this.ready = false;
+        this.stopButton.disabled = true;
+        if (this.frame.getAttribute('src') && this.frame.getAttribute('src') !== 'about:blank') {
+            this.frame.src = 'about:blank';
+            if (!quiet) {
+                this.append('info', 'Stopped');
+            }
+        }
+    }
+
+    close() {
+        this.stop({ quiet: true });
+        this.container.hidden = true;
+    }
+
+    clear() {
+        this.output.replaceChildren();
+    }
+
+    // The rules of fetch-mocks.json, or null (reported in the console)
+    async readMocks() {
+        let text;
+        try {
+            text = new TextDecoder().decode(await this.client.readFile(MOCKS_FILE));
+        } catch (error) {
+            this.append('note', error.status === 404
+                ? `Mock fetch is on, but the workspace has no ${MOCKS_FILE.slice(1)}`
+                : `Could not read ${MOCKS_FILE.slice(1)}: ${error.message}`);
+            return null;
+        }
+        try {
+            const mocks = parseMocks(text);
+            this.append('note', `Mocking ${mocks.length} fetch ${mocks.length === 1 ? 'rule' : 'rules'} from ${MOCKS_FILE.slice(1)}`);
+            return mocks;
+        } catch (error) {
+            this.append('error', `${MOCKS_FILE.slice(1)}: ${error.message}`);
+            return null;
+        }
+    }
+
+    handleMessage(event) {
+        const message = event.data;
+        if (event.source !== this.frame.contentWindow || message?.channel !== CHANNEL) {
+            return;
+        }
+        if (message.type === 'ready') {
+            this.ready = true;
+            event.source.postMessage({ channel: CHANNEL, type: 'config', mocks: this.mocks }, '*');
+            return;
+        }
+        if (!this.ready) {
+            // Still from the page of the previous run
+            return;
+        }
+        if (message.type === 'log') {
+            this.append(LOG_LEVELS.includes(message.level) ? message.level : 'log', message.text, message.stack);
+        } else if (message.type === 'exception') {
+            this.append('error', message.text, message.stack ?? null);
+        } else if (message.type === 'fetch') {
+            const result = message.error ? `failed: ${message.error}` : `${message.status}${message.mocked ? ' (mocked)' : ''}`;
+            this.append(message.error || message.status >= 400 ? 'warn' : 'fetch', `${message.method} ${displayUrl(message.url)} → ${result}`);
+        }
+    }
+
+    append(level, text, stack = null) {
+        const atBottom = this.output.scrollTop + this.output.clientHeight >= this.output.scrollHeight - 4;
+        const entry = document.createElement('div');
+        entry.className = `run-entry ${level}`;
+        entry.append(Object.assign(document.createElement('span'), { className: 'run-entry-text', textContent: String(text) }));
+        if (stack) {
+            entry.append(this.stackElement(String(stack), String(text)));
+        }
+        this.output.append(entry);
+        while (this.output.childElementCount > MAX_ENTRIES) {
+            this.output.firstElementChild.remove();
+        }
+        if (atBottom) {
+            this.output.scrollTop = this.output.scrollHeight;
+        }
+    }
+
+    // The frames of a stack; locations in the workspace are buttons
+    stackElement(stack, text) {
+        const element = document.createElement('div');
+        element.className = 'run-entry-stack';
+        // Chrome repeats the message as the first line
+        const lines = stack.split('\n').filter(line => line.trim() && !text.endsWith(line.trim()));
+        for (const line of lines) {
+            const row = document.createElement('div');
+            let last = 0;
+            for (const match of line.matchAll(FRAME_PATTERN)) {
+                row.append(line.slice(last, match.index), this.frameLink(match[0]));
+                last = match.index + match[0].length;
+            }
+            row.append(line.slice(last));
+            element.append(row);
+        }
+        return element;
+    }
+
+    frameLink(location) {
+        const [, url, line, column] = /^(.*):(\d+):(\d+)$/.exec(location);
+        const path = this.workspacePath(url);
+        if (!path) {
+            return location;
+        }
+        const button = Object.assign(document.createElement('button'), { type: 'button', className: 'run-frame-link' });
+        let position = { line: Number(line), column: Number(column) };
+        const label = () => {
+            button.textContent = `${path.slice(1)}:${position.line}:${position.column}`;
+        };
+        label();
+        this.originalPosition(url, position).then((original) => {
+            position = original;
+            label();
+        });
+        button.addEventListener('click', () => this.onReveal(path, position.line, position.column));
+        return button;
+    }
+
+    // "/src/App.tsx" for a URL of the run site, else null
+    workspacePath(url) {
+        const base = new URL(this.url, location.href).href;
+        if (!url.startsWith(base)) {
+            return null;
+        }
+        const relative = url.slice(base.length).split(/[?#]/)[0];
+        try {
+            return '/' + decodeURIComponent(relative || 'index.html');
+        } catch {
+            return null;
+        }
+    }
+
+    // The position in the source of a compiled module (1-based), or
+    // `position` itself
+    async originalPosition(url, position) {
+        if (!COMPILED_PATTERN.test(new URL(url).pathname)) {
+            return position;
+        }
+        if (!this.sourceMaps.has(url)) {
+            this.sourceMaps.set(url, loadMappings(url).catch(() => null));
+        }
+        const segments = (await this.sourceMaps.get(url))?.[position.line - 1];
+        const segment = segments?.filter(([column]) => column <= position.column - 1).pop();
+        return segment ? { line: segment[1] + 1, column: segment[2] + 1 } : position;
+    }
+
+    handleClick(event) {
+        const action = event.target.closest('[data-action]')?.dataset.action;
+        if (action === 'run') {
+            this.run();
+        } else if (action === 'stop') {
+            this.stop();
+        } else if (action === 'clear') {
+            this.clear();
+        } else if (action === 'close') {
+            this.close();
+        }
+    }
+}
+
+// fetch-mocks.json maps "[METHOD ]<url>" to a response:
+//   { "GET /api/data": { "status": 200, "body": { "items": [] }, "headers": {}, "delay": 0 } }
+// A body that is not a string is sent as JSON.
+function parseMocks(text) {
+    const rules = JSON.parse(text);
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new Error('expected an object of "[METHOD ]<url>": response entries');
+    }
+    return Object.entries(rules).map(([key, response]) => {
+        const [, method, url] = /^(?:([A-Z]+)\s+)?(\S+)$/.exec(key.trim()) ?? [];
+        if (!url || !/^(?:\/|https?:\/\/)/.test(url)) {
+            throw new Error(`"${key}": expected a path ("/api/data") or URL, optionally after a method`);
+        }
+        if (!response || typeof response !== 'object' || Array.isArray(response)) {
+            throw new Error(`"${key}": expected a response object`);
+        }
+        const { status = 200, headers = {}, body = null, delay = 0 } = response;
+        if (!Number.isInteger(status) || status < 200 || status > 599) {
+            throw new Error(`"${key}": status must be 200-599`);
+        }
+        const json = body !== null && typeof body !== 'string';
+        return {
+            method: method ?? null,
+            url,
+            status,
+            headers: { ...(json && { 'Content-Type': 'application/json' }), ...headers },
+            // These statuses cannot have a body
+            body: [204, 205, 304].includes(status) ? null : (json ? JSON.stringify(body) : body),
+            delay: Number(delay) || 0
+        };
+    });
+}
+
+function displayUrl(url) {
+    const parsed = new URL(url);
+    return parsed.origin === location.origin ? parsed.pathname + parsed.search : url;
+}
+
+// The mappings of a module's inline source map, per generated line:
+// [[column, sourceLine, sourceColumn]] (0-based)
+async function loadMappings(url) {
+    const code = await (await fetch(url)).text();
+    const match = /\/\/# sourceMappingURL=data:application\/json;(?:charset=utf-8;)?base64,([A-Za-z0-9+/=]+)\s*$/.exec(code);
+    if (!match) {
+        return null;
+    }
+    const bytes = Uint8Array.from(atob(match[1]), char => char.charCodeAt(0));
+    const { mappings } = JSON.parse(new TextDecoder().decode(bytes));
+    let sourceLine = 0;
+    let sourceColumn = 0;
+    return mappings.split(';').map((line) => {
+        let column = 0;
+        const segments = [];
+        for (const segment of line.split(',').filter(Boolean)) {
+            const values = decodeVlq(segment);
+            column += values[0];
+            if (values.length >= 4) {
+                sourceLine += values[2];
+                sourceColumn += values[3];
+                segments.push([column, sourceLine, sourceColumn]);
+            }
+        }
+        return segments;
+    });
+}
+
+function decodeVlq(segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+    for (const char of segment) {
+        const digit = BASE64.indexOf(char);
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+            shift += 5;
+        } else {
+            values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+            value = 0;
+            shift = 0;
+        }
+    }
+    return values;
+}
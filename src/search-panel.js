@@ -0,0 +1,556 @@
+import { FILE, basename, dirname, toFileUrl } from './workspace-paths.js';
+import { walk } from './workspace-sync.js';
+
+// Pause in typing before the workspace is searched again
+const SEARCH_DELAY = 250;
+const MAX_MATCHES = 5000;
+// Larger files are skipped, as are files that are not text
+const MAX_FILE_SIZE = 1024 * 1024;
+// Context shown before a match in its preview line
+const PREVIEW_CONTEXT = 30;
+
+// Find and replace across every file of the workspace, in the sidebar in
+// place of the explorer. Open documents are searched as they are in the
+// editor (unsaved edits included), other files as saved in the workspace.
+// Results are grouped per file; click a match to open it.
+//
+// Replace All edits the documents, opening the ones that are not open yet
+// in tabs (`onOpen`), so every changed file shows as unsaved. It is one
+// undoable operation: "Undo replace all" reverts every document it changed
+// (each one's own undo stack, through the public model API). The changes
+// stay unsaved until "Save all" or a save in the editor.
+export class SearchPanel {
+    constructor(container, workspace, sync, { explorer, onReveal, onOpen }) {
+        this.container = container;
+        this.workspace = workspace;
+        this.sync = sync;
+        this.explorer = explorer;
+        this.onReveal = onReveal;
+        this.onOpen = onOpen;
+        this.monaco = null;
+        this.timer = null;
+        // Incremented per search, so an older search's results are dropped
+        this.generation = 0;
+        this.results = [];
+        // Paths changed by the last Replace All, for "Save all"
+        this.replaced = [];
+        // [{ model, versionId }] of the last Replace All, for its undo
+        this.undoable = [];
+
+        this.container.classList.add('search-panel');
+        this.container.innerHTML = `
+            <div class="search-header">
+                <span class="search-title">Search</span>
+                <button type="button" data-action="refresh" title="Search again">⟳</button>
+                <button type="button" data-action="close" title="Back to the explorer">✕</button>
+            </div>
+            <form class="search-form" autocomplete="off">
+                <div class="search-row">
+                    <input name="query" placeholder="Search" spellcheck="false">
+                    <button type="button" data-option="caseSensitive" title="Match Case" aria-pressed="false">Aa</button>
+                    <button type="button" data-option="wholeWord" title="Match Whole Word" aria-pressed="false">ab</button>
+                    <button type="button" data-option="regex" title="Use Regular Expression" aria-pressed="false">.*</button>
+                </div>
+                <div class="search-row">
+                    <input name="replace" placeholder="Replace" spellcheck="false">
+                    <button type="button" data-action="replace-all" title="Replace All" disabled>Replace all</button>
+                </div>
+                <input name="include" placeholder="Files to include (e.g. src/**, *.ts)" spellcheck="false">
+                <input name="exclude" placeholder="Files to exclude" spellcheck="false">
+            </form>
+            <div class="search-summary"></div>
+            <ul class="search-results"></ul>
+        `;
+        this.form = this.container.querySelector('.search-form');
+        this.summary = this.container.querySelector('.search-summary');
+        this.list = this.container.querySelector('.search-results');
+        this.replaceButton = this.container.querySelector('[data-action="replace-all"]');
+        this.options = { caseSensitive: false, wholeWord: false, regex: false };
+
+        this.form.addEventListener('input', (event) => {
+            // The replacement only changes the previews
+            if (event.target.name === 'replace') {
+                this.render();
+            } else {
+                this.schedule();
+            }
+        });
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.search();
+        });
+        this.container.addEventListener('click', (event) => this.handleClick(event));
+        this.container.hidden = true;
+    }
+
+    // "Search in Workspace" in the editor (Ctrl+Shift+F and the command palette)
+    attach(editor, monaco) {
+        this.monaco = monaco;
+        const { KeyMod, KeyCode } = monaco;
+        editor.addAction({
+            id: 'workspace.search',
+            label: 'Search in Workspace',
+            keybindings: [KeyMod.CtrlCmd | KeyMod.Shift | KeyCode.KeyF],
+            run: () => {
+                const selection = editor.getSelection();
+                const text = selection && !selection.isEmpty() ? editor.getModel().getValueInRange(selection) : '';
+                this.open(text.includes('\n') ? '' : text);
+            }
+        });
+    }
+
+    isVisible() {
+        return !this.container.hidden;
+    }
+
+    // Shows the panel instead of the explorer, searching for `query` if given
+    open(query = '') {
+        this.container.hidden = false;
+        this.explorer.hidden = true;
+        const input = this.form.elements.query;
+        if (query) {
+            input.value = query;
+            this.search();
+        }
+        input.focus();
+        input.select();
+    }
+
+    close() {
+        clearTimeout(this.timer);
+        this.container.hidden = true;
+        this.explorer.hidden = false;
+    }
+
+    toggle() {
+        if (this.isVisible()) {
+            this.close();
+        } else {
+            this.open();
+        }
+        return this.isVisible();
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.search(), SEARCH_DELAY);
+    }
+
+    query() {
+        const { query, replace, include, exclude } = this.form.elements;
+        return {
+            ...this.options,
+            query: query.value,
+            replace: replace.value,
+            include: include.value,
+            exclude: exclude.value
+        };
+    }
+
+    async search() {
+        clearTimeout(this.timer);
+        const generation = ++this.generation;
+        const query = this.query();
+        if (!query.query) {
+            this.results = [];
+            this.render();
+            return;
+        }
+        let results;
+        try {
+            results = await this.find(query);
+        } catch (error) {
+            if (generation === this.generation) {
+                this.results = [];
+                this.render(error.message);
+            }
+            return;
+        }
+        if (generation === this.generation) {
+            this.results = results;
+            this.render();
+        }
+    }
+
+    // [{ path, matches: [{ start, end, groups, line, column, endLine, endColumn, lineText }] }]
+    // with `truncated` set when the search stopped at MAX_MATCHES
+    async find(query) {
+        const pattern = createPattern(query);
+        const included = globMatcher(query.include, true);
+        const excluded = globMatcher(query.exclude, false);
+        const results = [];
+        let total = 0;
+        for (const [path, type] of await walk(this.workspace.fs)) {
+            if (type !== FILE || !included(path) || excluded(path)) {
+                continue;
+            }
+            const text = await this.readText(path);
+            if (text === null) {
+                continue;
+            }
+            const matches = findMatches(text, pattern, MAX_MATCHES - total);
+            if (matches.length > 0) {
+                results.push({ path, matches });
+                total += matches.length;
+            }
+            if (total >= MAX_MATCHES) {
+                results.truncated = true;
+                break;
+            }
+        }
+        return results;
+    }
+
+    // The open document's content, else the file's; null for binary and
+    // large files
+    async readText(path) {
+        const model = this.model(path);
+        if (model) {
+            return model.getValue();
+        }
+        try {
+            const bytes = await this.workspace.fs.readFile(path);
+            if (bytes.byteLength > MAX_FILE_SIZE) {
+                return null;
+            }
+            const text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            return text.includes('\0') ? null : text;
+        } catch {
+            // Not UTF-8, or gone since the walk
+            return null;
+        }
+    }
+
+    model(path) {
+        return this.monaco?.editor.getModel(this.monaco.Uri.parse(toFileUrl(path))) ?? null;
+    }
+
+    // Replaces every match of the current search. Matches are looked up
+    // again, so edits since the search are taken into account.
+    async replaceAll() {
+        const query = this.query();
+        if (!query.query || !this.monaco) {
+            return;
+        }
+        let results;
+        try {
+            results = await this.find(query);
+        } catch (error) {
+            this.render(error.message);
+            return;
+        }
+        const count = results.reduce((sum, { matches }) => sum + matches.length, 0);
+        if (count === 0 || results.truncated) {
+            this.results = results;
+            this.render(results.truncated ? `More than ${MAX_MATCHES} matches; narrow the search to replace them` : null);
+            return;
+        }
+        if (!confirm(`Replace ${plural(count, 'match', 'matches')} in ${plural(results.length, 'file')} with "${query.replace}"?`)) {
+            return;
+        }
+
+        const { Range } = this.monaco;
+        const pattern = createPattern(query);
+        for (const { path } of results) {
+            if (!this.model(path)) {
+                try {
+                    await this.onOpen(path);
+                } catch (error) {
+                    console.error(`Failed to open ${path}:`, error);
+                }
+            }
+        }
+        // From here on nothing awaits, so the matches fit the models
+        const models = results.map(({ path }) => this.model(path)).filter(Boolean);
+        for (const model of models) {
+            const edits = findMatches(model.getValue(), pattern, Infinity).map(match => ({
+                range: Range.fromPositions(model.getPositionAt(match.start), model.getPositionAt(match.end)),
+                text: query.regex ? expandReplacement(query.replace, match.groups) : query.replace
+            }));
+            model.pushStackElement();
+            model.pushEditOperations([], edits, () => null);
+            model.pushStackElement();
+        }
+        this.replaced = models.map(model => model.uri.path);
+        this.undoable = models.map(model => ({ model, versionId: model.getAlternativeVersionId() }));
+        await this.search();
+        this.summary.replaceChildren(
+            `Replaced ${plural(count, 'match', 'matches')} in ${plural(models.length, 'file')}. `,
+            actionButton('undo-replace', 'Undo replace all', 'Revert the replacements in every file'),
+            ' ',
+            actionButton('save-all', 'Save all', 'Save the changed files')
+        );
+    }
+
+    // Reverts the last Replace All in every document it changed, or in none
+    // if one of them has been edited (or undone) since
+    async undoReplace() {
+        const entries = this.undoable;
+        const changed = entries.filter(({ model, versionId }) => model.isDisposed() || model.getAlternativeVersionId() !== versionId);
+        if (changed.length > 0) {
+            this.summary.textContent = `Cannot undo the replacements: ${changed.map(({ model }) => basename(model.uri.path)).join(', ')} changed since`;
+            return;
+        }
+        this.undoable = [];
+        for (const { model } of entries) {
+            await model.undo();
+        }
+        await this.search();
+        this.summary.textContent = `Reverted the replacements in ${plural(entries.length, 'file')}`;
+    }
+
+    // Saves the documents the last Replace All changed
+    async saveAll() {
+        const paths = this.replaced;
+        this.replaced = [];
+        for (const path of paths) {
+            const model = this.model(path);
+            if (model && this.sync.isModified(path, model.getValue())) {
+                try {
+                    await this.sync.save(path, model.getValue());
+                } catch (error) {
+                    console.error(`Failed to save ${path}:`, error);
+                }
+            }
+        }
+        this.summary.textContent = `Saved ${plural(paths.length, 'file')}`;
+    }
+
+    render(error = null) {
+        const { query, replace, regex } = this.query();
+        const count = this.results.reduce((sum, { matches }) => sum + matches.length, 0);
+        this.replaceButton.disabled = count === 0;
+        this.summary.classList.toggle('error', Boolean(error));
+        if (error) {
+            this.summary.textContent = error;
+        } else if (!query) {
+            this.summary.textContent = '';
+        } else if (count === 0) {
+            this.summary.textContent = 'No results';
+        } else {
+            this.summary.textContent = `${plural(count, 'result')} in ${plural(this.results.length, 'file')}${this.results.truncated ? ` (stopped at ${MAX_MATCHES})` : ''}`;
+        }
+
+        const showReplace = replace !== '' || this.form.elements.replace === document.activeElement;
+        this.list.replaceChildren(...this.results.map(({ path, matches }) => {
+            const file = document.createElement('li');
+            file.className = 'search-file';
+            const header = document.createElement('div');
+            header.className = 'search-file-header';
+            header.dataset.action = 'toggle';
+            header.title = path.slice(1);
+            header.append(
+                Object.assign(document.createElement('span'), { className: 'search-file-name', textContent: basename(path) }),
+                Object.assign(document.createElement('span'), { className: 'search-file-dir', textContent: dirname(path).slice(1) }),
+                Object.assign(document.createElement('span'), { className: 'search-count', textContent: String(matches.length) })
+            );
+            const list = document.createElement('ul');
+            for (const match of matches) {
+                list.append(this.matchItem(path, match, showReplace ? (regex ? expandReplacement(replace, match.groups) : replace) : null));
+            }
+            file.append(header, list);
+            return file;
+        }));
+    }
+
+    // A match's line, with the match highlighted (and its replacement)
+    matchItem(path, match, replacement) {
+        const item = document.createElement('li');
+        item.className = 'search-match';
+        Object.assign(item.dataset, { path, line: match.line, column: match.column, endLine: match.endLine, endColumn: match.endColumn });
+        item.title = `${path.slice(1)}:${match.line}:${match.column}`;
+
+        const { lineText } = match;
+        const start = match.column - 1;
+        // The match may continue on the next lines; only its first line shows
+        const end = match.endLine === match.line ? match.endColumn - 1 : lineText.length;
+        const from = Math.max(0, start - PREVIEW_CONTEXT);
+        const before = (from > 0 ? '…' : '') + lineText.slice(from, start).trimStart();
+        const found = Object.assign(document.createElement(replacement === null ? 'mark' : 'del'), { textContent: lineText.slice(start, end) });
+        item.append(before, found);
+        if (replacement !== null) {
+            item.append(Object.assign(document.createElement('ins'), { textContent: replacement }));
+        }
+        item.append(lineText.slice(end));
+        return item;
+    }
+
+    handleClick(event) {
+        const option = event.target.closest('[data-option]')?.dataset.option;
+        if (option) {
+            this.options[option] = !this.options[option];
+            event.target.closest('[data-option]').setAttribute('aria-pressed', String(this.options[option]));
+            this.search();
+            return;
+        }
+        const match = event.target.closest('.search-match');
+        if (match) {
+            const { path, line, column, endLine, endColumn } = match.dataset;
+            this.onReveal(path, Number(line), Number(column), { lineNumber: Number(endLine), column: Number(endColumn) });
+            return;
+        }
+        const action = event.target.closest('[data-action]')?.dataset.action;
+        if (action === 'toggle') {
+            event.target.closest('.search-file').classList.toggle('collapsed');
+        } else if (action === 'refresh') {
+            this.search();
+        } else if (action === 'close') {
+            this.close();
+        } else if (action === 'replace-all') {
+            this.replaceAll();
+        } else if (action === 'undo-replace') {
+            this.undoReplace();
+        } else if (action === 'save-all') {
+            this.saveAll();
+        }
+    }
+}
+
+function actionButton(action, label, title) {
+    const button = Object.assign(document.createElement('button'), { type: 'button', textContent: label, title });
+    button.dataset.action = action;
+    return button;
+}
+
+// The search as a global RegExp; invalid regular expressions throw
+function createPattern({ query, regex, caseSensitive, wholeWord }) {
+    let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (wholeWord) {
+        source = `(?<![\\w$])(?:${source})(?![\\w$])`;
+    }
+    try {
+        return new RegExp(source, `gm${caseSensitive ? '' : 'i'}`);
+    } catch (error) {
+        throw new Error(`Invalid regular expression: ${error.message.replace(/^Invalid regular expression: /, '')}`);
+    }
+}
+
+// Up to `limit` non-empty matches of `pattern` in `text`, with 1-based
+// positions and the text of the line they start on
+function findMatches(text, pattern, limit) {
+    const lineStarts = [0];
+    for (let index = text.indexOf('\n'); index !== -1; index = text.indexOf('\n', index + 1)) {
+        lineStarts.push(index + 1);
+    }
+    const position = (offset) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (lineStarts[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+
+    const matches = [];
+    pattern.lastIndex = 0;
+    let result;
+    while (matches.length < limit && (result = pattern.exec(text))) {
+        if (result[0] === '') {
+            pattern.lastIndex++;
+            continue;
+        }
+        const start = position(result.index);
+        const end = position(result.index + result[0].length);
+        const lineEnd = text.indexOf('\n', lineStarts[start.line - 1]);
+        matches.push({
+            start: result.index,
+            end: result.index + result[0].length,
+            groups: result,
+            line: start.line,
+            column: start.column,
+            endLine: end.line,
+            endColumn: end.column,
+            lineText: text.slice(lineStarts[start.line - 1], lineEnd === -1 ? text.length : lineEnd).replace(/\r$/, '')
+        });
+    }
+    return matches;
+}
+
+// A regex replacement for one match: $&, $1…$99, $<name> and $$, as in
+// String.prototype.replace
+function expandReplacement(replacement, match) {
+    return replacement.replace(/\$(?:(\$)|(&)|(\d{1,2})|<([^>]*)>)/g, (token, dollar, whole, index, name) => {
+        if (dollar) {
+            return '$';
+        }
+        if (whole) {
+            return match[0];
+        }
+        if (index !== undefined) {
+            return Number(index) < match.length ? match[Number(index)] ?? '' : token;
+        }
+        return match.groups ? match.groups[name] ?? '' : token;
+    });
+}
+
+// Comma-separated globs as a test of workspace paths ("/src/app.js"). `*`
+// and `?` stay within a path segment, `**` crosses them and `{a,b}` is
+// either. A glob without a slash matches at any depth, and a glob that
+// matches a folder matches everything in it. No globs gives `empty`.
+function globMatcher(text, empty) {
+    const globs = splitGlobs(text);
+    if (globs.length === 0) {
+        return () => empty;
+    }
+    const patterns = globs.map((glob) => {
+        let trimmed = glob.replace(/^\.?\//, '').replace(/\/$/, '');
+        if (!trimmed.includes('/')) {
+            trimmed = `**/${trimmed}`;
+        }
+        return new RegExp(`^${globSource(trimmed)}(?:/.*)?$`);
+    });
+    return (path) => patterns.some(pattern => pattern.test(path.slice(1)));
+}
+
+// Splits on commas outside braces
+function splitGlobs(text) {
+    const globs = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if (char === ',' && depth === 0) {
+            globs.push(current);
+            current = '';
+            continue;
+        }
+        depth += char === '{' ? 1 : char === '}' && depth > 0 ? -1 : 0;
+        current += char;
+    }
+    globs.push(current);
+    return globs.map(glob => glob.trim()).filter(Boolean);
+}
+
+function globSource(glob) {
+    let source = '';
+    for (let index = 0; index < glob.length; index++) {
+        const char = glob[index];
+        if (char === '*' && glob[index + 1] === '*') {
+            // "**/" also matches no folder at all
+            const slash = glob[index + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            index += slash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            source += '(?:';
+        } else if (char === '}') {
+            source += ')';
+        } else if (char === ',') {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+    return source;
+}
+
+function plural(count, noun, plural = `${noun}s`) {
+    return `${count} ${count === 1 ? noun : plural}`;
+}
@@ -0,0 +1,39 @@
+// Registers public/sw.js in production builds. Development builds change on
+// every save, so they remove a worker left over from a production build.
+
+const SCRIPT_URL = '/sw.js';
+
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+
+    if (process.env.NODE_ENV !== 'production') {
+        for (const registration of await navigator.serviceWorker.getRegistrations()) {
+            await registration.unregister();
+        }
+        return;
+    }
+
+    const registration = await navigator.serviceWorker.register(SCRIPT_URL);
+
+    // A new build waits until every editor tab is closed, unless the user
+    // chooses to reload now
+    const promptWaiting = (worker) => {
+        if (worker && navigator.serviceWorker.controller
+            && confirm('A new version of the editor is available. Reload now?')) {
+            navigator.serviceWorker.addEventListener('controllerchange', () => location.reload(), { once: true });
+            worker.postMessage({ type: 'skip-waiting' });
+        }
+    };
+
+    promptWaiting(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+            if (worker.state === 'installed') {
+                promptWaiting(worker);
+            }
+        });
+    });
+}
@@ -0,0 +1,71 @@
+// Service worker that lets the editor start without the server. Not bundled:
+// scripts/build.js writes it to public/sw.js, prepending CACHE_VERSION and
+// PRECACHE_URLS (the editor shell and every fingerprinted modern-monaco file).
+
+/* global CACHE_VERSION, PRECACHE_URLS */
+
+const CACHE_PREFIX = 'self-hosted-editor-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+const SHELL_URL = '/index.html';
+
+const precached = new Set(PRECACHE_URLS.map(url => new URL(url, self.location.origin).href));
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+// Drops the caches of previous builds; their fingerprinted files are gone
+// from the server anyway.
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(
+            names
+                .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                .map(name => caches.delete(name))
+        );
+        await self.clients.claim();
+    })());
+});
+
+// The page asks a waiting worker to take over once the user agrees to reload
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) {
+        return;
+    }
+
+    // Editor page: the shell of this build, so it always matches the cached
+    // modules. Other navigations (/preview/...) go to the network.
+    if (request.mode === 'navigate' && (url.pathname === '/' || url.pathname === SHELL_URL)) {
+        event.respondWith(fromCache(SHELL_URL, request));
+    } else if (precached.has(url.href)) {
+        event.respondWith(fromCache(url.href, request));
+    }
+});
+
+async function fromCache(key, request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(key);
+    if (cached) {
+        return cached;
+    }
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(key, response.clone());
+    }
+    return response;
+}
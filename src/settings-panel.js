@@ -0,0 +1,222 @@
+import { SETTINGS } from './settings.js';
+
+const SYNC_STATUS = {
+    off: 'Settings are kept in this browser',
+    syncing: 'Syncing…',
+    synced: 'Synced with the server',
+    error: 'Sync failed'
+};
+
+// Form fields, by section. Choices come from SETTINGS unless given here.
+const SECTIONS = [
+    ['Appearance', [
+        { key: 'theme', label: 'Theme' },
+        { key: 'fontFamily', label: 'Font family' },
+        { key: 'fontSize', label: 'Font size' },
+        { key: 'lineHeight', label: 'Line height', hint: '0: automatic' },
+        { key: 'fontLigatures', label: 'Font ligatures' }
+    ]],
+    ['Editor', [
+        { key: 'tabSize', label: 'Tab size' },
+        { key: 'insertSpaces', label: 'Indent with spaces' },
+        { key: 'wordWrap', label: 'Word wrap' },
+        { key: 'lineNumbers', label: 'Line numbers' },
+        { key: 'renderWhitespace', label: 'Show whitespace' },
+        { key: 'minimap', label: 'Minimap' },
+        { key: 'stickyScroll', label: 'Sticky scroll' },
+        { key: 'formatOnSave', label: 'Format on save', hint: 'With Prettier; a .prettierrc in the workspace applies' }
+    ]]
+];
+
+// Settings dialog: every change applies at once (see editor-settings.js),
+// except TypeScript compiler options, which apply after a reload.
+export class SettingsPanel {
+    constructor(dialog, settings, editorSettings, { themes }) {
+        this.dialog = dialog;
+        this.settings = settings;
+        this.editorSettings = editorSettings;
+        this.themes = themes;
+
+        this.dialog.classList.add('settings-dialog');
+        this.dialog.innerHTML = `
+            <div class="settings-header">
+                <span class="settings-title">Settings</span>
+                <button type="button" data-action="reset" title="Restore every setting to its default">Reset</button>
+                <button type="button" data-action="close" title="Close">✕</button>
+            </div>
+            <form class="settings-form">
+                ${SECTIONS.map(([title, fields]) => `
+                    <fieldset>
+                        <legend>${title}</legend>
+                        ${fields.map(field => this.fieldHtml(field)).join('')}
+                    </fieldset>
+                `).join('')}
+                <fieldset>
+                    <legend>TypeScript</legend>
+                    <label class="settings-wide">
+                        <span>Compiler options <small>(the workspace's tsconfig.json wins)</small></span>
+                        <textarea name="compilerOptions" rows="8" spellcheck="false"></textarea>
+                    </label>
+                    <p class="settings-error" data-for="compilerOptions" hidden></p>
+                    <p class="settings-notice" data-for="reload" hidden>
+                        Compiler options apply when the editor starts.
+                        <button type="button" data-action="reload">Reload now</button>
+                    </p>
+                </fieldset>
+                <fieldset>
+                    <legend>Sync</legend>
+                    <label>
+                        <span>Sync to the server</span>
+                        <input type="checkbox" name="syncEnabled">
+                    </label>
+                    <label>
+                        <span>Profile</span>
+                        <input name="syncProfile" placeholder="e.g. your name" maxlength="64">
+                    </label>
+                    <p class="settings-sync-status"></p>
+                </fieldset>
+            </form>
+        `;
+        this.form = this.dialog.querySelector('.settings-form');
+
+        this.form.addEventListener('input', (event) => this.handleInput(event.target));
+        this.form.addEventListener('change', (event) => this.handleChange(event.target));
+        this.form.addEventListener('submit', event => event.preventDefault());
+        this.dialog.addEventListener('click', (event) => this.handleClick(event));
+        settings.addEventListener('change', () => this.render());
+        settings.addEventListener('sync', () => this.renderSync());
+    }
+
+    fieldHtml({ key, label, hint }) {
+        const spec = SETTINGS[key];
+        const title = hint ? ` title="${hint}"` : '';
+        if (key === 'theme' || spec.values) {
+            return `<label${title}><span>${label}</span><select name="${key}"></select></label>`;
+        }
+        if (spec.type === 'boolean') {
+            return `<label${title}><span>${label}</span><input type="checkbox" name="${key}"></label>`;
+        }
+        if (spec.type === 'number') {
+            return `<label${title}><span>${label}</span><input type="number" name="${key}" min="${spec.min}" max="${spec.max}" step="1" required></label>`;
+        }
+        return `<label${title}><span>${label}</span><input name="${key}" required></label>`;
+    }
+
+    open() {
+        this.render();
+        this.renderSync();
+        this.dialog.showModal();
+    }
+
+    close() {
+        this.dialog.close();
+    }
+
+    render() {
+        const { elements } = this.form;
+        const { values } = this.settings;
+        for (const [key, spec] of Object.entries(SETTINGS)) {
+            const input = elements[key];
+            if (!input || input === document.activeElement) {
+                continue;
+            }
+            if (key === 'theme') {
+                // A synced theme this server does not have stays selectable
+                const themes = this.themes.includes(values.theme) ? this.themes : [values.theme, ...this.themes];
+                input.replaceChildren(...themes.map(theme => new Option(theme, theme)));
+            } else if (spec.values && input.options.length === 0) {
+                input.replaceChildren(...spec.values.map(value => new Option(value, value)));
+            }
+            if (input.type === 'checkbox') {
+                input.checked = values[key];
+            } else if (key === 'compilerOptions') {
+                input.value = JSON.stringify(values[key], null, 2);
+            } else {
+                input.value = values[key];
+            }
+        }
+        this.dialog.querySelector('[data-for="reload"]').hidden = !this.editorSettings.compilerOptionsPending();
+    }
+
+    renderSync() {
+        const { elements } = this.form;
+        const { sync, syncState } = this.settings;
+        elements.syncEnabled.checked = sync.enabled;
+        if (elements.syncProfile !== document.activeElement) {
+            elements.syncProfile.value = sync.profile;
+        }
+        const status = this.dialog.querySelector('.settings-sync-status');
+        status.textContent = [SYNC_STATUS[syncState.status], syncState.message].filter(Boolean).join(': ');
+        status.classList.toggle('error', syncState.status === 'error');
+    }
+
+    // Numbers and text apply while typing, once they are valid
+    handleInput(input) {
+        const spec = SETTINGS[input.name];
+        if (spec && (spec.type === 'number' || spec.type === 'string') && input.checkValidity()) {
+            this.settings.update({ [input.name]: spec.type === 'number' ? input.valueAsNumber : input.value.trim() });
+        }
+    }
+
+    handleChange(input) {
+        if (input.name === 'syncEnabled' || input.name === 'syncProfile') {
+            this.changeSync();
+            return;
+        }
+        if (input.name === 'compilerOptions') {
+            this.changeCompilerOptions(input);
+            return;
+        }
+        const spec = SETTINGS[input.name];
+        if (!spec) {
+            return;
+        }
+        if (input.type === 'checkbox') {
+            this.settings.update({ [input.name]: input.checked });
+        } else if (input.tagName === 'SELECT') {
+            this.settings.update({ [input.name]: input.value });
+        } else if (!input.checkValidity()) {
+            // Back to the value in use
+            input.value = this.settings.get(input.name);
+        }
+    }
+
+    changeCompilerOptions(input) {
+        const error = this.dialog.querySelector('[data-for="compilerOptions"]');
+        let options;
+        try {
+            options = JSON.parse(input.value);
+            if (!options || typeof options !== 'object' || Array.isArray(options)) {
+                throw new Error('Expected a JSON object');
+            }
+        } catch (parseError) {
+            error.textContent = parseError.message;
+            error.hidden = false;
+            return;
+        }
+        error.hidden = true;
+        this.settings.update({ compilerOptions: options });
+        this.render();
+    }
+
+    async changeSync() {
+        const { elements } = this.form;
+        try {
+            await this.settings.setSync({ enabled: elements.syncEnabled.checked, profile: elements.syncProfile.value });
+        } catch (error) {
+            // Invalid profile name; syncing stays as it was
+            this.settings.setSyncState('error', error.message);
+        }
+    }
+
+    handleClick(event) {
+        const action = event.target.closest('[data-action]')?.dataset.action;
+        if (action === 'close') {
+            this.close();
+        } else if (action === 'reset' && confirm('Restore every setting to its default?')) {
+            this.settings.reset();
+        } else if (action === 'reload') {
+            location.reload();
+        }
+    }
+}
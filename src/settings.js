@@ -0,0 +1,240 @@
+const STORAGE_KEY = 'modern-monaco-settings';
+const PROFILE_PATTERN = /^[A-Za-z0-9][\w.-]*$/;
+// Edits in quick succession (typing a font name) are pushed once
+const PUSH_DELAY = 1000;
+
+// Compiler options of the TypeScript worker, before the workspace's own
+// tsconfig.json (which wins where both set an option)
+export const DEFAULT_COMPILER_OPTIONS = {
+    target: 'ES2022',
+    module: 'ESNext',
+    moduleResolution: 'bundler',
+    allowImportingTsExtensions: true,
+    strict: true,
+    jsx: 'react-jsx'
+};
+
+// Every setting with its default and what a valid value looks like. Stored
+// and synced values are checked against this; invalid ones fall back to
+// the default.
+export const SETTINGS = {
+    theme: { default: 'vitesse-dark', type: 'string' },
+    fontFamily: { default: "'Fira Code', 'Cascadia Code', 'JetBrains Mono', monospace", type: 'string' },
+    fontSize: { default: 14, type: 'number', min: 8, max: 40 },
+    // 0: derived from the font size
+    lineHeight: { default: 0, type: 'number', min: 0, max: 80 },
+    fontLigatures: { default: false, type: 'boolean' },
+    tabSize: { default: 2, type: 'number', min: 1, max: 8 },
+    insertSpaces: { default: true, type: 'boolean' },
+    wordWrap: { default: 'on', values: ['off', 'on', 'bounded'] },
+    minimap: { default: true, type: 'boolean' },
+    lineNumbers: { default: 'on', values: ['on', 'off', 'relative'] },
+    renderWhitespace: { default: 'selection', values: ['none', 'boundary', 'selection', 'all'] },
+    stickyScroll: { default: false, type: 'boolean' },
+    // Prettier, see formatter.js
+    formatOnSave: { default: false, type: 'boolean' },
+    compilerOptions: { default: DEFAULT_COMPILER_OPTIONS, type: 'object' }
+};
+
+function isValid(spec, value) {
+    if (spec.values) {
+        return spec.values.includes(value);
+    }
+    if (spec.type === 'number') {
+        return Number.isInteger(value) && value >= spec.min && value <= spec.max;
+    }
+    if (spec.type === 'object') {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    return typeof value === spec.type && (spec.type !== 'string' || value.trim() !== '');
+}
+
+// The valid known settings in `values`
+export function validSettings(values) {
+    return Object.fromEntries(Object.entries(SETTINGS)
+        .filter(([key, spec]) => values && Object.hasOwn(values, key) && isValid(spec, values[key]))
+        .map(([key]) => [key, values[key]]));
+}
+
+export function defaultSettings() {
+    return Object.fromEntries(Object.entries(SETTINGS).map(([key, spec]) => [key, spec.default]));
+}
+
+// Editor settings of this browser, kept in localStorage. With sync turned
+// on they are also saved on the server under a profile name (see
+// server/settings.js), so every browser using that profile shares them.
+//
+// Events: `change` ({ changed: [keys], values }) whenever a setting changes,
+// here or in another tab; `sync` ({ status, message }) as syncing goes.
+export class Settings extends EventTarget {
+    constructor({ storageKey = STORAGE_KEY, baseUrl = '/api/settings' } = {}) {
+        super();
+        this.storageKey = storageKey;
+        this.baseUrl = baseUrl;
+        this.values = defaultSettings();
+        this.sync = { enabled: false, profile: '' };
+        this.syncState = { status: 'off', message: '' };
+        this.pushTimer = null;
+        this.load();
+
+        // Another tab changed them
+        window.addEventListener('storage', (event) => {
+            if (event.key === this.storageKey) {
+                const previous = this.values;
+                this.load();
+                this.notify(Object.keys(SETTINGS).filter(key => !sameValue(previous[key], this.values[key])));
+            }
+        });
+    }
+
+    load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch {
+            // Corrupt; start from the defaults
+        }
+        this.values = { ...defaultSettings(), ...validSettings(stored?.values) };
+        this.sync = {
+            enabled: stored?.sync?.enabled === true,
+            profile: typeof stored?.sync?.profile === 'string' ? stored.sync.profile : ''
+        };
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify({ values: this.values, sync: this.sync }));
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    // Applies the valid settings in `patch`; returns the keys that changed
+    update(patch, { push = true } = {}) {
+        const valid = validSettings(patch);
+        const changed = Object.keys(valid).filter(key => !sameValue(this.values[key], valid[key]));
+        if (changed.length === 0) {
+            return changed;
+        }
+        this.values = { ...this.values, ...valid };
+        this.save();
+        this.notify(changed);
+        if (push && this.sync.enabled) {
+            this.schedulePush();
+        }
+        return changed;
+    }
+
+    reset() {
+        return this.update(defaultSettings());
+    }
+
+    notify(changed) {
+        if (changed.length > 0) {
+            this.dispatchEvent(new CustomEvent('change', { detail: { changed, values: { ...this.values } } }));
+        }
+    }
+
+    // Turns syncing on or off. Turning it on adopts the profile's settings
+    // from the server, or uploads this browser's if it has none yet.
+    async setSync({ enabled, profile = this.sync.profile }) {
+        profile = profile.trim();
+        if (enabled && !PROFILE_PATTERN.test(profile)) {
+            throw new Error('Profile names use letters, digits, ".", "_" and "-"');
+        }
+        this.sync = { enabled, profile };
+        this.save();
+        clearTimeout(this.pushTimer);
+        if (enabled) {
+            await this.pull();
+        } else {
+            this.setSyncState('off');
+        }
+    }
+
+    profileUrl() {
+        return `${this.baseUrl}/${encodeURIComponent(this.sync.profile)}`;
+    }
+
+    async pull() {
+        if (!this.sync.enabled) {
+            return;
+        }
+        this.setSyncState('syncing');
+        try {
+            const response = await fetch(this.profileUrl());
+            if (response.status === 404) {
+                await this.push();
+                return;
+            }
+            await checkResponse(response);
+            this.update(await response.json(), { push: false });
+            this.setSyncState('synced');
+        } catch (error) {
+            console.warn('Settings sync failed:', error);
+            this.setSyncState('error', error.message);
+        }
+    }
+
+    async push() {
+        this.setSyncState('syncing');
+        try {
+            await checkResponse(await fetch(this.profileUrl(), {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.values)
+            }));
+            this.setSyncState('synced');
+        } catch (error) {
+            console.warn('Settings sync failed:', error);
+            this.setSyncState('error', error.message);
+        }
+    }
+
+    schedulePush() {
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(() => this.push(), PUSH_DELAY);
+    }
+
+    setSyncState(status, message = '') {
+        this.syncState = { status, message };
+        this.dispatchEvent(new CustomEvent('sync', { detail: this.syncState }));
+    }
+}
+
+// Monaco editor options for the settings
+export function editorOptions(values) {
+    return {
+        theme: values.theme,
+        fontFamily: values.fontFamily,
+        fontSize: values.fontSize,
+        lineHeight: values.lineHeight,
+        fontLigatures: values.fontLigatures,
+        tabSize: values.tabSize,
+        insertSpaces: values.insertSpaces,
+        wordWrap: values.wordWrap,
+        minimap: { enabled: values.minimap },
+        lineNumbers: values.lineNumbers,
+        renderWhitespace: values.renderWhitespace,
+        stickyScroll: { enabled: values.stickyScroll }
+    };
+}
+
+async function checkResponse(response) {
+    if (!response.ok) {
+        let message = `${response.status} ${response.statusText}`;
+        try {
+            message = (await response.json()).error || message;
+        } catch {
+            // Body was not JSON; keep the status line
+        }
+        const error = new Error(`Settings request failed: ${message}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
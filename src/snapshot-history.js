@@ -0,0 +1,363 @@
+import { loadMonaco } from './monaco.js';
+import { normalizeWorkspacePath, toFileUrl } from './workspace-paths.js';
+
+const decoder = new TextDecoder();
+
+const STATUS_MARKS = { modified: 'M', deleted: 'D', unchanged: '' };
+
+// History dialog over the server's workspace snapshots: take named
+// snapshots, browse the snapshots and the versions of the active file,
+// compare a version with the current file in Monaco's diff editor and
+// restore a file or the whole workspace. Snapshots hold the saved files;
+// after a restore the workspace is pulled from the server again.
+export class SnapshotHistory {
+    constructor(dialog, sync, client, { onRestored = () => {} } = {}) {
+        this.dialog = dialog;
+        this.sync = sync;
+        this.client = client;
+        this.onRestored = onRestored;
+        this.path = null;
+        this.expanded = null;
+        // Snapshot version shown in the diff editor: { id, label, path }
+        this.comparing = null;
+        this.diffEditor = null;
+        this.originalModel = null;
+        this.currentModel = null;
+
+        this.dialog.classList.add('history-dialog');
+        this.dialog.innerHTML = `
+            <div class="history-header">
+                <span class="history-title">History</span>
+                <form class="history-form" title="Snapshots hold the saved files">
+                    <input name="label" placeholder="Snapshot name" maxlength="100" required>
+                    <button type="submit">Take snapshot</button>
+                </form>
+                <button type="button" data-action="close" title="Close">✕</button>
+            </div>
+            <div class="history-body">
+                <nav class="history-sidebar">
+                    <h3 class="history-file"></h3>
+                    <ul class="history-versions"></ul>
+                    <h3>Snapshots</h3>
+                    <ul class="history-snapshots"></ul>
+                </nav>
+                <section class="history-main">
+                    <div class="history-compare">
+                        <span class="history-compare-title">Select a version to compare it with the current file</span>
+                        <button type="button" data-action="restore-file" hidden>Restore file</button>
+                    </div>
+                    <div class="history-diff"></div>
+                </section>
+            </div>
+        `;
+        this.versionsEl = this.dialog.querySelector('.history-versions');
+        this.snapshotsEl = this.dialog.querySelector('.history-snapshots');
+        this.diffEl = this.dialog.querySelector('.history-diff');
+
+        this.dialog.querySelector('.history-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.takeSnapshot(event.target.elements.label);
+        });
+        this.dialog.addEventListener('click', (event) => this.handleClick(event));
+        this.dialog.addEventListener('close', () => this.disposeDiff());
+    }
+
+    // Opens the dialog on the history of `path` (the active file, if any).
+    async open(path) {
+        this.path = path ? normalizeWorkspacePath(path) : null;
+        this.expanded = null;
+        this.dialog.showModal();
+        this.showPlaceholder('Select a version to compare it with the current file');
+        await this.refresh();
+    }
+
+    close() {
+        this.dialog.close();
+    }
+
+    async refresh() {
+        try {
+            const [snapshots, history] = await Promise.all([
+                this.client.listSnapshots(),
+                this.path ? this.client.fileHistory(this.path) : null
+            ]);
+            this.renderVersions(history);
+            await this.renderSnapshots(snapshots);
+        } catch (error) {
+            console.error('Failed to load the workspace history:', error);
+            this.showPlaceholder(`Could not load the history: ${error.message}`);
+        }
+    }
+
+    renderVersions(history) {
+        this.dialog.querySelector('.history-file').textContent = this.path ? this.path.slice(1) : 'No file open';
+        if (!history) {
+            this.versionsEl.replaceChildren();
+            return;
+        }
+        if (history.versions.length === 0) {
+            this.versionsEl.replaceChildren(emptyItem('Not in any snapshot yet'));
+            return;
+        }
+        this.versionsEl.replaceChildren(...history.versions.map((version) => {
+            const item = snapshotItem(version);
+            item.dataset.action = 'compare';
+            item.dataset.id = version.id;
+            item.dataset.path = this.path;
+            item.classList.toggle('unchanged', !version.changed);
+            if (version.current) {
+                item.querySelector('.history-meta').append(' · current');
+            }
+            return item;
+        }));
+    }
+
+    async renderSnapshots(snapshots) {
+        if (snapshots.length === 0) {
+            this.snapshotsEl.replaceChildren(emptyItem('No snapshots yet'));
+            return;
+        }
+        const details = this.expanded && snapshots.some(snapshot => snapshot.id === this.expanded)
+            ? await this.client.getSnapshot(this.expanded)
+            : null;
+
+        this.snapshotsEl.replaceChildren(...snapshots.map((snapshot) => {
+            const item = snapshotItem(snapshot);
+            item.dataset.action = 'expand';
+            item.dataset.id = snapshot.id;
+
+            const actions = document.createElement('span');
+            actions.className = 'history-actions';
+            actions.append(
+                actionButton('restore-workspace', '↺', 'Restore the workspace to this snapshot'),
+                actionButton('delete', '🗑️', 'Delete snapshot')
+            );
+            item.querySelector('.history-label').after(actions);
+
+            if (details?.id === snapshot.id) {
+                item.classList.add('expanded');
+                item.append(this.renderFiles(details));
+            }
+            return item;
+        }));
+    }
+
+    // The files of an expanded snapshot, marked M(odified) or D(eleted)
+    // relative to the workspace
+    renderFiles(details) {
+        const list = document.createElement('ul');
+        list.className = 'history-files';
+        for (const file of details.files) {
+            const item = document.createElement('li');
+            item.dataset.action = 'compare';
+            item.dataset.id = details.id;
+            item.dataset.path = '/' + file.path;
+            item.className = `history-file-item ${file.status}`;
+            item.textContent = file.path;
+            item.title = file.status;
+            const mark = document.createElement('span');
+            mark.className = 'history-status';
+            mark.textContent = STATUS_MARKS[file.status];
+            item.append(mark);
+            list.append(item);
+        }
+        for (const path of details.added) {
+            const item = document.createElement('li');
+            item.className = 'history-file-item added';
+            item.textContent = path;
+            item.title = 'Not in this snapshot; removed by restoring it';
+            list.append(item);
+        }
+        return list;
+    }
+
+    async handleClick(event) {
+        const target = event.target.closest('[data-action]');
+        if (!target) {
+            return;
+        }
+        const { action } = target.dataset;
+        const id = target.closest('[data-id]')?.dataset.id;
+        event.stopPropagation();
+
+        try {
+            if (action === 'close') {
+                this.close();
+            } else if (action === 'expand') {
+                this.expanded = this.expanded === id ? null : id;
+                await this.refresh();
+            } else if (action === 'compare') {
+                await this.compare(id, target.dataset.path);
+            } else if (action === 'restore-file') {
+                await this.restoreFile();
+            } else if (action === 'restore-workspace') {
+                await this.restoreWorkspace(id);
+            } else if (action === 'delete') {
+                await this.deleteSnapshot(id);
+            }
+        } catch (error) {
+            console.error(`History action "${action}" failed:`, error);
+            alert(error.message);
+        }
+    }
+
+    async takeSnapshot(input) {
+        try {
+            const snapshot = await this.client.createSnapshot(input.value);
+            input.value = '';
+            this.expanded = snapshot.id;
+            await this.refresh();
+        } catch (error) {
+            console.error('Failed to take a snapshot:', error);
+            alert(error.message);
+        }
+    }
+
+    // Shows the snapshot version of `path` (left) against the current file
+    // (right). An open document is compared as edited, unsaved changes
+    // included, and stays editable; other files are shown read-only.
+    async compare(id, path) {
+        const monaco = await loadMonaco();
+        const snapshot = await this.client.readSnapshotFile(id, path);
+        const current = await this.sync.readLocal(path);
+        const label = this.dialog.querySelector(`[data-id="${id}"] .history-label`)?.textContent ?? id;
+        this.comparing = { id, label, path };
+
+        this.dialog.querySelector('.history-compare-title').textContent = `${path.slice(1)}: "${label}" ↔ current${current ? '' : ' (deleted)'}`;
+        this.dialog.querySelector('[data-action="restore-file"]').hidden = false;
+
+        if (isBinary(snapshot) || (current && isBinary(current))) {
+            this.showPlaceholder(`Binary file; the snapshot version ${current && sameBytes(snapshot, current) ? 'matches' : 'differs from'} the current one.`, { keepTitle: true });
+            return;
+        }
+
+        this.diffEl.querySelector('.history-placeholder')?.remove();
+        // The previous models are disposed once the diff editor let go of them
+        const { originalModel, currentModel } = this;
+        // Same file name, so the language is picked from the extension
+        this.originalModel = monaco.editor.createModel(decoder.decode(snapshot), undefined, monaco.Uri.parse(`snapshot:/${id}${path}?${Date.now()}`));
+        this.currentModel = null;
+        let modified = monaco.editor.getModel(monaco.Uri.parse(toFileUrl(path)));
+        if (!modified) {
+            this.currentModel = monaco.editor.createModel(current ? decoder.decode(current) : '', undefined, monaco.Uri.parse(`current:${path}?${Date.now()}`));
+            modified = this.currentModel;
+        }
+
+        this.diffEditor ??= monaco.editor.createDiffEditor(this.diffEl, {
+            automaticLayout: true,
+            originalEditable: false,
+            renderSideBySide: true,
+            minimap: { enabled: false },
+            scrollBeyondLastLine: false
+        });
+        this.diffEditor.setModel({ original: this.originalModel, modified });
+        this.diffEditor.getModifiedEditor().updateOptions({ readOnly: modified === this.currentModel });
+        originalModel?.dispose();
+        currentModel?.dispose();
+    }
+
+    async restoreFile() {
+        const { id, label, path } = this.comparing;
+        const monaco = await loadMonaco();
+        const model = monaco.editor.getModel(monaco.Uri.parse(toFileUrl(path)));
+        const unsaved = model && this.sync.isModified(path, model.getValue()) ? ' Its unsaved changes will be lost.' : '';
+        if (!confirm(`Restore ${path.slice(1)} to "${label}"?${unsaved}`)) {
+            return;
+        }
+        await this.applyRestore(await this.client.restoreSnapshot(id, path));
+        await this.compare(id, path);
+    }
+
+    async restoreWorkspace(id) {
+        const label = this.dialog.querySelector(`[data-id="${id}"] .history-label`)?.textContent ?? id;
+        if (!confirm(`Restore the whole workspace to "${label}"? Files not in the snapshot are deleted and unsaved changes are lost. The current state is kept as a snapshot.`)) {
+            return;
+        }
+        await this.applyRestore(await this.client.restoreSnapshot(id));
+        this.showPlaceholder(`Workspace restored to "${label}"`);
+    }
+
+    async applyRestore(result) {
+        // Brings the browser copy (and open documents) in line with the server
+        await this.sync.pull();
+        this.onRestored(result);
+        await this.refresh();
+    }
+
+    async deleteSnapshot(id) {
+        const label = this.dialog.querySelector(`[data-id="${id}"] .history-label`)?.textContent ?? id;
+        if (!confirm(`Delete the snapshot "${label}"?`)) {
+            return;
+        }
+        await this.client.deleteSnapshot(id);
+        if (this.comparing?.id === id) {
+            this.showPlaceholder('Select a version to compare it with the current file');
+        }
+        await this.refresh();
+    }
+
+    showPlaceholder(message, { keepTitle = false } = {}) {
+        if (!keepTitle) {
+            this.comparing = null;
+            this.dialog.querySelector('.history-compare-title').textContent = '';
+            this.dialog.querySelector('[data-action="restore-file"]').hidden = true;
+        }
+        this.disposeDiff();
+        const placeholder = document.createElement('div');
+        placeholder.className = 'history-placeholder';
+        placeholder.textContent = message;
+        this.diffEl.replaceChildren(placeholder);
+    }
+
+    disposeDiff() {
+        this.diffEditor?.dispose();
+        this.diffEditor = null;
+        this.disposeModels();
+    }
+
+    // Only the models created here; an open document's model stays
+    disposeModels() {
+        this.originalModel?.dispose();
+        this.currentModel?.dispose();
+        this.originalModel = null;
+        this.currentModel = null;
+    }
+}
+
+function snapshotItem(snapshot) {
+    const item = document.createElement('li');
+    item.className = `history-item ${snapshot.kind}`;
+    const label = document.createElement('span');
+    label.className = 'history-label';
+    label.textContent = snapshot.label;
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    meta.textContent = `${new Date(snapshot.created).toLocaleString()} · ${snapshot.kind === 'auto' ? 'automatic' : 'named'}`;
+    item.append(label, meta);
+    return item;
+}
+
+function actionButton(action, text, title) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.action = action;
+    button.textContent = text;
+    button.title = title;
+    return button;
+}
+
+function emptyItem(text) {
+    const item = document.createElement('li');
+    item.className = 'history-empty';
+    item.textContent = text;
+    return item;
+}
+
+// Text files do not contain NUL bytes
+function isBinary(bytes) {
+    return bytes.subarray(0, 8000).includes(0);
+}
+
+function sameBytes(a, b) {
+    return a.length === b.length && a.every((byte, index) => byte === b[index]);
+}
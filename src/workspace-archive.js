@@ -0,0 +1,156 @@
+import { createZip, readZip } from './zip.js';
+import { walk } from './workspace-sync.js';
+import { DIRECTORY, dirname } from './workspace-paths.js';
+
+// Export and import of a whole workspace. Imports are lists of
+// { path, directory, content } entries with absolute workspace paths
+// ("/src/main.js"), read from a zip archive or from dropped files and
+// folders; content is a Uint8Array, so binary files survive as they are.
+
+// Archive and OS clutter that never belongs in a workspace
+const IGNORED = /(^|\/)(__MACOSX|\.DS_Store|Thumbs\.db|\.git)(\/|$)/;
+
+// First match wins after the package.json fields (see guessEntryFile)
+const ENTRY_CANDIDATES = [
+    '/src/index.html',
+    '/public/index.html',
+    '/src/main.tsx', '/src/main.ts', '/src/main.jsx', '/src/main.js',
+    '/src/index.tsx', '/src/index.ts', '/src/index.jsx', '/src/index.js',
+    '/main.tsx', '/main.ts', '/main.jsx', '/main.js',
+    '/index.tsx', '/index.ts', '/index.jsx', '/index.js',
+    '/README.md'
+];
+
+export async function exportWorkspace(fs) {
+    const entries = [];
+    for (const [path, type] of await walk(fs)) {
+        entries.push(type === DIRECTORY
+            ? { path, directory: true }
+            : { path, content: await fs.readFile(path) });
+    }
+    return createZip(entries);
+}
+
+export async function readArchive(file) {
+    const entries = (await readZip(file)).map(entry => ({ ...entry, path: entry.path.replace(/\\/g, '/') }));
+    return cleanEntries(entries);
+}
+
+// Reads dropped files and folders. `roots` are the FileSystemEntry objects
+// of a drop (`item.webkitGetAsEntry()`), which must be taken inside the
+// drop event handler; everything after that is asynchronous.
+export async function readDroppedEntries(roots) {
+    const entries = [];
+    const visit = async (entry, prefix) => {
+        const path = `${prefix}/${entry.name}`;
+        if (entry.isDirectory) {
+            entries.push({ path, directory: true, content: null });
+            for (const child of await readDirectoryEntries(entry)) {
+                await visit(child, path);
+            }
+        } else {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            entries.push({ path, directory: false, content: new Uint8Array(await file.arrayBuffer()) });
+        }
+    };
+    for (const root of roots) {
+        await visit(root, '');
+    }
+    return cleanEntries(entries, { unwrap: roots.length === 1 });
+}
+
+// Replaces everything in the workspace with `entries`.
+export async function replaceWorkspace(fs, entries) {
+    for (const [name, type] of await fs.readDirectory('/')) {
+        await fs.delete('/' + name, { recursive: type === DIRECTORY });
+    }
+    await addToWorkspace(fs, entries);
+}
+
+// Writes `entries` into the workspace, overwriting files with the same path.
+export async function addToWorkspace(fs, entries) {
+    for (const entry of entries) {
+        if (entry.directory) {
+            await fs.createDirectory(entry.path);
+        } else {
+            // writeFile needs the parent directory, which archives may omit
+            if (dirname(entry.path) !== '/') {
+                await fs.createDirectory(dirname(entry.path));
+            }
+            await fs.writeFile(entry.path, entry.content);
+        }
+    }
+}
+
+// Picks the file to open after an import: a root index.html (what the
+// preview shows), then the entry named in package.json, then common entry
+// points, then the shallowest HTML file, then the first file.
+export function guessEntryFile(entries) {
+    const files = entries.filter(entry => !entry.directory);
+    const paths = new Set(files.map(entry => entry.path));
+    if (paths.has('/index.html')) {
+        return '/index.html';
+    }
+
+    const manifest = files.find(entry => entry.path === '/package.json');
+    if (manifest) {
+        try {
+            const { source, module, main } = JSON.parse(new TextDecoder().decode(manifest.content));
+            const field = [source, module, main].find(value => typeof value === 'string' && paths.has('/' + value.replace(/^\.?\//, '')));
+            if (field) {
+                return '/' + field.replace(/^\.?\//, '');
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable package.json:', error);
+        }
+    }
+
+    const candidate = ENTRY_CANDIDATES.find(path => paths.has(path));
+    if (candidate) {
+        return candidate;
+    }
+    const depth = (path) => path.split('/').length;
+    const html = [...paths].filter(path => path.endsWith('.html')).sort((a, b) => depth(a) - depth(b));
+    return html[0] ?? files[0]?.path ?? null;
+}
+
+// Normalizes entry paths, drops clutter and unsafe names, and strips the
+// single top-level folder most archives (and a dropped folder) wrap the
+// project in, so its contents land at the workspace root.
+function cleanEntries(entries, { unwrap = true } = {}) {
+    let cleaned = [];
+    for (const entry of entries) {
+        const segments = entry.path.split('/').filter(segment => segment && segment !== '.');
+        if (segments.length === 0 || segments.includes('..') || IGNORED.test(segments.join('/'))) {
+            continue;
+        }
+        cleaned.push({ ...entry, path: '/' + segments.join('/') });
+    }
+
+    const tops = new Set(cleaned.map(entry => entry.path.split('/')[1]));
+    const [top] = tops;
+    const wrapped = unwrap && tops.size === 1 && cleaned.some(entry => entry.path.startsWith(`/${top}/`));
+    if (wrapped) {
+        cleaned = cleaned
+            .filter(entry => entry.path !== `/${top}`)
+            .map(entry => ({ ...entry, path: entry.path.slice(top.length + 1) }));
+    }
+    return cleaned;
+}
+
+function readDirectoryEntries(directory) {
+    const reader = directory.createReader();
+    const entries = [];
+    // readEntries() returns the listing in batches until an empty one
+    return new Promise((resolve, reject) => {
+        const next = () => reader.readEntries((batch) => {
+            if (batch.length === 0) {
+                resolve(entries);
+            } else {
+                entries.push(...batch);
+                next();
+            }
+        }, reject);
+        next();
+    });
+}
@@ -0,0 +1,195 @@
+// Thin client for the server's workspace file API (see server/workspace-api.js)
+export class WorkspaceClient {
+    constructor(name, { baseUrl = '/api/workspaces', templatesUrl = '/api/templates' } = {}) {
+        this.name = name;
+        this.apiUrl = baseUrl;
+        this.templatesUrl = templatesUrl;
+        this.baseUrl = `${baseUrl}/${encodeURIComponent(name)}`;
+    }
+
+    fileUrl(path) {
+        const encoded = normalizePath(path).split('/').map(encodeURIComponent).join('/');
+        return `${this.baseUrl}/files/${encoded}`;
+    }
+
+    async request(url, init) {
+        const response = await fetch(url, init);
+        if (!response.ok) {
+            let message = `${response.status} ${response.statusText}`;
+            try {
+                message = (await response.json()).error || message;
+            } catch {
+                // Body was not JSON; keep the status line
+            }
+            const error = new Error(`Workspace request failed: ${message}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    async list() {
+        const response = await this.request(`${this.baseUrl}/files`);
+        return response.json();
+    }
+
+    async readFile(path) {
+        const response = await this.request(this.fileUrl(path));
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    async writeFile(path, content) {
+        const response = await this.request(this.fileUrl(path), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: content
+        });
+        return response.json();
+    }
+
+    async createDirectory(path) {
+        const response = await this.request(`${this.baseUrl}/directories`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ path: normalizePath(path) })
+        });
+        return response.json();
+    }
+
+    async rename(from, to) {
+        const response = await this.request(`${this.baseUrl}/rename`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ from: normalizePath(from), to: normalizePath(to) })
+        });
+        return response.json();
+    }
+
+    async delete(path) {
+        await this.request(this.fileUrl(path), { method: 'DELETE' });
+    }
+
+    // Records the entry file the run page and bundler start from; returns
+    // the workspace metadata
+    async setEntryFile(path) {
+        const response = await this.request(`${this.baseUrl}/meta`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ entryFile: normalizePath(path) })
+        });
+        return response.json();
+    }
+
+    // Formats a document with Prettier (see server/format.js). `content` may
+    // hold unsaved edits; returns { formatted, parser, config }.
+    async format(path, content, { range, editor } = {}) {
+        const response = await this.request(`${this.baseUrl}/format`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ path: normalizePath(path), content, range, editor })
+        });
+        return response.json();
+    }
+
+    // Lints a document with ESLint (see server/lint.js). `content` may hold
+    // unsaved edits; returns { config, problems }.
+    async lint(path, content) {
+        const response = await this.request(`${this.baseUrl}/lint`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ path: normalizePath(path), content })
+        });
+        return response.json();
+    }
+
+    // Bundles the saved files with esbuild (see server/bundle.js); build
+    // errors are part of the result, not thrown
+    async bundle() {
+        const response = await this.request(`${this.baseUrl}/bundle`, { method: 'POST' });
+        return response.json();
+    }
+
+    // Snapshots (see server/snapshots.js)
+
+    snapshotUrl(id) {
+        return `${this.baseUrl}/snapshots/${encodeURIComponent(id)}`;
+    }
+
+    async listSnapshots() {
+        const response = await this.request(`${this.baseUrl}/snapshots`);
+        return (await response.json()).snapshots;
+    }
+
+    async createSnapshot(label) {
+        const response = await this.request(`${this.baseUrl}/snapshots`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ label })
+        });
+        return response.json();
+    }
+
+    async getSnapshot(id) {
+        const response = await this.request(this.snapshotUrl(id));
+        return response.json();
+    }
+
+    async deleteSnapshot(id) {
+        await this.request(this.snapshotUrl(id), { method: 'DELETE' });
+    }
+
+    async readSnapshotFile(id, path) {
+        const encoded = normalizePath(path).split('/').map(encodeURIComponent).join('/');
+        const response = await this.request(`${this.snapshotUrl(id)}/files/${encoded}`);
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    // Restores one file, or the whole workspace without `path`
+    async restoreSnapshot(id, path) {
+        const response = await this.request(`${this.snapshotUrl(id)}/restore`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(path ? { path: normalizePath(path) } : {})
+        });
+        return response.json();
+    }
+
+    async fileHistory(path) {
+        const encoded = normalizePath(path).split('/').map(encodeURIComponent).join('/');
+        const response = await this.request(`${this.baseUrl}/history/${encoded}`);
+        return response.json();
+    }
+
+    // Templates and the other workspaces (see server/templates.js)
+
+    async listWorkspaces() {
+        const response = await this.request(this.apiUrl);
+        return (await response.json()).workspaces;
+    }
+
+    async listTemplates() {
+        const response = await this.request(this.templatesUrl);
+        return (await response.json()).templates;
+    }
+
+    // Creates workspace `name` (this one by default) from a template;
+    // fails with status 409 if it exists
+    async createFromTemplate(template, name = this.name) {
+        const response = await this.request(`${this.templatesUrl}/${encodeURIComponent(template)}/workspaces`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+        return response.json();
+    }
+}
+
+// Workspace paths come in as "/dir/file.js" or "file:///dir/file.js";
+// the server API wants "dir/file.js".
+export function normalizePath(path) {
+    return String(path)
+        .replace(/^file:\/\//, '')
+        .split('/')
+        .filter(Boolean)
+        .join('/');
+}
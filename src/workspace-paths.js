@@ -0,0 +1,30 @@
+// Workspace filesystem entry types (see FileSystemEntryType in modern-monaco)
+export const FILE = 1;
+export const DIRECTORY = 2;
+
+// Workspace filesystem paths are absolute ("/dir/file.js"); models and the
+// workspace history use "file:///dir/file.js" URLs for the same files.
+export function normalizeWorkspacePath(path) {
+    const segments = String(path)
+        .replace(/^file:\/\//, '')
+        .split('/')
+        .filter(segment => segment && segment !== '.');
+    return '/' + segments.join('/');
+}
+
+export function toFileUrl(path) {
+    return 'file://' + normalizeWorkspacePath(path);
+}
+
+export function dirname(path) {
+    const index = path.lastIndexOf('/');
+    return index > 0 ? path.slice(0, index) : '/';
+}
+
+export function basename(path) {
+    return path.slice(path.lastIndexOf('/') + 1);
+}
+
+export function joinPath(dir, name) {
+    return normalizeWorkspacePath((dir === '/' ? '' : dir) + '/' + name);
+}
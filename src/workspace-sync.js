@@ -0,0 +1,267 @@
+import { errors } from 'modern-monaco';
+import { normalizePath } from './workspace-client.js';
+import { DIRECTORY, dirname, normalizeWorkspacePath } from './workspace-paths.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Keeps a modern-monaco Workspace filesystem in step with the server copy.
+// `pull()` makes the local (IndexedDB) filesystem match the server, and
+// `start()` pushes structural changes (new, renamed and deleted files) back
+// through the API. Editor content changes stay local until `save()`.
+//
+// Events: `saved` ({ path }) after a file reached the server, `removed`
+// ({ path }) after a file or directory was deleted there.
+export class WorkspaceSync extends EventTarget {
+    constructor(workspace, client) {
+        super();
+        this.workspace = workspace;
+        this.client = client;
+        this.queue = Promise.resolve();
+        this.pendingWrites = new Set();
+        this.applying = new Set();
+        this.baseline = new Map();
+        this.unwatch = null;
+    }
+
+    get fs() {
+        return this.workspace.fs;
+    }
+
+    async pull() {
+        const { entries } = await this.client.list();
+        const remote = new Set();
+
+        for (const entry of entries) {
+            const path = '/' + entry.path;
+            remote.add(path);
+
+            if (entry.type === 'directory') {
+                await this.applyLocally(path, () => this.fs.createDirectory(path));
+                continue;
+            }
+
+            const content = await this.client.readFile(entry.path);
+            this.baseline.set(path, content);
+            const local = await this.readLocal(path);
+            if (!local || !sameBytes(local, content)) {
+                await this.applyLocally(path, () => this.fs.writeFile(path, content));
+            }
+        }
+
+        // Anything the server no longer has was deleted elsewhere
+        const removed = [];
+        for (const [path, type] of await walk(this.fs)) {
+            if (remote.has(path) || removed.some(dir => path.startsWith(dir + '/'))) {
+                continue;
+            }
+            await this.applyLocally(path, () => this.fs.delete(path, { recursive: type === DIRECTORY }));
+            removed.push(path);
+        }
+    }
+
+    // Whether `content` differs from the last copy known to be on the server.
+    isModified(path, content) {
+        const saved = this.baseline.get(normalizeWorkspacePath(path));
+        const bytes = typeof content === 'string' ? encoder.encode(content) : content;
+        return !saved || !sameBytes(saved, bytes);
+    }
+
+    savedText(path) {
+        const saved = this.baseline.get(normalizeWorkspacePath(path));
+        return saved ? decoder.decode(saved) : null;
+    }
+
+    // Writes `content` (usually a model's current value) locally and to the server.
+    async save(path, content) {
+        const pathname = normalizeWorkspacePath(path);
+        const bytes = typeof content === 'string' ? encoder.encode(content) : content;
+
+        // Flagged as a model change so the open model does not reload itself
+        await this.applyLocally(pathname, () => this.fs.writeFile(pathname, bytes, { isModelContentChange: true }));
+        await this.enqueue(async () => {
+            await this.client.writeFile(normalizePath(pathname), bytes);
+            this.markSaved(pathname, bytes);
+        });
+    }
+
+    markSaved(pathname, bytes) {
+        this.baseline.set(pathname, bytes);
+        this.dispatchEvent(new CustomEvent('saved', { detail: { path: pathname } }));
+    }
+
+    start() {
+        if (this.unwatch) {
+            return;
+        }
+        this.unwatch = this.fs.watch('/', { recursive: true }, (kind, pathname, type, context) => {
+            // Editor edits are persisted locally as the user types; they are
+            // only pushed on save()
+            if (!this.applying.has(pathname) && !context?.isModelContentChange) {
+                this.push(kind, pathname, type);
+            }
+        });
+    }
+
+    stop() {
+        this.unwatch?.();
+        this.unwatch = null;
+    }
+
+    push(kind, pathname, type) {
+        const path = normalizePath(pathname);
+
+        if (kind === 'remove') {
+            this.baseline.delete(pathname);
+            this.enqueue(async () => {
+                try {
+                    await this.client.delete(path);
+                } catch (error) {
+                    // Children of a removed directory are already gone on the server
+                    if (error.status !== 404) {
+                        throw error;
+                    }
+                }
+                this.dispatchEvent(new CustomEvent('removed', { detail: { path: pathname } }));
+            });
+        } else if (type === DIRECTORY) {
+            this.enqueue(() => this.client.createDirectory(path));
+        } else if (!this.pendingWrites.has(path)) {
+            // Coalesce bursts of writes to the same file into one upload
+            this.pendingWrites.add(path);
+            this.enqueue(async () => {
+                this.pendingWrites.delete(path);
+                const content = await this.readLocal(pathname);
+                if (content) {
+                    await this.client.writeFile(path, content);
+                    this.markSaved(pathname, content);
+                }
+            });
+        }
+    }
+
+    // Applies a change another browser made through the API (announced by
+    // the collaboration channel, see collaboration.js); this browser's own
+    // changes find nothing left to do. Files for which `keepContent(path)`
+    // is true are edited collaboratively, so only their saved state moves.
+    async applyRemoteChange(change, { keepContent = () => false } = {}) {
+        if (change.kind === 'write') {
+            const pathname = normalizeWorkspacePath(change.path);
+            const content = await this.client.readFile(change.path);
+            const local = await this.readLocal(pathname);
+            if (!keepContent(pathname) && (!local || !sameBytes(local, content))) {
+                if (dirname(pathname) !== '/' && !await this.exists(dirname(pathname))) {
+                    await this.applyLocally(dirname(pathname), () => this.fs.createDirectory(dirname(pathname)));
+                }
+                await this.applyLocally(pathname, () => this.fs.writeFile(pathname, content));
+            }
+            const saved = this.baseline.get(pathname);
+            if (!saved || !sameBytes(saved, content)) {
+                this.markSaved(pathname, content);
+            }
+        } else if (change.kind === 'delete') {
+            const pathname = normalizeWorkspacePath(change.path);
+            const stat = await this.exists(pathname);
+            if (stat) {
+                await this.applyLocally(pathname, () => this.fs.delete(pathname, { recursive: stat.type === DIRECTORY }));
+                this.forget(pathname);
+                this.dispatchEvent(new CustomEvent('removed', { detail: { path: pathname } }));
+            }
+        } else if (change.kind === 'directory') {
+            const pathname = normalizeWorkspacePath(change.path);
+            if (!await this.exists(pathname)) {
+                await this.applyLocally(pathname, () => this.fs.createDirectory(pathname));
+            }
+        } else if (change.kind === 'rename') {
+            const from = normalizeWorkspacePath(change.from);
+            const to = normalizeWorkspacePath(change.to);
+            if (await this.exists(from) && !await this.exists(to)) {
+                await this.applyLocally(from, () => this.applyLocally(to, () => this.fs.rename(from, to)));
+                for (const [path, content] of [...this.baseline]) {
+                    if (path === from || path.startsWith(from + '/')) {
+                        this.baseline.set(to + path.slice(from.length), content);
+                    }
+                }
+                this.forget(from);
+            }
+        }
+    }
+
+    // Drops the saved state of `pathname` and anything below it
+    forget(pathname) {
+        for (const path of [...this.baseline.keys()]) {
+            if (path === pathname || path.startsWith(pathname + '/')) {
+                this.baseline.delete(path);
+            }
+        }
+    }
+
+    // The entry's stat, or null when it does not exist
+    async exists(path) {
+        try {
+            return await this.fs.stat(path);
+        } catch (error) {
+            if (error instanceof errors.NotFound) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    enqueue(task) {
+        this.queue = this.queue.then(task).catch((error) => {
+            console.error('Workspace sync failed:', error);
+        });
+        return this.queue;
+    }
+
+    // Resolves once every queued change has reached the server.
+    flush() {
+        return this.queue;
+    }
+
+    async applyLocally(path, operation) {
+        this.applying.add(path);
+        try {
+            await operation();
+        } finally {
+            this.applying.delete(path);
+        }
+    }
+
+    async readLocal(path) {
+        try {
+            return await this.fs.readFile(path);
+        } catch (error) {
+            if (error instanceof errors.NotFound) {
+                return null;
+            }
+            throw error;
+        }
+    }
+}
+
+// Returns [path, type] pairs for every entry below `dir`, parents first.
+export async function walk(fs, dir = '/') {
+    const entries = [];
+    for (const [name, type] of await fs.readDirectory(dir)) {
+        const path = (dir === '/' ? '' : dir) + '/' + name;
+        entries.push([path, type]);
+        if (type === DIRECTORY) {
+            entries.push(...await walk(fs, path));
+        }
+    }
+    return entries;
+}
+
+function sameBytes(a, b) {
+    if (a.byteLength !== b.byteLength) {
+        return false;
+    }
+    for (let i = 0; i < a.byteLength; i++) {
+        if (a[i] !== b[i]) {
+            return false;
+        }
+    }
+    return true;
+}
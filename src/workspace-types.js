@@ -0,0 +1,83 @@
+// Collects the packages a workspace depends on and resolves locally served
+// type definitions for them (see server/types.js).
+
+import { cdnSpecifier, findImportMaps } from './import-map.js';
+
+// "react-dom@18.2.0/client" -> { name: 'react-dom', range: '18.2.0' }
+function parseSpecifier(specifier) {
+    const match = /^((?:@[^/@]+\/)?[^/@]+)(?:@([^/]+))?/.exec(specifier);
+    return match ? { name: match[1], range: match[2] ?? '' } : null;
+}
+
+// Package specifier behind an import map URL: CDN modules and /vendor builds.
+function importMapSpecifier(url) {
+    if (url.startsWith('/vendor/')) {
+        return url.slice('/vendor/'.length).replace(/\/$/, '') || null;
+    }
+    return cdnSpecifier(url);
+}
+
+async function readText(fs, path) {
+    try {
+        return await fs.readTextFile(path);
+    } catch {
+        return null;
+    }
+}
+
+// Returns [{ name, range }] from package.json dependencies and the import map
+// of the entry HTML file. package.json ranges win over import map versions.
+export async function workspaceDependencies(workspace) {
+    const packages = new Map();
+    const add = (name, range) => {
+        if (name && !packages.has(name)) {
+            packages.set(name, range ?? '');
+        }
+    };
+
+    const packageJson = await readText(workspace.fs, 'package.json');
+    if (packageJson) {
+        try {
+            const pkg = JSON.parse(packageJson);
+            for (const [name, range] of Object.entries(pkg.dependencies ?? {})) {
+                // Ranges like "workspace:*" or git URLs are not versions
+                add(name, /^[\d^~<>=*x. |-]*$/i.test(range) ? range : '');
+            }
+        } catch (error) {
+            console.warn('Ignoring invalid package.json:', error.message);
+        }
+    }
+
+    // Import maps live in an HTML entry file; other entries ("src/App.tsx") come with index.html
+    const entryFile = workspace.entryFile?.endsWith('.html') ? workspace.entryFile : 'index.html';
+    const html = await readText(workspace.fs, entryFile);
+    for (const importMap of html ? findImportMaps(html) : []) {
+        for (const url of Object.values(importMap.imports ?? {})) {
+            const specifier = typeof url === 'string' ? importMapSpecifier(url) : null;
+            const parsed = specifier && parseSpecifier(specifier);
+            if (parsed) {
+                add(parsed.name, parsed.range);
+            }
+        }
+    }
+
+    return [...packages].map(([name, range]) => ({ name, range }));
+}
+
+// Absolute URLs of the type definition bundles for `packages`, suitable for
+// the TypeScript worker's `compilerOptions.types`.
+export async function resolveTypes(packages, { baseUrl = '/api/types' } = {}) {
+    if (packages.length === 0) {
+        return [];
+    }
+    const query = packages.map(({ name, range }) => (range ? `${name}@${range}` : name)).join(',');
+    const response = await fetch(`${baseUrl}?packages=${encodeURIComponent(query)}`);
+    if (!response.ok) {
+        throw new Error(`Failed to resolve type definitions: ${response.status}`);
+    }
+    const { types, missing } = await response.json();
+    if (missing.length > 0) {
+        console.info('No local type definitions for:', missing.join(', '));
+    }
+    return types.map(({ url }) => new URL(url, location.href).href);
+}
@@ -0,0 +1,215 @@
+// Minimal ZIP reader and writer (PKWARE APPNOTE) for workspace archives:
+// stored and deflated entries with UTF-8 names. ZIP64, encryption and
+// multi-disk archives are not supported. Deflate goes through the
+// browser's CompressionStream, so there is no dependency to bundle.
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const STORED = 0;
+const DEFLATED = 8;
+// General purpose flags
+const ENCRYPTED = 0x0001;
+const UTF8_NAMES = 0x0800;
+// "Version made by/needed": 2.0 (deflate, directories)
+const VERSION = 20;
+const DIRECTORY_ATTRIBUTE = 0x10;
+
+const MAX_UINT16 = 0xffff;
+const MAX_UINT32 = 0xffffffff;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+export function crc32(bytes) {
+    let crc = MAX_UINT32;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ MAX_UINT32) >>> 0;
+}
+
+async function transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+function dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Builds an archive from `entries` ({ path, content } for files, { path,
+// directory: true } for folders; paths relative, "/"-separated). Content is
+// a string or Uint8Array. Entries are deflated unless that does not help.
+export async function createZip(entries, { lastModified = new Date() } = {}) {
+    if (entries.length > MAX_UINT16) {
+        throw new Error(`Too many entries for a zip archive: ${entries.length}`);
+    }
+
+    const { time, date } = dosDateTime(lastModified);
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const directory = Boolean(entry.directory);
+        const name = encoder.encode(entry.path.replace(/^\/+/, '').replace(/\/*$/, directory ? '/' : ''));
+        const content = directory
+            ? new Uint8Array(0)
+            : typeof entry.content === 'string' ? encoder.encode(entry.content) : entry.content;
+
+        let method = STORED;
+        let data = content;
+        if (content.length > 0) {
+            const deflated = await transform(content, new CompressionStream('deflate-raw'));
+            if (deflated.length < content.length) {
+                method = DEFLATED;
+                data = deflated;
+            }
+        }
+        if (content.length > MAX_UINT32 || offset > MAX_UINT32) {
+            throw new Error(`Workspace is too large for a zip archive (at ${entry.path})`);
+        }
+
+        const crc = crc32(content);
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, LOCAL_FILE_HEADER, true);
+        header.setUint16(4, VERSION, true);
+        header.setUint16(6, UTF8_NAMES, true);
+        header.setUint16(8, method, true);
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, content.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+        parts.push(header, name, data);
+
+        const record = new DataView(new ArrayBuffer(46));
+        record.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+        record.setUint16(4, VERSION, true);
+        record.setUint16(6, VERSION, true);
+        record.setUint16(8, UTF8_NAMES, true);
+        record.setUint16(10, method, true);
+        record.setUint16(12, time, true);
+        record.setUint16(14, date, true);
+        record.setUint32(16, crc, true);
+        record.setUint32(20, data.length, true);
+        record.setUint32(24, content.length, true);
+        record.setUint16(28, name.length, true);
+        // Extra field, comment, disk number and internal attributes stay 0
+        record.setUint32(38, directory ? DIRECTORY_ATTRIBUTE : 0, true);
+        record.setUint32(42, offset, true);
+        centralDirectory.push(record, name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const directorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+    if (offset + directorySize > MAX_UINT32) {
+        throw new Error('Workspace is too large for a zip archive');
+    }
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+// Reads every entry of the archive in `data` (Blob, ArrayBuffer or
+// Uint8Array). Returns { path, directory, content } objects in archive
+// order; paths are the names as stored, directories end with "/".
+export async function readZip(data) {
+    const bytes = data instanceof Uint8Array
+        ? data
+        : new Uint8Array(data instanceof Blob ? await data.arrayBuffer() : data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end record is followed by a comment of up to 64 KiB
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - MAX_UINT16); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('Not a zip archive');
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    if (count === MAX_UINT16 || position === MAX_UINT32) {
+        throw new Error('ZIP64 archives are not supported');
+    }
+    if (view.getUint16(end + 4, true) !== 0 || view.getUint16(end + 8, true) !== count) {
+        throw new Error('Multi-disk zip archives are not supported');
+    }
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (position + 46 > bytes.length || view.getUint32(position, true) !== CENTRAL_DIRECTORY_HEADER) {
+            throw new Error('Corrupt zip archive: bad central directory');
+        }
+        const flags = view.getUint16(position + 8, true);
+        const method = view.getUint16(position + 10, true);
+        const crc = view.getUint32(position + 16, true);
+        const compressedSize = view.getUint32(position + 20, true);
+        const size = view.getUint32(position + 24, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const localOffset = view.getUint32(position + 42, true);
+        // Names without the UTF-8 flag are CP437; UTF-8 covers their ASCII subset
+        const path = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (path.endsWith('/')) {
+            entries.push({ path, directory: true, content: null });
+            continue;
+        }
+        if (flags & ENCRYPTED) {
+            throw new Error(`Encrypted zip entries are not supported: ${path}`);
+        }
+        if (size === MAX_UINT32 || compressedSize === MAX_UINT32 || localOffset === MAX_UINT32) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+        if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+            throw new Error(`Corrupt zip archive: bad local header for ${path}`);
+        }
+
+        // The local header may carry a different extra field than the central one
+        const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const compressed = bytes.subarray(start, start + compressedSize);
+        let content;
+        if (method === STORED) {
+            content = compressed.slice();
+        } else if (method === DEFLATED) {
+            content = await transform(compressed, new DecompressionStream('deflate-raw'));
+        } else {
+            throw new Error(`Unsupported compression method ${method}: ${path}`);
+        }
+        if (content.length !== size || crc32(content) !== crc) {
+            throw new Error(`Corrupt zip archive: checksum mismatch for ${path}`);
+        }
+        entries.push({ path, directory: false, content });
+    }
+    return entries;
+}
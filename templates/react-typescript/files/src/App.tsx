@@ -0,0 +1,47 @@
+import { useState, type FormEvent } from 'react';
+
+interface Todo {
+    id: number;
+    text: string;
+    done: boolean;
+}
+
+interface AppProps {
+    title: string;
+}
+
+export function App({ title }: AppProps) {
+    const [todos, setTodos] = useState<Todo[]>([]);
+    const [text, setText] = useState('');
+
+    const addTodo = (event: FormEvent) => {
+        event.preventDefault();
+        if (!text.trim()) {
+            return;
+        }
+        setTodos([...todos, { id: Date.now(), text: text.trim(), done: false }]);
+        setText('');
+    };
+
+    const toggle = (id: number) => {
+        setTodos(todos.map(todo => (todo.id === id ? { ...todo, done: !todo.done } : todo)));
+    };
+
+    return (
+        <main className="app">
+            <h1>{title}</h1>
+            <form onSubmit={addTodo}>
+                <input value={text} onChange={event => setText(event.target.value)} placeholder="What needs doing?" />
+                <button type="submit">Add</button>
+            </form>
+            <ul>
+                {todos.map(todo => (
+                    <li key={todo.id} className={todo.done ? 'done' : ''} onClick={() => toggle(todo.id)}>
+                        {todo.text}
+                    </li>
+                ))}
+            </ul>
+            <p>{todos.filter(todo => !todo.done).length} left</p>
+        </main>
+    );
+}
@@ -0,0 +1,34 @@
+// Application module with TypeScript-style JSDoc
+/**
+ * @typedef {Object} AppConfig
+ * @property {string} target - CSS selector for the target element
+ * @property {string} title - Application title
+ * @property {string[]} features - List of enabled features
+ */
+
+/**
+ * Creates a new application instance
+ * @param {AppConfig} config - Application configuration
+ * @returns {Object} Application instance
+ */
+export function createApp(config) {
+    const element = document.querySelector(config.target);
+    
+    if (!element) {
+        throw new Error(`Target element not found: ${config.target}`);
+    }
+
+    return {
+        setData(data) {
+            element.innerHTML = `
+                <h1>${config.title}</h1>
+                <p>Features: ${config.features.join(', ')}</p>
+                <pre>${JSON.stringify(data, null, 2)}</pre>
+            `;
+        },
+        
+        destroy() {
+            element.innerHTML = '';
+        }
+    };
+}
@@ -0,0 +1,29 @@
+// Modern JavaScript with ES modules
+import { createApp } from './app.js';
+import { utils } from './utils.js';
+
+console.log('🚀 Application starting...');
+
+// Initialize the application
+const app = createApp({
+    target: '#root',
+    title: 'Modern Monaco Demo',
+    features: ['syntax-highlighting', 'intellisense', 'error-checking']
+});
+
+// Use utility functions
+const greeting = utils.formatGreeting('Modern Monaco');
+console.log(greeting);
+
+// Demonstrate async/await
+async function loadData() {
+    try {
+        const response = await fetch('/api/data');
+        const data = await response.json();
+        app.setData(data);
+    } catch (error) {
+        console.error('Failed to load data:', error);
+    }
+}
+
+loadData();
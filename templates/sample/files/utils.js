@@ -0,0 +1,31 @@
+// Utility functions
+export const utils = {
+    /**
+     * Formats a greeting message
+     * @param {string} name - Name to greet
+     * @returns {string} Formatted greeting
+     */
+    formatGreeting(name) {
+        const time = new Date().getHours();
+        const timeOfDay = time < 12 ? 'morning' : time < 18 ? 'afternoon' : 'evening';
+        return `Good ${timeOfDay}, ${name}! 👋`;
+    },
+
+    /**
+     * Debounces a function call
+     * @param {Function} func - Function to debounce
+     * @param {number} wait - Wait time in milliseconds
+     * @returns {Function} Debounced function
+     */
+    debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+};
+    }
+};
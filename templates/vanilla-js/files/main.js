@@ -0,0 +1,10 @@
+const output = document.getElementById('count');
+const button = document.getElementById('increment');
+
+let count = 0;
+
+button.addEventListener('click', () => {
+    count += 1;
+    output.textContent = String(count);
+    console.log(`Clicked ${count} times`);
+});